@@ -0,0 +1,146 @@
+// adminQueue.js
+// Atualizações em tempo real das filas de depósitos e saques do painel e "reservas" (claims)
+// dos itens em análise.
+// - Eventos: cada criação ou mudança de status de um depósito/saque é publicada num barramento em
+//   memória e repassada aos admins conectados ao stream (Server-Sent Events, ver streamAdminQueue).
+//   O barramento é local ao processo: com várias instâncias, cada admin recebe os eventos da
+//   instância em que está conectado; ao reconectar, o evento 'ready' traz de novo as reservas ativas.
+// - Reservas: um admin marca o item que está analisando; para os outros ele aparece como ocupado
+//   até ser liberado ou a reserva expirar. A reserva é apenas um aviso: não impede aprovar ou rejeitar.
+
+const { EventEmitter } = require('events');
+const { Deposit, Withdrawal } = require('./models');
+const { logError } = require('./utils');
+
+// Duração de uma reserva (renovada a cada nova reserva do mesmo admin)
+const QUEUE_CLAIM_TTL_MS = (Number(process.env.QUEUE_CLAIM_TTL_MINUTES) || 5) * 60 * 1000;
+
+// Filas: modelo e permissão necessária para receber os eventos
+const QUEUES = {
+    deposit: { model: Deposit, permission: 'deposits:read' },
+    withdrawal: { model: Withdrawal, permission: 'withdrawals:read' },
+};
+
+// Campos enviados nos eventos (o restante é obtido pelas listagens)
+const QUEUE_ITEM_FIELDS = ['_id', 'userId', 'amount', 'fee', 'netAmount', 'status', 'requestDate', 'createdAt', 'verificationFlags', 'claim'];
+
+const queueEvents = new EventEmitter();
+queueEvents.setMaxListeners(0); // Um listener por admin conectado
+
+/**
+ * Resume um depósito/saque para os eventos do stream.
+ * @param {object} item - Documento Mongoose ou objeto simples.
+ * @returns {object}
+ */
+const toQueueItem = (item) => {
+    const source = typeof item.toObject === 'function' ? item.toObject() : item;
+    const summary = {};
+    for (const field of QUEUE_ITEM_FIELDS) {
+        if (source[field] !== undefined) summary[field] = source[field];
+    }
+    return summary;
+};
+
+/**
+ * Publica um evento de fila para os admins conectados. Nunca lança erro.
+ * @param {string} queue - 'deposit' ou 'withdrawal'.
+ * @param {string} type - 'created', 'updated' (mudança de status), 'claimed' ou 'released'.
+ * @param {object} item - O depósito/saque após a mudança.
+ */
+const publishQueueEvent = (queue, type, item) => {
+    try {
+        queueEvents.emit('event', { queue, type, item: toQueueItem(item), at: new Date() });
+    } catch (error) {
+        logError(`Erro ao publicar evento de fila (${queue}.${type}): ${error.message}`);
+    }
+};
+
+/**
+ * Inscreve um listener nos eventos de fila.
+ * @param {function} listener - Recebe { queue, type, item, at }.
+ * @returns {function} Cancela a inscrição.
+ */
+const subscribeQueueEvents = (listener) => {
+    queueEvents.on('event', listener);
+    return () => queueEvents.off('event', listener);
+};
+
+/**
+ * Retorna as filas que o admin pode acompanhar.
+ * @param {function} canRead - (permission) => boolean.
+ * @returns {string[]}
+ */
+const getReadableQueues = (canRead) => Object.keys(QUEUES).filter(queue => canRead(QUEUES[queue].permission));
+
+/**
+ * Reserva um item pendente para o admin (ou renova a reserva dele).
+ * @param {string} queue - 'deposit' ou 'withdrawal'.
+ * @param {object} itemId
+ * @param {object} admin - O admin (req.user).
+ * @returns {Promise<{item: object|null, claimed: boolean}>} item null: não existe ou não está pendente;
+ * claimed false: reservado por outro admin (item.claim mostra quem).
+ */
+const claimQueueItem = async (queue, itemId, admin) => {
+    const { model } = QUEUES[queue];
+    const now = new Date();
+
+    const claimed = await model.findOneAndUpdate(
+        {
+            _id: itemId,
+            status: 'pending',
+            $or: [{ 'claim.expiresAt': null }, { 'claim.expiresAt': { $lte: now } }, { 'claim.adminId': admin._id }],
+        },
+        { $set: { claim: { adminId: admin._id, adminPhoneNumber: admin.phoneNumber, claimedAt: now, expiresAt: new Date(now.getTime() + QUEUE_CLAIM_TTL_MS) } } },
+        { new: true }
+    );
+    if (claimed) {
+        publishQueueEvent(queue, 'claimed', claimed);
+        return { item: claimed, claimed: true };
+    }
+
+    const item = await model.findOne({ _id: itemId, status: 'pending' });
+    return { item, claimed: false };
+};
+
+/**
+ * Libera a reserva do admin sobre um item.
+ * @param {string} queue - 'deposit' ou 'withdrawal'.
+ * @param {object} itemId
+ * @param {object} admin - O admin (req.user).
+ * @returns {Promise<object|null>} O item liberado, ou null se a reserva não era dele.
+ */
+const releaseQueueItem = async (queue, itemId, admin) => {
+    const { model } = QUEUES[queue];
+    const released = await model.findOneAndUpdate(
+        { _id: itemId, 'claim.adminId': admin._id },
+        { $unset: { claim: 1 } },
+        { new: true }
+    );
+    if (released) publishQueueEvent(queue, 'released', released);
+    return released;
+};
+
+/**
+ * Lista as reservas ativas dos itens pendentes (enviadas quando o admin conecta ao stream).
+ * @param {string[]} queues
+ * @returns {Promise<object>} { deposit: [...], withdrawal: [...] } com os itens resumidos.
+ */
+const getActiveClaims = async (queues) => {
+    const now = new Date();
+    const claims = {};
+    for (const queue of queues) {
+        const items = await QUEUES[queue].model.find({ status: 'pending', 'claim.expiresAt': { $gt: now } }).select(QUEUE_ITEM_FIELDS.join(' '));
+        claims[queue] = items.map(toQueueItem);
+    }
+    return claims;
+};
+
+module.exports = {
+    QUEUE_CLAIM_TTL_MS,
+    publishQueueEvent,
+    subscribeQueueEvents,
+    getReadableQueues,
+    claimQueueItem,
+    releaseQueueItem,
+    getActiveClaims,
+};
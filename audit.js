@@ -0,0 +1,96 @@
+// audit.js
+// Trilha de auditoria das ações administrativas, gravada na coleção AuditEvent do MongoDB.
+// Cada evento registra quem agiu, sobre qual registro, de qual IP e o estado antes/depois.
+// A linha em logs/admin_actions.log (logAdminAction) continua sendo escrita como cópia.
+
+const { AuditEvent } = require('./models');
+const { logAdminAction, logError } = require('./utils');
+
+// Campos que nunca entram nos snapshots de auditoria
+const SENSITIVE_FIELDS = [
+    'password',
+    'twoFactorSecret',
+    'twoFactorPendingSecret',
+    'twoFactorBackupCodes',
+    'twoFactorLastUsedStep',
+    'refreshTokenHash',
+    'previousRefreshTokenHash',
+    'codeHash',
+    'secretPayload',
+    '__v',
+];
+
+// Campos que mudam em todo save e não interessam na comparação
+const IGNORED_DIFF_FIELDS = ['updatedAt'];
+
+/**
+ * Converte um documento (ou objeto) num snapshot simples, sem campos sensíveis.
+ * @param {object} doc - Documento Mongoose ou objeto simples.
+ * @returns {object|undefined}
+ */
+const toAuditSnapshot = (doc) => {
+    if (!doc) return undefined;
+    const snapshot = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : { ...doc };
+    for (const field of SENSITIVE_FIELDS) {
+        delete snapshot[field];
+    }
+    return snapshot;
+};
+
+/**
+ * Lista os campos de primeiro nível que diferem entre dois snapshots.
+ * @param {object} [before]
+ * @param {object} [after]
+ * @returns {string[]}
+ */
+const getChangedFields = (before = {}, after = {}) => {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...fields].filter(field => !IGNORED_DIFF_FIELDS.includes(field)
+        && JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+};
+
+/**
+ * Grava um evento de auditoria. Falhas na gravação são logadas e não interrompem a ação.
+ * @param {object|null} req - A requisição Express do admin (null para ações do sistema).
+ * @param {object} event
+ * @param {string} event.action - Código da ação, ex: 'deposit.approve'.
+ * @param {string} [event.targetModel] - Ex: 'Deposit'.
+ * @param {object} [event.targetId]
+ * @param {string} event.description - Descrição legível.
+ * @param {object} [event.before] - Estado antes da ação (documento ou objeto parcial).
+ * @param {object} [event.after] - Estado depois da ação.
+ * @param {object} [event.details] - Dados adicionais (ex: approvalRequestId).
+ * @returns {Promise<object|null>} O evento gravado, ou null em caso de falha.
+ */
+const recordAuditEvent = async (req, { action, targetModel, targetId, description, before, after, details = {} }) => {
+    const actor = req && req.user;
+    logAdminAction(actor ? actor._id : 'SYSTEM', description, { action, targetModel, targetId, ...details });
+
+    try {
+        const beforeSnapshot = toAuditSnapshot(before);
+        const afterSnapshot = toAuditSnapshot(after);
+        return await AuditEvent.create({
+            actorType: actor ? 'admin' : 'system',
+            actorId: actor ? actor._id : undefined,
+            actorRole: actor ? actor.adminRole : undefined,
+            action,
+            targetModel,
+            targetId,
+            description,
+            ip: req ? req.ip : undefined,
+            userAgent: req && req.get ? req.get('user-agent') : undefined,
+            before: beforeSnapshot,
+            after: afterSnapshot,
+            changedFields: beforeSnapshot && afterSnapshot ? getChangedFields(beforeSnapshot, afterSnapshot) : [],
+            details,
+        });
+    } catch (error) {
+        logError(`Falha ao gravar evento de auditoria: ${error.message}`, { action, targetId });
+        return null;
+    }
+};
+
+module.exports = {
+    recordAuditEvent,
+    toAuditSnapshot,
+};
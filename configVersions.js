@@ -0,0 +1,145 @@
+// configVersions.js
+// Versionamento das configurações globais (AdminConfig). Só os campos da lista de editáveis
+// podem ser alterados pelo painel; cada alteração grava um AdminConfigVersion com o snapshot,
+// quem alterou e quando, permitindo comparar versões e restaurar uma versão anterior.
+
+const { AdminConfig, AdminConfigVersion } = require('./models');
+const { logInfo } = require('./utils');
+
+// Campos que o painel pode alterar (singletonId, version e timestamps ficam de fora)
+const EDITABLE_CONFIG_FIELDS = [
+    'commissionOnPlanActivation',
+    'commissionOnDailyProfit',
+    'minDepositAmount',
+    'mpesaDepositNumber',
+    'mpesaRecipientName',
+    'emolaDepositNumber',
+    'emolaRecipientName',
+    'withdrawalStartTime',
+    'withdrawalEndTime',
+    'minWithdrawalAmount',
+    'maxWithdrawalAmount',
+    'withdrawalWindows',
+    'dailyWithdrawalLimit',
+    'weeklyWithdrawalLimit',
+    'monthlyWithdrawalLimit',
+    'withdrawalFeeFixed',
+    'withdrawalFeePercent',
+    'payoutMethodCoolingOffHours',
+    'fourEyesWithdrawalThreshold',
+    'fourEyesConfigChanges',
+    'fourEyesAdminCreation',
+    'fourEyesPasswordResets',
+];
+
+/**
+ * Separa os campos editáveis de um corpo de requisição.
+ * @param {object} body - Ex: req.body.
+ * @returns {{changes: object, unknownFields: string[]}} As alterações permitidas e os campos recusados.
+ */
+const pickConfigChanges = (body = {}) => {
+    const changes = {};
+    const unknownFields = [];
+    for (const [field, value] of Object.entries(body)) {
+        if (EDITABLE_CONFIG_FIELDS.includes(field)) {
+            changes[field] = value;
+        } else {
+            unknownFields.push(field);
+        }
+    }
+    return { changes, unknownFields };
+};
+
+/**
+ * Extrai os campos editáveis de um documento de configuração.
+ * @param {object} config - Documento AdminConfig.
+ * @returns {object}
+ */
+const toConfigSnapshot = (config) => {
+    const snapshot = {};
+    for (const field of EDITABLE_CONFIG_FIELDS) {
+        if (config[field] !== undefined) snapshot[field] = config[field];
+    }
+    return snapshot;
+};
+
+/**
+ * Compara dois snapshots de configuração.
+ * @param {object} from
+ * @param {object} to
+ * @returns {Array<{field: string, from: *, to: *}>} Os campos que mudaram.
+ */
+const diffConfigSnapshots = (from, to) => EDITABLE_CONFIG_FIELDS
+    .filter(field => JSON.stringify(from[field]) !== JSON.stringify(to[field]))
+    .map(field => ({ field, from: from[field], to: to[field] }));
+
+/**
+ * Grava uma nova versão das configurações. A troca é condicional à versão lida: se outro admin
+ * salvou no meio do caminho, nada é gravado e o chamador deve recarregar e tentar de novo.
+ * @param {object} currentConfig - O documento como estava antes da alteração.
+ * @param {object} nextConfig - O documento já alterado e validado.
+ * @param {object} meta
+ * @param {object} meta.changedBy - O admin responsável.
+ * @param {string} [meta.reason='update'] - 'update' ou 'rollback'.
+ * @param {number} [meta.rolledBackFrom] - Versão restaurada, em um rollback.
+ * @param {object} [meta.approvalRequestId] - Pedido de dupla aprovação, se houver.
+ * @returns {Promise<{config: object, version: object|null, changedFields: string[]}|null>}
+ * null em caso de conflito; version null se nada mudou.
+ */
+const saveConfigVersion = async (currentConfig, nextConfig, { changedBy, reason = 'update', rolledBackFrom, approvalRequestId }) => {
+    const snapshot = toConfigSnapshot(nextConfig);
+    const changedFields = diffConfigSnapshots(toConfigSnapshot(currentConfig), snapshot).map(change => change.field);
+    if (changedFields.length === 0) {
+        return { config: currentConfig, version: null, changedFields };
+    }
+
+    const nextVersion = currentConfig.version + 1;
+    const config = await AdminConfig.findOneAndUpdate(
+        { _id: currentConfig._id, version: currentConfig.version },
+        { $set: { ...snapshot, version: nextVersion } },
+        { new: true }
+    );
+    if (!config) return null;
+
+    const version = await AdminConfigVersion.create({
+        version: nextVersion,
+        snapshot,
+        changedFields,
+        reason,
+        rolledBackFrom,
+        changedBy,
+        approvalRequestId,
+    });
+    return { config, version, changedFields };
+};
+
+/**
+ * Garante que a versão atual das configurações esteja no histórico (configurações criadas
+ * antes do versionamento, ou recém-criadas). Chamada na inicialização.
+ */
+const ensureConfigHistory = async () => {
+    const config = await AdminConfig.findOne();
+    if (!config) return;
+
+    // Documentos antigos não têm o campo version gravado (o Mongoose só aplica o padrão na leitura)
+    await AdminConfig.updateOne({ _id: config._id, version: { $exists: false } }, { $set: { version: config.version } });
+
+    const exists = await AdminConfigVersion.exists({ version: config.version });
+    if (!exists) {
+        try {
+            await AdminConfigVersion.create({ version: config.version, snapshot: toConfigSnapshot(config), reason: 'initial' });
+            logInfo(`Versão ${config.version} das configurações registrada no histórico.`);
+        } catch (error) {
+            if (error.code !== 11000) throw error; // Outra instância registrou ao mesmo tempo
+        }
+    }
+};
+
+module.exports = {
+    EDITABLE_CONFIG_FIELDS,
+    pickConfigChanges,
+    toConfigSnapshot,
+    diffConfigSnapshots,
+    saveConfigVersion,
+    ensureConfigHistory,
+};
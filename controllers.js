@@ -2,29 +2,61 @@
 // Este arquivo contém toda a lógica de negócio (controladores) para as rotas da API.
 // Ele interage com os modelos do MongoDB para realizar operações no banco de dados.
 
-const { User, InvestmentPlan, Investment, Deposit, Withdrawal, AdminConfig } = require('./models');
-const { logInfo, logError, logAdminAction, generateReferralCode } = require('./utils');
+const mongoose = require('mongoose');
+const { User, InvestmentPlan, Investment, Deposit, Withdrawal, AdminConfig, LedgerEntry, ProfitRun, ProfitCredit, InternalTrigger, Session, PasswordResetCode, LoginThrottle, ApprovalRequest, AuditEvent, AdminConfigVersion, PaymentNotification, PayoutMethod, WithdrawalHoliday, Notification } = require('./models');
+const { logInfo, logError, logSecurityEvent, generateReferralCode, getBusinessDate, startOfBusinessDay, addBusinessDays } = require('./utils');
+const { postLedgerEntry, postLedgerEntryOnce, runInTransaction, rebuildUserBalance } = require('./ledger'); // Toda alteração de saldo passa pelo ledger
+const { withJobLock } = require('./jobLock'); // Lock distribuído para tarefas agendadas
+const { createSession, rotateRefreshToken, revokeSession, revokeUserSessions, findActiveSession, createStreamTicket } = require('./sessions'); // Sessões de login
+const { recordAuditEvent, toAuditSnapshot } = require('./audit'); // Trilha de auditoria das ações administrativas
+const { pickConfigChanges, diffConfigSnapshots, saveConfigVersion, ensureConfigHistory } = require('./configVersions'); // Histórico das configurações
+const { buildListQuery, fetchPage } = require('./pagination'); // Paginação por cursor das listagens do painel
+const { parsePaymentSms, getPaymentSmsFlags } = require('./paymentSms'); // Leitura do SMS de confirmação dos depósitos
+const { getPaymentProvider, createMockC2BNotification, toLocalNumber } = require('./paymentGateway'); // Confirmação automática de depósitos
+const { processWithdrawalPayout, isAutomaticPayoutMethod } = require('./payouts'); // Pagamento automático dos saques aprovados
+const { quoteWithdrawal } = require('./withdrawalRules'); // Janelas, feriados, limites e taxas de saque
+const { deleteStoredFile, getSignedFileUrl, resolveLocalPrivateFile } = require('./storage'); // Arquivos enviados (imagens e comprovativos)
+const { notifyUser, broadcastNotification } = require('./notifications'); // Central de notificações do usuário
+const { QUEUE_CLAIM_TTL_MS, publishQueueEvent, subscribeQueueEvents, getReadableQueues, claimQueueItem, releaseQueueItem, getActiveClaims } = require('./adminQueue'); // Filas do painel em tempo real
+const { queueUserMessage } = require('./outbox'); // Mensagens por SMS/WhatsApp (códigos de redefinição de senha)
+const { isWhatsAppAvailable } = require('./messageTransports'); // Canal WhatsApp só com provedor real
+const { generateTotpSecret, verifyTotp, buildOtpauthUri, generateBackupCodes, hashBackupCode } = require('./totp'); // 2FA
+const { ROLES, ADMIN_ROLES, hasPermission } = require('./permissions'); // Papéis administrativos
+const { getLoginThrottleKeys, claimLoginAttempt, registerLoginFailure, releaseLoginAttempt, clearLoginFailures, clearLockout } = require('./loginThrottle'); // Força bruta
 const bcrypt = require('bcryptjs'); // Para comparar senhas em login
-const fs = require('fs'); // Para ler arquivos de log
-const path = require('path'); // Para resolver caminhos de arquivo
+const crypto = require('crypto'); // Para gerar e verificar códigos de uso único
+const jwt = require('jsonwebtoken'); // Para o token temporário do segundo passo do login (2FA)
+// Nome do lock distribuído que impede execuções simultâneas do processamento diário
+const DAILY_PROFITS_LOCK = 'daily-profits';
 
-// Caminho para o arquivo de log de ações administrativas
-const ADMIN_ACTION_LOG_FILE = path.join(__dirname, 'logs', 'admin_actions.log');
+// Regras do código de redefinição de senha enviado por SMS
+const PASSWORD_RESET_CODE_TTL_MINUTES = 10;
+const PASSWORD_RESET_MAX_ATTEMPTS = 5; // Tentativas erradas antes de invalidar o código
+const PASSWORD_RESET_RESEND_COOLDOWN_SECONDS = 60;
+const PASSWORD_RESET_MAX_PER_PHONE_PER_HOUR = 3;
+const PASSWORD_RESET_MAX_PER_IP_PER_HOUR = 10;
+
+// Validade do token temporário entre a senha e o código 2FA no login
+const TWO_FACTOR_CHALLENGE_EXPIRE = '5m';
 
 
 // --- Funções Auxiliares Internas ---
 
 /**
- * Gera um token JWT e o envia como cookie e JSON.
+ * Cria uma sessão, gera o access token (JWT) e o refresh token e os envia como cookie e JSON.
  * @param {object} user - O objeto de usuário Mongoose.
  * @param {number} statusCode - O status HTTP da resposta.
+ * @param {object} req - O objeto de requisição Express.
  * @param {object} res - O objeto de resposta Express.
+ * @param {object} [options]
+ * @param {boolean} [options.twoFactorVerified=false] - Se o login passou pela verificação 2FA.
  */
-const sendTokenResponse = (user, statusCode, res) => {
-    const token = user.getSignedJwtToken();
+const sendTokenResponse = async (user, statusCode, req, res, { twoFactorVerified = false } = {}) => {
+    const { session, refreshToken } = await createSession(user, req, { twoFactorVerified });
+    const token = user.getSignedJwtToken(session._id);
 
     const options = {
-        expires: new Date(Date.now() + process.env.JWT_COOKIE_EXPIRE * 24 * 60 * 60 * 1000), // Converte dias para milissegundos
+        expires: new Date(jwt.decode(token).exp * 1000), // Mesma validade do access token (ACCESS_TOKEN_EXPIRE, padrão 15m)
         httpOnly: true, // O cookie não pode ser acessado via JavaScript no navegador
         secure: process.env.NODE_ENV === 'production', // Apenas HTTPS em produção
         sameSite: 'strict', // Proteção contra CSRF
@@ -33,12 +65,18 @@ const sendTokenResponse = (user, statusCode, res) => {
     res.status(statusCode).cookie('token', token, options).json({
         success: true,
         token,
+        refreshToken,
+        refreshTokenExpiresAt: session.expiresAt,
+        // Admins sem 2FA recebem uma sessão que só serve para cadastrar a 2FA
+        twoFactorSetupRequired: user.isAdmin && !user.twoFactorEnabled,
         user: {
             _id: user._id,
             phoneNumber: user.phoneNumber,
             balance: user.balance,
             totalCommissionEarned: user.totalCommissionEarned,
             isAdmin: user.isAdmin,
+            adminRole: user.adminRole,
+            twoFactorEnabled: user.twoFactorEnabled,
             status: user.status,
             referralCode: user.referralCode,
             invitedBy: user.invitedBy,
@@ -47,6 +85,49 @@ const sendTokenResponse = (user, statusCode, res) => {
     });
 };
 
+/**
+ * Responde 429 para uma tentativa de login barrada pelo throttle, com o cabeçalho Retry-After.
+ * @param {object} res - O objeto de resposta Express.
+ * @param {object} throttle - Resultado de claimLoginAttempt.
+ */
+const sendLoginThrottled = (res, throttle) => {
+    res.set('Retry-After', String(throttle.retryAfterSeconds));
+    return res.status(429).json({
+        message: throttle.locked
+            ? 'Muitas tentativas de login falhas. Acesso bloqueado temporariamente.'
+            : 'Muitas tentativas de login falhas. Aguarde antes de tentar novamente.',
+        retryAfterSeconds: throttle.retryAfterSeconds,
+    });
+};
+
+/**
+ * Valida um segundo fator (código TOTP de 6 dígitos ou código de backup) e o consome,
+ * de forma que o mesmo código não possa ser usado duas vezes.
+ * @param {object} user - Usuário com twoFactorSecret e twoFactorLastUsedStep selecionados.
+ * @param {string} code - Código TOTP ou código de backup.
+ * @returns {Promise<string|null>} 'totp' ou 'backup_code' se válido, null caso contrário.
+ */
+const consumeSecondFactor = async (user, code) => {
+    if (!code || !user.twoFactorSecret) return null;
+
+    if (/^\d{6}$/.test(String(code).trim())) {
+        const step = verifyTotp(user.twoFactorSecret, code, user.twoFactorLastUsedStep);
+        if (step === null) return null;
+        const accepted = await User.updateOne(
+            { _id: user._id, $or: [{ twoFactorLastUsedStep: { $lt: step } }, { twoFactorLastUsedStep: { $exists: false } }] },
+            { $set: { twoFactorLastUsedStep: step } }
+        );
+        return accepted.modifiedCount > 0 ? 'totp' : null;
+    }
+
+    const codeHash = hashBackupCode(code);
+    const consumed = await User.updateOne(
+        { _id: user._id, twoFactorBackupCodes: codeHash },
+        { $pull: { twoFactorBackupCodes: codeHash } }
+    );
+    return consumed.modifiedCount > 0 ? 'backup_code' : null;
+};
+
 /**
  * Cria o admin inicial se nenhum admin existir.
  */
@@ -65,6 +146,7 @@ const createInitialAdmin = async () => {
                 phoneNumber: '848441231',
                 password: '147258', 
                 isAdmin: true,
+                adminRole: 'super-admin',
                 status: 'active',
                 visitorId: 'initialAdminFingerprint', 
                 referralCode: generateReferralCode(),
@@ -74,11 +156,26 @@ const createInitialAdmin = async () => {
             logInfo('Admin inicial já existe. Pulando a criação.');
         }
 
+        // Admins criados antes dos papéis tinham acesso total: mantém esse acesso até um super-admin reatribuir
+        const adminsWithoutRole = await User.updateMany(
+            { isAdmin: true, adminRole: { $exists: false } },
+            { $set: { adminRole: 'super-admin' } }
+        );
+        if (adminsWithoutRole.modifiedCount > 0) {
+            await recordAuditEvent(null, {
+                action: 'admin.role_migrate',
+                targetModel: 'User',
+                description: `${adminsWithoutRole.modifiedCount} admin(s) sem papel receberam 'super-admin'.`,
+                details: { modifiedCount: adminsWithoutRole.modifiedCount },
+            });
+        }
+
         let adminConfig = await AdminConfig.findOne();
         if (!adminConfig) {
             adminConfig = await AdminConfig.create({}); 
             logInfo('AdminConfig inicial criada.');
         }
+        await ensureConfigHistory();
 
     } catch (error) {
         logError(`Erro inesperado ao criar admin inicial: ${error.message}`);
@@ -104,9 +201,18 @@ const registerUser = async (req, res) => {
         if (existingUsersWithSameVisitorId.length > 0) {
             for (const user of existingUsersWithSameVisitorId) {
                 if (user.status === 'active') {
+                    const before = toAuditSnapshot(user);
                     user.status = 'blocked';
                     await user.save();
-                    logAdminAction('SYSTEM', `Conta bloqueada automaticamente por visitorId duplicado.`, { userId: user._id, visitorId: visitorId });
+                    await recordAuditEvent(null, {
+                        action: 'user.auto_block',
+                        targetModel: 'User',
+                        targetId: user._id,
+                        description: 'Conta bloqueada automaticamente por visitorId duplicado.',
+                        before,
+                        after: user,
+                        details: { visitorId, ip: req.ip },
+                    });
                 }
             }
             return res.status(403).json({ message: 'Este dispositivo já foi usado para criar uma conta. Todas as contas associadas foram bloqueadas.' });
@@ -146,7 +252,7 @@ const registerUser = async (req, res) => {
         }
 
         logInfo(`Novo usuário registrado: ${phoneNumber}`);
-        sendTokenResponse(newUser, 201, res);
+        await sendTokenResponse(newUser, 201, req, res);
 
     } catch (error) {
         logError(`Erro no registro: ${error.message}`);
@@ -162,19 +268,30 @@ const loginUser = async (req, res) => {
         return res.status(400).json({ message: 'Por favor, forneça número de telefone e senha.' });
     }
 
+    const throttleKeys = getLoginThrottleKeys(phoneNumber, ipAddress);
+
     try {
+        // A tentativa é contada antes de conferir a senha e desfeita se o login der certo
+        const throttle = await claimLoginAttempt(throttleKeys, { phoneNumber, ip: ipAddress });
+        if (!throttle.allowed) {
+            return sendLoginThrottled(res, throttle);
+        }
+
         const user = await User.findOne({ phoneNumber }).select('+password');
 
         if (!user) {
+            await registerLoginFailure(throttleKeys, { phoneNumber, ip: ipAddress, reason: 'unknown_phone' });
             return res.status(401).json({ message: 'Credenciais inválidas.' });
         }
 
         if (user.status === 'blocked') {
+            await releaseLoginAttempt(throttleKeys);
             return res.status(403).json({ message: 'Sua conta está bloqueada.' });
         }
 
         const isMatch = await user.matchPassword(password);
         if (!isMatch) {
+            await registerLoginFailure(throttleKeys, { phoneNumber, ip: ipAddress, reason: 'wrong_password' });
             return res.status(401).json({ message: 'Credenciais inválidas.' });
         }
 
@@ -182,7 +299,18 @@ const loginUser = async (req, res) => {
         user.lastLoginAt = new Date();
         await user.save();
 
-        sendTokenResponse(user, 200, res);
+        // Com 2FA ativa, a senha só libera um token temporário para o segundo passo (/login/2fa);
+        // as falhas anteriores continuam valendo até o código ser confirmado
+        if (user.twoFactorEnabled) {
+            await releaseLoginAttempt(throttleKeys);
+            const challengeToken = jwt.sign({ id: user._id, purpose: '2fa_challenge' }, process.env.JWT_SECRET, {
+                expiresIn: TWO_FACTOR_CHALLENGE_EXPIRE,
+            });
+            return res.status(200).json({ success: true, twoFactorRequired: true, challengeToken });
+        }
+
+        await clearLoginFailures(throttleKeys);
+        await sendTokenResponse(user, 200, req, res);
 
     } catch (error) {
         logError(`Erro no login: ${error.message}`);
@@ -190,6 +318,445 @@ const loginUser = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Segundo passo do login com 2FA: troca o challengeToken + código pelo token completo.
+ */
+const verifyTwoFactorLogin = async (req, res) => {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+        return res.status(400).json({ message: 'Por favor, forneça o challengeToken e o código.' });
+    }
+
+    try {
+        let decoded;
+        try {
+            decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+        } catch (error) {
+            return res.status(401).json({ message: 'Etapa de login expirada. Faça login novamente.' });
+        }
+        if (decoded.purpose !== '2fa_challenge') {
+            return res.status(401).json({ message: 'Token inválido para esta etapa.' });
+        }
+
+        const user = await User.findById(decoded.id).select('+twoFactorSecret +twoFactorLastUsedStep');
+        if (!user || !user.twoFactorEnabled) {
+            return res.status(401).json({ message: 'Credenciais inválidas.' });
+        }
+        if (user.status === 'blocked') {
+            return res.status(403).json({ message: 'Sua conta está bloqueada.' });
+        }
+
+        // Códigos 2FA errados contam nas mesmas chaves de throttle do login por senha
+        const ipAddress = req.ip || req.connection.remoteAddress;
+        const throttleKeys = getLoginThrottleKeys(user.phoneNumber, ipAddress);
+        const throttle = await claimLoginAttempt(throttleKeys, { phoneNumber: user.phoneNumber, ip: ipAddress });
+        if (!throttle.allowed) {
+            return sendLoginThrottled(res, throttle);
+        }
+
+        const method = await consumeSecondFactor(user, code);
+        if (!method) {
+            logError(`Código 2FA inválido no login de ${user.phoneNumber}.`, { userId: user._id, ip: ipAddress });
+            await registerLoginFailure(throttleKeys, { phoneNumber: user.phoneNumber, ip: ipAddress, reason: 'wrong_2fa_code' });
+            return res.status(401).json({ message: 'Código de verificação inválido.' });
+        }
+        await clearLoginFailures(throttleKeys);
+        if (method === 'backup_code') {
+            logInfo(`Login de ${user.phoneNumber} com código de backup 2FA.`, { userId: user._id });
+        }
+
+        await sendTokenResponse(user, 200, req, res, { twoFactorVerified: true });
+    } catch (error) {
+        logError(`Erro na verificação 2FA: ${error.message}`);
+        res.status(500).json({ message: 'Erro ao verificar código.' });
+    }
+};
+
+// --- Two-Factor Authentication Controllers ---
+
+/**
+ * @desc    Inicia o cadastro da 2FA: gera um segredo pendente e a URI otpauth:// para o QR code.
+ */
+const setupTwoFactor = async (req, res) => {
+    try {
+        if (req.user.twoFactorEnabled) {
+            return res.status(400).json({ message: 'A autenticação de dois fatores já está ativa.' });
+        }
+
+        const secret = generateTotpSecret();
+        await User.updateOne({ _id: req.user._id }, { $set: { twoFactorPendingSecret: secret } });
+
+        res.status(200).json({
+            success: true,
+            secret,
+            otpauthUri: buildOtpauthUri(req.user.phoneNumber, secret),
+            message: 'Leia o QR code no aplicativo autenticador e confirme com um código.',
+        });
+    } catch (error) {
+        logError(`Erro ao iniciar cadastro 2FA: ${error.message}`, { userId: req.user._id });
+        res.status(500).json({ message: 'Erro ao iniciar cadastro da 2FA.' });
+    }
+};
+
+/**
+ * @desc    Confirma o cadastro da 2FA com um código do aplicativo e devolve os códigos de backup.
+ * A sessão atual passa a contar como verificada; as outras sessões são encerradas.
+ */
+const enableTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+        if (user.twoFactorEnabled) {
+            return res.status(400).json({ message: 'A autenticação de dois fatores já está ativa.' });
+        }
+        if (!user.twoFactorPendingSecret) {
+            return res.status(400).json({ message: 'Inicie o cadastro da 2FA primeiro.' });
+        }
+
+        const step = verifyTotp(user.twoFactorPendingSecret, req.body.code);
+        if (step === null) {
+            return res.status(400).json({ message: 'Código de verificação inválido.' });
+        }
+
+        const { codes, hashes } = generateBackupCodes();
+        await User.updateOne({ _id: user._id }, {
+            $set: {
+                twoFactorEnabled: true,
+                twoFactorSecret: user.twoFactorPendingSecret,
+                twoFactorLastUsedStep: step,
+                twoFactorBackupCodes: hashes,
+            },
+            $unset: { twoFactorPendingSecret: '' },
+        });
+        await Session.updateOne({ _id: req.authSession._id }, { $set: { twoFactorVerified: true } });
+        await revokeUserSessions(user._id, 'two_factor_enabled', req.authSession._id);
+
+        logInfo(`2FA ativada para ${user.phoneNumber}.`, { userId: user._id });
+        res.status(200).json({
+            success: true,
+            message: 'Autenticação de dois fatores ativada. Guarde os códigos de backup em local seguro.',
+            backupCodes: codes,
+        });
+    } catch (error) {
+        logError(`Erro ao ativar 2FA: ${error.message}`, { userId: req.user._id });
+        res.status(500).json({ message: 'Erro ao ativar a 2FA.' });
+    }
+};
+
+/**
+ * @desc    Desativa a 2FA (exige senha e código). Não permitido para administradores.
+ */
+const disableTwoFactor = async (req, res) => {
+    const { password, code } = req.body;
+
+    try {
+        if (req.user.isAdmin) {
+            return res.status(403).json({ message: 'A autenticação de dois fatores é obrigatória para administradores.' });
+        }
+
+        const user = await User.findById(req.user._id).select('+password +twoFactorSecret +twoFactorLastUsedStep');
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({ message: 'A autenticação de dois fatores não está ativa.' });
+        }
+        if (!password || !(await user.matchPassword(password)) || !(await consumeSecondFactor(user, code))) {
+            return res.status(401).json({ message: 'Senha ou código de verificação inválido.' });
+        }
+
+        await User.updateOne({ _id: user._id }, {
+            $set: { twoFactorEnabled: false },
+            $unset: { twoFactorSecret: '', twoFactorBackupCodes: '', twoFactorLastUsedStep: '' },
+        });
+
+        logInfo(`2FA desativada para ${user.phoneNumber}.`, { userId: user._id });
+        res.status(200).json({ success: true, message: 'Autenticação de dois fatores desativada.' });
+    } catch (error) {
+        logError(`Erro ao desativar 2FA: ${error.message}`, { userId: req.user._id });
+        res.status(500).json({ message: 'Erro ao desativar a 2FA.' });
+    }
+};
+
+/**
+ * @desc    Gera novos códigos de backup (os anteriores deixam de valer). Exige um código TOTP.
+ */
+const regenerateTwoFactorBackupCodes = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('+twoFactorSecret +twoFactorLastUsedStep');
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({ message: 'A autenticação de dois fatores não está ativa.' });
+        }
+        if (!/^\d{6}$/.test(String(req.body.code || '').trim()) || !(await consumeSecondFactor(user, req.body.code))) {
+            return res.status(401).json({ message: 'Código de verificação inválido.' });
+        }
+
+        const { codes, hashes } = generateBackupCodes();
+        await User.updateOne({ _id: user._id }, { $set: { twoFactorBackupCodes: hashes } });
+
+        res.status(200).json({ success: true, backupCodes: codes });
+    } catch (error) {
+        logError(`Erro ao gerar códigos de backup 2FA: ${error.message}`, { userId: req.user._id });
+        res.status(500).json({ message: 'Erro ao gerar códigos de backup.' });
+    }
+};
+
+// --- Session Controllers ---
+
+/**
+ * @desc    Troca um refresh token válido por um novo par de access token + refresh token.
+ */
+const refreshAccessToken = async (req, res) => {
+    try {
+        const rotated = await rotateRefreshToken(req.body.refreshToken, req);
+        if (!rotated) {
+            return res.status(401).json({ message: 'Refresh token inválido ou expirado. Faça login novamente.' });
+        }
+
+        const user = await User.findById(rotated.session.userId);
+        if (!user || user.status === 'blocked') {
+            await revokeSession(rotated.session._id, 'user_unavailable');
+            return res.status(403).json({ message: 'Sua conta está bloqueada ou não existe.' });
+        }
+
+        res.status(200).json({
+            success: true,
+            token: user.getSignedJwtToken(rotated.session._id),
+            refreshToken: rotated.refreshToken,
+            refreshTokenExpiresAt: rotated.session.expiresAt,
+        });
+    } catch (error) {
+        logError(`Erro ao renovar token: ${error.message}`);
+        res.status(500).json({ message: 'Erro ao renovar token.' });
+    }
+};
+
+/**
+ * @desc    Encerra a sessão atual.
+ */
+const logoutUser = async (req, res) => {
+    try {
+        await revokeSession(req.authSession._id, 'logout');
+        res.status(200).json({ success: true, message: 'Sessão encerrada.' });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao encerrar sessão.' });
+    }
+};
+
+/**
+ * @desc    Encerra todas as sessões do usuário ("sair de todos os dispositivos").
+ */
+const logoutAllSessions = async (req, res) => {
+    try {
+        const revokedCount = await revokeUserSessions(req.user._id, 'logout_all');
+        res.status(200).json({ success: true, message: 'Todas as sessões foram encerradas.', revokedCount });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao encerrar sessões.' });
+    }
+};
+
+/**
+ * @desc    Lista as sessões ativas do usuário, indicando qual é a atual.
+ */
+const getUserSessions = async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            userId: req.user._id,
+            revokedAt: { $exists: false },
+            expiresAt: { $gt: new Date() },
+        }).sort({ lastUsedAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            sessions: sessions.map(session => ({
+                _id: session._id,
+                ip: session.ip,
+                userAgent: session.userAgent,
+                createdAt: session.createdAt,
+                lastUsedAt: session.lastUsedAt,
+                expiresAt: session.expiresAt,
+                current: session._id.equals(req.authSession._id),
+            })),
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao obter sessões.' });
+    }
+};
+
+/**
+ * @desc    Encerra uma sessão específica do próprio usuário.
+ */
+const revokeUserSession = async (req, res) => {
+    try {
+        const session = await Session.findOne({ _id: req.params.id, userId: req.user._id });
+        if (!session) return res.status(404).json({ message: 'Sessão não encontrada.' });
+
+        await revokeSession(session._id, 'logout');
+        res.status(200).json({ success: true, message: 'Sessão encerrada.' });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao encerrar sessão.' });
+    }
+};
+
+// --- Password Controllers ---
+
+/**
+ * Calcula o hash SHA-256 de um código de uso único.
+ * @param {string} code - O código de 6 dígitos.
+ * @returns {string} Hash em hex.
+ */
+const hashOneTimeCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+/**
+ * @desc    Troca de senha pelo próprio usuário (exige a senha atual).
+ * As outras sessões do usuário são encerradas; a sessão atual continua válida.
+ */
+const changePassword = async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+        return res.status(400).json({ message: 'Por favor, forneça a senha atual e a nova senha.' });
+    }
+    if (String(newPassword).length < 6) {
+        return res.status(400).json({ message: 'A senha deve ter pelo menos 6 caracteres.' });
+    }
+
+    try {
+        const user = await User.findById(req.user._id).select('+password');
+        if (!(await user.matchPassword(currentPassword))) {
+            return res.status(401).json({ message: 'Senha atual incorreta.' });
+        }
+
+        user.password = newPassword;
+        await user.save();
+        await revokeUserSessions(user._id, 'password_changed', req.authSession._id);
+
+        logInfo(`Senha alterada pelo usuário ${user.phoneNumber}.`);
+        res.status(200).json({ success: true, message: 'Senha alterada. As outras sessões foram encerradas.' });
+    } catch (error) {
+        logError(`Erro ao alterar senha: ${error.message}`, { userId: req.user._id });
+        res.status(500).json({ message: 'Erro ao alterar senha.' });
+    }
+};
+
+/**
+ * @desc    Solicita um código de redefinição de senha, enviado por SMS ao phoneNumber.
+ * A resposta é sempre a mesma, exista ou não a conta, para não revelar números cadastrados.
+ */
+const requestPasswordReset = async (req, res) => {
+    const { phoneNumber } = req.body;
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const genericResponse = { success: true, message: 'Se o número estiver cadastrado, você receberá um código por SMS.' };
+
+    if (!phoneNumber || !/^\d{9}$/.test(phoneNumber)) {
+        return res.status(400).json({ message: 'Número de telefone inválido. Deve ter 9 dígitos.' });
+    }
+
+    try {
+        const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+        const [requestsForPhone, requestsForIp, lastRequest] = await Promise.all([
+            PasswordResetCode.countDocuments({ phoneNumber, createdAt: { $gte: oneHourAgo } }),
+            PasswordResetCode.countDocuments({ requestIp: ipAddress, createdAt: { $gte: oneHourAgo } }),
+            PasswordResetCode.findOne({ phoneNumber }).sort({ createdAt: -1 }),
+        ]);
+
+        if (requestsForPhone >= PASSWORD_RESET_MAX_PER_PHONE_PER_HOUR || requestsForIp >= PASSWORD_RESET_MAX_PER_IP_PER_HOUR) {
+            logError('Limite de solicitações de redefinição de senha atingido.', { phoneNumber, ip: ipAddress });
+            return res.status(429).json({ message: 'Muitas solicitações. Tente novamente mais tarde.' });
+        }
+        if (lastRequest && Date.now() - lastRequest.createdAt.getTime() < PASSWORD_RESET_RESEND_COOLDOWN_SECONDS * 1000) {
+            return res.status(429).json({ message: `Aguarde ${PASSWORD_RESET_RESEND_COOLDOWN_SECONDS} segundos antes de pedir um novo código.` });
+        }
+
+        const user = await User.findOne({ phoneNumber, status: 'active' });
+        if (!user) {
+            return res.status(200).json(genericResponse);
+        }
+
+        const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+        // Um novo código invalida os anteriores ainda não usados
+        await PasswordResetCode.updateMany({ phoneNumber, usedAt: { $exists: false } }, { $set: { expiresAt: new Date() } });
+        const expiresAt = new Date(Date.now() + PASSWORD_RESET_CODE_TTL_MINUTES * 60 * 1000);
+        await PasswordResetCode.create({
+            userId: user._id,
+            phoneNumber,
+            codeHash: hashOneTimeCode(code),
+            expiresAt,
+            requestIp: ipAddress,
+        });
+
+        // Enviado pela fila de mensagens, no idioma e canal do usuário (o código nunca é enviado depois de vencer)
+        const message = await queueUserMessage(user._id, 'password_reset', { code, minutes: PASSWORD_RESET_CODE_TTL_MINUTES }, { expiresAt });
+        if (!message) throw new Error('Não foi possível enfileirar o código de redefinição.');
+        logInfo(`Código de redefinição de senha enviado para ${phoneNumber}.`);
+
+        res.status(200).json(genericResponse);
+    } catch (error) {
+        logError(`Erro ao solicitar redefinição de senha: ${error.message}`, { phoneNumber });
+        res.status(500).json({ message: 'Erro ao solicitar redefinição de senha.' });
+    }
+};
+
+/**
+ * @desc    Redefine a senha com o código recebido por SMS e encerra todas as sessões.
+ */
+const resetPasswordWithCode = async (req, res) => {
+    const { phoneNumber, code, newPassword } = req.body;
+
+    if (!phoneNumber || !code || !newPassword) {
+        return res.status(400).json({ message: 'Por favor, forneça número de telefone, código e nova senha.' });
+    }
+    if (String(newPassword).length < 6) {
+        return res.status(400).json({ message: 'A senha deve ter pelo menos 6 caracteres.' });
+    }
+
+    try {
+        // A tentativa é contada antes da comparação, na mesma operação que confere o limite:
+        // tentativas simultâneas não passam todas pela verificação antes de serem contadas
+        const resetCode = await PasswordResetCode.findOneAndUpdate(
+            {
+                phoneNumber,
+                usedAt: { $exists: false },
+                expiresAt: { $gt: new Date() },
+                attempts: { $lt: PASSWORD_RESET_MAX_ATTEMPTS },
+            },
+            { $inc: { attempts: 1 } },
+            { new: true, sort: { createdAt: -1 } }
+        ).select('+codeHash');
+
+        if (!resetCode) {
+            return res.status(400).json({ message: 'Código inválido ou expirado.' });
+        }
+
+        if (resetCode.codeHash !== hashOneTimeCode(code)) {
+            logError('Código de redefinição de senha incorreto.', { phoneNumber, attempts: resetCode.attempts });
+            return res.status(400).json({ message: 'Código inválido ou expirado.' });
+        }
+
+        // Marca o código como usado de forma condicional: o mesmo código não redefine a senha duas vezes
+        const consumed = await PasswordResetCode.findOneAndUpdate(
+            { _id: resetCode._id, usedAt: { $exists: false } },
+            { $set: { usedAt: new Date() } }
+        );
+        if (!consumed) {
+            return res.status(400).json({ message: 'Código inválido ou expirado.' });
+        }
+
+        const user = await User.findById(resetCode.userId);
+        if (!user || user.status === 'blocked') {
+            return res.status(403).json({ message: 'Sua conta está bloqueada.' });
+        }
+
+        user.password = newPassword;
+        await user.save();
+        await revokeUserSessions(user._id, 'password_reset');
+
+        logInfo(`Senha redefinida por código SMS para ${phoneNumber}.`);
+        res.status(200).json({ success: true, message: 'Senha redefinida. Faça login com a nova senha.' });
+    } catch (error) {
+        logError(`Erro ao redefinir senha: ${error.message}`, { phoneNumber });
+        res.status(500).json({ message: 'Erro ao redefinir senha.' });
+    }
+};
+
 const getUserProfile = async (req, res) => {
     try {
         const user = await User.findById(req.user._id)
@@ -222,6 +789,11 @@ const getUserProfile = async (req, res) => {
                 referredUsers: user.referredUsers,
                 createdAt: user.createdAt,
                 lastLoginAt: user.lastLoginAt, 
+                messagingPreferences: {
+                    language: user.language,
+                    channel: user.messagingChannel,
+                    optOut: user.messagingOptOut,
+                },
             }
         });
     } catch (error) {
@@ -230,6 +802,46 @@ const getUserProfile = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Atualiza as preferências de mensagens por SMS/WhatsApp do usuário.
+ * Body (todos opcionais): language ('pt' ou 'en'), channel ('sms' ou 'whatsapp'), optOut (boolean).
+ * Com optOut, o usuário deixa de receber avisos, mas os códigos de segurança continuam sendo enviados.
+ */
+const updateMessagingPreferences = async (req, res) => {
+    const { language, channel, optOut } = req.body;
+
+    if (language !== undefined && !['pt', 'en'].includes(language)) {
+        return res.status(400).json({ message: "Idioma inválido. Use 'pt' ou 'en'." });
+    }
+    if (channel !== undefined && !['sms', 'whatsapp'].includes(channel)) {
+        return res.status(400).json({ message: "Canal inválido. Use 'sms' ou 'whatsapp'." });
+    }
+    if (channel === 'whatsapp' && !isWhatsAppAvailable()) {
+        return res.status(400).json({ message: 'O envio por WhatsApp ainda não está disponível. Use SMS.' });
+    }
+    if (optOut !== undefined && typeof optOut !== 'boolean') {
+        return res.status(400).json({ message: 'optOut deve ser true ou false.' });
+    }
+
+    try {
+        const update = {};
+        if (language !== undefined) update.language = language;
+        if (channel !== undefined) update.messagingChannel = channel;
+        if (optOut !== undefined) update.messagingOptOut = optOut;
+
+        const user = await User.findByIdAndUpdate(req.user._id, { $set: update }, { new: true, runValidators: true });
+        if (!user) return res.status(404).json({ message: 'Usuário não encontrado.' });
+
+        res.status(200).json({
+            success: true,
+            messagingPreferences: { language: user.language, channel: user.messagingChannel, optOut: user.messagingOptOut },
+        });
+    } catch (error) {
+        logError(`Erro ao atualizar preferências de mensagens: ${error.message}`, { userId: req.user._id });
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
 // --- Investment Plan Controllers (Admin) ---
 
 const createInvestmentPlan = async (req, res) => {
@@ -237,6 +849,7 @@ const createInvestmentPlan = async (req, res) => {
     const uploadedImageUrl = req.uploadedImageUrl; 
 
     if (!name || !minAmount || !dailyProfitRate) {
+        await deleteStoredFile(req.uploadedImage);
         return res.status(400).json({ message: 'Por favor, forneça nome, valor mínimo e taxa de lucro diário.' });
     }
     
@@ -249,11 +862,13 @@ const createInvestmentPlan = async (req, res) => {
             maxAmount,
             dailyProfitRate,
             imageUrl: uploadedImageUrl || req.body.imageUrl || 'https://res.cloudinary.com/default-image-url', 
+            image: req.uploadedImage,
         });
 
-        logAdminAction(req.user._id, `Plano criado: ${name}`);
+        await recordAuditEvent(req, { action: 'plan.create', targetModel: 'InvestmentPlan', targetId: plan._id, description: `Plano criado: ${name}`, after: plan });
         res.status(201).json({ success: true, plan });
     } catch (error) {
+        await deleteStoredFile(req.uploadedImage);
         res.status(500).json({ message: 'Erro ao criar plano.' });
     }
 };
@@ -284,7 +899,12 @@ const updateInvestmentPlan = async (req, res) => {
 
     try {
         let plan = await InvestmentPlan.findById(req.params.id);
-        if (!plan) return res.status(404).json({ message: 'Plano não encontrado.' });
+        if (!plan) {
+            await deleteStoredFile(req.uploadedImage);
+            return res.status(404).json({ message: 'Plano não encontrado.' });
+        }
+        const before = toAuditSnapshot(plan);
+        const previousImage = plan.image ? plan.image.toObject() : undefined;
 
         plan.name = name !== undefined ? name : plan.name;
         plan.minAmount = minAmount !== undefined ? minAmount : plan.minAmount;
@@ -294,13 +914,21 @@ const updateInvestmentPlan = async (req, res) => {
         
         if (uploadedImageUrl) {
             plan.imageUrl = uploadedImageUrl;
+            plan.image = req.uploadedImage;
         } else if (imageUrl !== undefined) { 
              plan.imageUrl = imageUrl;
+             plan.image = undefined; // URL externa: o arquivo enviado antes deixa de ser usado
         }
 
         await plan.save();
+        // Só apaga a imagem antiga depois que o plano já aponta para a nova
+        if (previousImage && (!plan.image || plan.image.key !== previousImage.key)) {
+            await deleteStoredFile(previousImage);
+        }
+        await recordAuditEvent(req, { action: 'plan.update', targetModel: 'InvestmentPlan', targetId: plan._id, description: `Plano atualizado: ${plan.name}`, before, after: plan });
         res.status(200).json({ success: true, plan });
     } catch (error) {
+        await deleteStoredFile(req.uploadedImage);
         res.status(500).json({ message: 'Erro ao atualizar plano.' });
     }
 };
@@ -316,6 +944,8 @@ const deleteInvestmentPlan = async (req, res) => {
         }
 
         await InvestmentPlan.findByIdAndDelete(req.params.id);
+        await deleteStoredFile(plan.image);
+        await recordAuditEvent(req, { action: 'plan.delete', targetModel: 'InvestmentPlan', targetId: plan._id, description: `Plano removido: ${plan.name}`, before: plan });
         res.status(200).json({ success: true, message: 'Plano removido.' });
     } catch (error) {
         res.status(500).json({ message: 'Erro ao deletar plano.' });
@@ -345,31 +975,64 @@ const activateInvestment = async (req, res) => {
             return res.status(400).json({ message: 'Saldo insuficiente.' });
         }
 
-        user.balance -= plan.minAmount;
-
         const endDate = new Date();
         endDate.setDate(endDate.getDate() + plan.durationDays);
 
-        const investment = await Investment.create({
+        // Débito, verificação de saldo e verificação de "nenhum investimento ativo" numa única
+        // atualização atômica: de duas ativações simultâneas, apenas uma passa.
+        const investmentId = new mongoose.Types.ObjectId();
+        const debitedUser = await postLedgerEntry({
             userId,
-            planId,
-            investedAmount: plan.minAmount, 
-            dailyProfitRate: plan.dailyProfitRate,
-            endDate: endDate,
-            lastProfitCreditDate: new Date() // O primeiro dia já conta como creditado (ou o ciclo começa amanhã)
+            amount: -plan.minAmount,
+            type: 'investment_activation',
+            referenceModel: 'Investment',
+            referenceId: investmentId,
+            description: `Ativação do plano ${plan.name}`,
+            conditions: { activeInvestments: { $size: 0 } },
+            update: { $push: { activeInvestments: investmentId } },
         });
+        if (!debitedUser) {
+            return res.status(400).json({ message: 'Saldo insuficiente ou investimento já ativo.' });
+        }
 
-        user.activeInvestments.push(investment._id);
-        await user.save();
+        let investment;
+        try {
+            investment = await Investment.create({
+                _id: investmentId,
+                userId,
+                planId,
+                investedAmount: plan.minAmount, 
+                dailyProfitRate: plan.dailyProfitRate,
+                endDate: endDate,
+                lastProfitCreditDate: new Date() // O primeiro dia já conta como creditado (ou o ciclo começa amanhã)
+            });
+        } catch (error) {
+            // Devolve o valor se o investimento não puder ser criado
+            await postLedgerEntry({
+                userId,
+                amount: plan.minAmount,
+                type: 'investment_refund',
+                referenceModel: 'Investment',
+                referenceId: investmentId,
+                description: 'Estorno de ativação não concluída',
+                update: { $pull: { activeInvestments: investmentId } },
+            });
+            throw error;
+        }
         
         // Comissão de Ativação
         if (user.invitedBy && adminConfig && adminConfig.commissionOnPlanActivation > 0) {
             const inviter = await User.findOne({ referralCode: user.invitedBy, status: 'active' });
             if (inviter) {
                 const commissionAmount = plan.minAmount * adminConfig.commissionOnPlanActivation;
-                inviter.balance += commissionAmount;
-                inviter.totalCommissionEarned += commissionAmount;
-                await inviter.save();
+                await postLedgerEntry({
+                    userId: inviter._id,
+                    amount: commissionAmount,
+                    type: 'activation_commission',
+                    referenceModel: 'Investment',
+                    referenceId: investment._id,
+                    description: `Comissão pela ativação do plano ${plan.name} por ${user.phoneNumber}`,
+                });
             }
         }
 
@@ -391,7 +1054,7 @@ const upgradeInvestment = async (req, res) => {
             return res.status(404).json({ message: 'Novo plano não encontrado.' });
         }
 
-        const activeInvestment = await Investment.findById(user.activeInvestments[0]).populate('planId'); 
+        const activeInvestment = await Investment.findOne({ _id: user.activeInvestments[0], status: 'active' }); 
         if (!activeInvestment) return res.status(400).json({ message: 'Nenhum investimento ativo encontrado.' });
 
         const priceDifference = newPlan.minAmount - activeInvestment.investedAmount;
@@ -399,20 +1062,51 @@ const upgradeInvestment = async (req, res) => {
 
         if (user.balance < priceDifference) return res.status(400).json({ message: 'Saldo insuficiente para upgrade.' });
 
-        user.balance -= priceDifference;
-        activeInvestment.planId = newPlan._id;
-        activeInvestment.investedAmount = newPlan.minAmount;
-        activeInvestment.dailyProfitRate = newPlan.dailyProfitRate;
-        
         const newEndDate = new Date();
         newEndDate.setDate(newEndDate.getDate() + newPlan.durationDays);
-        activeInvestment.endDate = newEndDate;
-        activeInvestment.lastProfitCreditDate = new Date(); 
-        
-        await activeInvestment.save();
-        await user.save();
 
-        res.status(200).json({ success: true, message: 'Upgrade concluído!', investment: activeInvestment });
+        // Troca o plano apenas se o investimento ainda estiver no valor lido acima:
+        // de dois upgrades simultâneos, só um consegue alterar o investimento.
+        const previousTerms = {
+            planId: activeInvestment.planId,
+            investedAmount: activeInvestment.investedAmount,
+            dailyProfitRate: activeInvestment.dailyProfitRate,
+            endDate: activeInvestment.endDate,
+            lastProfitCreditDate: activeInvestment.lastProfitCreditDate,
+        };
+        const upgradedInvestment = await Investment.findOneAndUpdate(
+            { _id: activeInvestment._id, status: 'active', investedAmount: activeInvestment.investedAmount },
+            { $set: {
+                planId: newPlan._id,
+                investedAmount: newPlan.minAmount,
+                dailyProfitRate: newPlan.dailyProfitRate,
+                endDate: newEndDate,
+                lastProfitCreditDate: new Date(),
+            } },
+            { new: true }
+        );
+        if (!upgradedInvestment) {
+            return res.status(409).json({ message: 'O investimento foi alterado por outra operação. Tente novamente.' });
+        }
+
+        const debitedUser = await postLedgerEntry({
+            userId,
+            amount: -priceDifference,
+            type: 'investment_upgrade',
+            referenceModel: 'Investment',
+            referenceId: activeInvestment._id,
+            description: `Upgrade para o plano ${newPlan.name}`,
+        });
+        if (!debitedUser) {
+            // Saldo gasto por outra requisição entre a leitura e o débito: desfaz a troca de plano
+            await Investment.updateOne(
+                { _id: activeInvestment._id, investedAmount: newPlan.minAmount },
+                { $set: previousTerms }
+            );
+            return res.status(400).json({ message: 'Saldo insuficiente para upgrade.' });
+        }
+
+        res.status(200).json({ success: true, message: 'Upgrade concluído!', investment: upgradedInvestment });
     } catch (error) {
         res.status(500).json({ message: 'Erro no upgrade.' });
     }
@@ -438,23 +1132,51 @@ const getUserInvestmentHistory = async (req, res) => {
 
 // --- Deposit Controllers ---
 
+/**
+ * @desc    Solicita um depósito. Aceita JSON ou multipart com a imagem do comprovativo no campo
+ * 'receipt'; a mensagem de confirmação pode faltar quando o comprovativo é enviado.
+ */
 const requestDeposit = async (req, res) => {
-    const { amount, confirmationMessage } = req.body;
+    const { confirmationMessage } = req.body;
+    const amount = Number(req.body.amount);
     const userId = req.user._id;
+    const receipt = req.uploadedImage;
+    let deposit = null;
 
     try {
         const adminConfig = await AdminConfig.findOne();
-        if (amount < (adminConfig?.minDepositAmount || 50)) {
+        if (!Number.isFinite(amount) || amount < (adminConfig?.minDepositAmount || 50)) {
+            await deleteStoredFile(receipt);
             return res.status(400).json({ message: 'Valor abaixo do mínimo.' });
         }
+        if (!confirmationMessage && !receipt) {
+            return res.status(400).json({ message: 'Envie a mensagem de confirmação ou o comprovativo do pagamento.' });
+        }
 
-        const deposit = await Deposit.create({ userId, amount, confirmationMessage });
-        const user = await User.findById(userId);
+        // Extrai os dados do SMS e sinaliza divergências; o admin continua decidindo a aprovação
+        const paymentDetails = parsePaymentSms(confirmationMessage);
+        const verificationFlags = getPaymentSmsFlags(paymentDetails, amount, adminConfig);
+
+        if (paymentDetails && paymentDetails.transactionId
+            && await Deposit.exists({ 'paymentDetails.transactionId': paymentDetails.transactionId })) {
+            await deleteStoredFile(receipt);
+            return res.status(400).json({ message: 'Este ID de transação já foi usado em outro depósito.' });
+        }
+
+        deposit = await Deposit.create({ userId, amount, confirmationMessage, receipt, paymentDetails: paymentDetails || undefined, verificationFlags });
+        const user = await User.findById(userId);
         user.depositHistory.push(deposit._id);
         await user.save();
+        publishQueueEvent('deposit', 'created', deposit);
 
         res.status(201).json({ success: true, message: 'Solicitação enviada.', deposit });
     } catch (error) {
+        // O comprovativo só fica guardado se o depósito foi registrado
+        if (!deposit) await deleteStoredFile(receipt);
+        // O índice único cobre o caso de dois pedidos simultâneos com o mesmo ID de transação
+        if (error.code === 11000 && error.keyPattern && error.keyPattern['paymentDetails.transactionId']) {
+            return res.status(400).json({ message: 'Este ID de transação já foi usado em outro depósito.' });
+        }
         res.status(500).json({ message: 'Erro ao depositar.' });
     }
 };
@@ -468,28 +1190,131 @@ const getUserDeposits = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Lista os depósitos (padrão: pendentes) com filtros e paginação por cursor.
+ * Query: status, from, to, minAmount, maxAmount, phone, sort (createdAt|amount), limit, cursor.
+ */
 const getPendingDeposits = async (req, res) => {
     try {
-        const deposits = await Deposit.find({ status: 'pending' }).populate('userId', 'phoneNumber');
-        res.status(200).json({ success: true, deposits });
+        const listQuery = await buildListQuery(req.query, {
+            statuses: Deposit.schema.path('status').enumValues,
+            defaultStatus: 'pending',
+            amountField: 'amount',
+            sortFields: ['createdAt', 'amount'],
+            userField: 'userId',
+        });
+        if (listQuery.error) return res.status(400).json({ message: listQuery.error });
+
+        const { items, pagination } = await fetchPage(Deposit, listQuery, { populate: ['userId', 'phoneNumber'] });
+        // Comprovativos são privados: cada listagem traz URLs assinadas de curta duração
+        const deposits = items.map(deposit => ({ ...deposit.toObject(), receiptUrl: getSignedFileUrl(deposit.receipt) }));
+        res.status(200).json({ success: true, deposits, pagination });
     } catch (error) {
         res.status(500).json({ message: 'Erro ao obter pendentes.' });
     }
 };
 
-const approveDeposit = async (req, res) => {
+/**
+ * @desc    Gera uma nova URL assinada para o comprovativo de um depósito (as da listagem expiram).
+ */
+const getDepositReceipt = async (req, res) => {
     try {
-        const deposit = await Deposit.findById(req.params.id);
-        if (!deposit || deposit.status !== 'pending') return res.status(400).json({ message: 'Inválido.' });
+        const deposit = await Deposit.findById(req.params.id).select('receipt');
+        if (!deposit) return res.status(404).json({ message: 'Depósito não encontrado.' });
+
+        const receiptUrl = getSignedFileUrl(deposit.receipt);
+        if (!receiptUrl) return res.status(404).json({ message: 'Este depósito não tem comprovativo.' });
+        res.status(200).json({ success: true, receiptUrl });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+/**
+ * @desc    Serve um arquivo privado do driver de armazenamento local por URL assinada
+ * (gerada por getSignedFileUrl). Sem login: a assinatura com expiração é a autorização.
+ */
+const serveLocalPrivateFile = (req, res) => {
+    const filePath = resolveLocalPrivateFile(req.params[0], req.query.expires, req.query.signature);
+    if (!filePath) return res.status(403).json({ message: 'Link inválido ou expirado.' });
 
-        deposit.status = 'approved';
-        deposit.approvalDate = new Date();
-        deposit.adminId = req.user._id;
-        await deposit.save();
+    res.set('Cache-Control', 'private, no-store');
+    res.sendFile(filePath, (error) => {
+        if (error && !res.headersSent) res.status(404).json({ message: 'Arquivo não encontrado.' });
+    });
+};
 
-        const user = await User.findById(deposit.userId);
-        user.balance += deposit.amount;
-        await user.save();
+/**
+ * Aprova um depósito pendente e credita o saldo pelo ledger. É o caminho único de aprovação,
+ * usado tanto pelo admin quanto pela confirmação automática do gateway de pagamento.
+ * @param {object} depositId
+ * @param {object} [options]
+ * @param {object} [options.req] - Requisição do admin que aprovou ou que simulou o pagamento
+ * (ausente na aprovação automática por um pagamento real).
+ * @param {object} [options.paymentNotification] - Notificação C2B que comprovou o pagamento.
+ * @returns {Promise<object|null>} O depósito aprovado, ou null se ele não estava mais pendente.
+ */
+const approvePendingDeposit = async (depositId, { req = null, paymentNotification } = {}) => {
+    const update = { status: 'approved', approvalDate: new Date() };
+    if (req) update.adminId = req.user._id;
+    if (paymentNotification) {
+        update.autoApproved = true;
+        update.paymentNotificationId = paymentNotification._id;
+    }
+
+    // A transição 'pending' -> 'approved' é condicional: se dois admins aprovarem ao
+    // mesmo tempo, apenas uma requisição encontra o depósito pendente e credita o saldo.
+    // Transição e crédito ficam na mesma transação: se o ledger falhar, o depósito continua pendente.
+    const deposit = await runInTransaction(async (session) => {
+        const approved = await Deposit.findOneAndUpdate(
+            { _id: depositId, status: 'pending' },
+            { $set: update, $unset: { claim: 1 } },
+            { new: true, session }
+        );
+        if (!approved) return null;
+
+        await postLedgerEntry({
+            userId: approved.userId,
+            amount: approved.amount,
+            type: 'deposit',
+            referenceModel: 'Deposit',
+            referenceId: approved._id,
+            description: paymentNotification ? `Depósito confirmado automaticamente (${paymentNotification.provider})` : 'Depósito aprovado',
+            session,
+        });
+        return approved;
+    });
+    if (!deposit) return null;
+    publishQueueEvent('deposit', 'updated', deposit);
+
+    await recordAuditEvent(req, {
+        action: paymentNotification ? 'deposit.auto_approve' : 'deposit.approve',
+        targetModel: 'Deposit',
+        targetId: deposit._id,
+        description: paymentNotification
+            ? `Depósito de ${deposit.amount} MT aprovado automaticamente pela transação ${paymentNotification.transactionId} (${paymentNotification.provider})${req ? ', simulada por um administrador' : ''}.`
+            : `Depósito de ${deposit.amount} MT aprovado.`,
+        before: { status: 'pending' },
+        after: { status: deposit.status, approvalDate: deposit.approvalDate, adminId: deposit.adminId, autoApproved: deposit.autoApproved },
+        details: {
+            userId: deposit.userId,
+            amount: deposit.amount,
+            paymentNotificationId: paymentNotification ? paymentNotification._id : undefined,
+        },
+    });
+    await notifyUser(deposit.userId, {
+        type: 'deposit_approved',
+        title: 'Depósito aprovado',
+        message: `O seu depósito de ${deposit.amount} MT foi aprovado e o valor já está no seu saldo.`,
+        data: { depositId: deposit._id, amount: deposit.amount },
+    });
+    return deposit;
+};
+
+const approveDeposit = async (req, res) => {
+    try {
+        const deposit = await approvePendingDeposit(req.params.id, { req });
+        if (!deposit) return res.status(400).json({ message: 'Inválido.' });
 
         res.status(200).json({ success: true, message: 'Aprovado.' });
     } catch (error) {
@@ -499,312 +1324,2499 @@ const approveDeposit = async (req, res) => {
 
 const rejectDeposit = async (req, res) => {
     try {
-        const deposit = await Deposit.findById(req.params.id);
-        if (!deposit || deposit.status !== 'pending') return res.status(400).json({ message: 'Inválido.' });
-
-        deposit.status = 'rejected';
-        deposit.adminId = req.user._id;
-        await deposit.save();
-
+        const deposit = await Deposit.findOneAndUpdate(
+            { _id: req.params.id, status: 'pending' },
+            { $set: { status: 'rejected', adminId: req.user._id }, $unset: { claim: 1 } },
+            { new: true }
+        );
+        if (!deposit) return res.status(400).json({ message: 'Inválido.' });
+        publishQueueEvent('deposit', 'updated', deposit);
+
+        await recordAuditEvent(req, {
+            action: 'deposit.reject',
+            targetModel: 'Deposit',
+            targetId: deposit._id,
+            description: `Depósito de ${deposit.amount} MT rejeitado.`,
+            before: { status: 'pending' },
+            after: { status: deposit.status, adminId: deposit.adminId },
+            details: { userId: deposit.userId, amount: deposit.amount },
+        });
+        await notifyUser(deposit.userId, {
+            type: 'deposit_rejected',
+            title: 'Depósito rejeitado',
+            message: `O seu depósito de ${deposit.amount} MT foi rejeitado. Confira o comprovativo e fale com o suporte se precisar.`,
+            data: { depositId: deposit._id, amount: deposit.amount },
+        });
         res.status(200).json({ success: true, message: 'Rejeitado.' });
     } catch (error) {
         res.status(500).json({ message: 'Erro.' });
     }
 };
 
-// --- Withdrawal Controllers ---
+// --- Payment Gateway (C2B) ---
+// Os provedores de pagamento notificam cada pagamento recebido pelo webhook. A notificação é
+// conciliada com um depósito pendente e, havendo correspondência exata, o depósito é aprovado
+// pelo mesmo caminho da aprovação manual (approvePendingDeposit). O resto fica para o admin.
 
-const isWithdrawalTimeAllowed = (startTime, endTime) => {
-    const now = new Date();
-    const currentHour = now.getHours();
-    const currentMinute = now.getMinutes();
+/**
+ * Procura o depósito pendente que corresponde a um pagamento recebido.
+ * Ordem: referência (ID do depósito), ID de transação já lido do SMS, e por fim telefone + valor.
+ * Em todos os casos o valor e o telefone do pagador precisam ser os do depósito e do seu dono.
+ * @param {object} payment - { transactionId, amount, phoneNumber, reference }.
+ * @returns {Promise<{status: string, deposit?: object, matchedBy?: string, reason?: string}>}
+ */
+const findDepositForPayment = async (payment) => {
+    const byReference = payment.reference && mongoose.isValidObjectId(payment.reference)
+        ? await Deposit.findOne({ _id: payment.reference, status: 'pending' })
+        : null;
+    const byTransactionId = byReference
+        ? null
+        : await Deposit.findOne({ 'paymentDetails.transactionId': payment.transactionId, status: 'pending' });
+
+    const referenced = byReference || byTransactionId;
+    if (referenced) {
+        if (referenced.amount !== payment.amount) {
+            return { status: 'unmatched', deposit: referenced, reason: 'amount_mismatch' };
+        }
+        // Referência ou ID de transação digitados no depósito de outra pessoa não creditam a conta errada
+        const owner = await User.findById(referenced.userId).select('phoneNumber');
+        if (!owner || owner.phoneNumber !== payment.phoneNumber) {
+            return { status: 'unmatched', deposit: referenced, reason: 'payer_mismatch' };
+        }
+        return { status: 'matched', deposit: referenced, matchedBy: byReference ? 'reference' : 'transaction_id' };
+    }
 
-    const parseTime = (timeStr) => {
-        const [hour, minute] = timeStr.split(':').map(Number);
-        return hour * 60 + minute;
-    };
+    const payer = payment.phoneNumber ? await User.findOne({ phoneNumber: payment.phoneNumber }) : null;
+    if (!payer) return { status: 'unmatched', reason: 'payer_not_found' };
 
-    const currentTimeInMinutes = currentHour * 60 + currentMinute;
-    return currentTimeInMinutes >= parseTime(startTime) && currentTimeInMinutes <= parseTime(endTime);
+    const candidates = await Deposit.find({ userId: payer._id, status: 'pending', amount: payment.amount }).limit(2);
+    if (candidates.length === 1) {
+        return { status: 'matched', deposit: candidates[0], matchedBy: 'phone_amount' };
+    }
+    if (candidates.length > 1) {
+        return { status: 'ambiguous', reason: 'multiple_pending_deposits' };
+    }
+    return { status: 'unmatched', reason: 'no_pending_deposit' };
 };
 
-const requestWithdrawal = async (req, res) => {
-    const { amount, walletAddress } = req.body;
-    const userId = req.user._id;
+// Tempo que uma entrega tem para conciliar a notificação antes que um reenvio possa retomá-la
+const PAYMENT_NOTIFICATION_LEASE_MS = 2 * 60 * 1000;
 
-    try {
-        const user = await User.findById(userId);
-        const config = await AdminConfig.findOne();
+/**
+ * Concilia uma notificação já registrada: procura o depósito e o aprova se houver correspondência.
+ * @param {object} notification - A notificação (reservada por esta entrega).
+ * @param {object} payment - O pagamento normalizado pelo provedor.
+ * @param {object} [req] - Requisição do admin, quando o pagamento foi simulado pelo painel.
+ * @returns {Promise<object>} O resultado a gravar na notificação.
+ */
+const reconcilePaymentNotification = async (notification, payment, req) => {
+    // Uma tentativa anterior pode ter aprovado o depósito e falhado antes de gravar o resultado
+    const alreadyApproved = await Deposit.findOne({ paymentNotificationId: notification._id });
+    if (alreadyApproved) {
+        return { status: 'matched', depositId: alreadyApproved._id, processedAt: new Date() };
+    }
+
+    const match = await findDepositForPayment(payment);
+    const result = {
+        status: match.status,
+        matchedBy: match.matchedBy,
+        reason: match.reason,
+        depositId: match.deposit ? match.deposit._id : undefined,
+        processedAt: new Date(),
+    };
 
-        if (config && !isWithdrawalTimeAllowed(config.withdrawalStartTime, config.withdrawalEndTime)) {
-            return res.status(400).json({ message: 'Fora do horário de saque.' });
+    if (match.status === 'matched') {
+        const deposit = await approvePendingDeposit(match.deposit._id, { req, paymentNotification: notification });
+        if (!deposit) {
+            // Outro pagamento ou um admin aprovou o depósito no meio do caminho
+            Object.assign(result, { status: 'unmatched', matchedBy: undefined, reason: 'deposit_no_longer_pending' });
         }
+    }
+    return result;
+};
 
-        if (amount < config.minWithdrawalAmount || amount > config.maxWithdrawalAmount) {
-            return res.status(400).json({ message: 'Valor fora dos limites.' });
+/**
+ * Registra uma notificação C2B e tenta aprovar o depósito correspondente.
+ * Reenvios de uma transação já conciliada (mesmo provedor e transactionId) não são processados de
+ * novo. Se a conciliação falhar, a notificação fica 'failed' e o erro é relançado (o webhook
+ * responde 5xx), para que o reenvio do provedor tente outra vez.
+ * @param {object} provider - O provedor de pagamento.
+ * @param {object} payment - O pagamento normalizado pelo provedor.
+ * @param {object} [options]
+ * @param {object} [options.req] - Requisição do admin, quando o pagamento foi simulado pelo painel.
+ * @returns {Promise<{notification: object, duplicate: boolean}>}
+ */
+const processPaymentNotification = async (provider, payment, { req = null } = {}) => {
+    const now = new Date();
+    const processingUntil = new Date(now.getTime() + PAYMENT_NOTIFICATION_LEASE_MS);
+    let notification;
+    try {
+        notification = await PaymentNotification.create({ provider: provider.name, ...payment, processingUntil });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        // Reenvio: só retoma a notificação se ela ainda não foi conciliada e nenhuma entrega está nela
+        notification = await PaymentNotification.findOneAndUpdate(
+            {
+                provider: provider.name,
+                transactionId: payment.transactionId,
+                processedAt: { $exists: false },
+                $or: [{ processingUntil: { $exists: false } }, { processingUntil: { $lte: now } }],
+            },
+            { $set: { status: 'received', processingUntil }, $unset: { error: 1 } },
+            { new: true }
+        );
+        if (!notification) {
+            const existing = await PaymentNotification.findOne({ provider: provider.name, transactionId: payment.transactionId });
+            return { notification: existing, duplicate: true };
         }
+        logInfo(`Notificação de pagamento ${provider.name}/${payment.transactionId} retomada após falha anterior.`);
+    }
 
-        if (user.balance < amount) return res.status(400).json({ message: 'Saldo insuficiente.' });
+    let result;
+    try {
+        result = await reconcilePaymentNotification(notification, payment, req);
+    } catch (error) {
+        await PaymentNotification.updateOne(
+            { _id: notification._id },
+            { $set: { status: 'failed', error: error.message }, $unset: { processingUntil: 1 } }
+        );
+        throw error;
+    }
 
-        user.balance -= amount;
-        const withdrawal = await Withdrawal.create({ userId, amount, walletAddress });
-        user.withdrawalHistory.push(withdrawal._id);
-        await user.save();
+    const processed = await PaymentNotification.findByIdAndUpdate(notification._id, { $set: result, $unset: { processingUntil: 1, error: 1 } }, { new: true });
+    logInfo(`Notificação de pagamento ${provider.name}/${payment.transactionId}: ${result.status}.`, { amount: payment.amount, depositId: result.depositId, reason: result.reason });
+    return { notification: processed, duplicate: false };
+};
+
+/**
+ * @desc    Webhook de notificações C2B dos provedores de pagamento. Exige assinatura válida do provedor.
+ * @route   POST /api/payments/webhook/:provider
+ */
+const receivePaymentWebhook = async (req, res) => {
+    const provider = getPaymentProvider(req.params.provider);
+    if (!provider) {
+        return res.status(404).json({ message: 'Provedor de pagamento desconhecido ou desativado.' });
+    }
+    if (!provider.verifySignature({ rawBody: req.rawBody, headers: req.headers })) {
+        logSecurityEvent(`Webhook de pagamento com assinatura inválida (${provider.name}).`, { ip: req.ip });
+        return res.status(401).json({ message: 'Assinatura inválida.' });
+    }
+
+    const payment = provider.parseC2BNotification(req.body);
+    if (!payment) {
+        return res.status(400).json({ message: 'Notificação de pagamento inválida.' });
+    }
 
-        res.status(201).json({ success: true, message: 'Saque solicitado.', withdrawal });
+    try {
+        const result = await processPaymentNotification(provider, payment);
+        res.status(200).json(provider.buildAcknowledgement(result));
     } catch (error) {
-        res.status(500).json({ message: 'Erro.' });
+        logError(`Erro ao processar notificação de pagamento: ${error.message}`, { provider: provider.name, transactionId: payment.transactionId });
+        res.status(500).json({ message: 'Erro ao processar notificação.' });
     }
 };
 
-const getUserWithdrawals = async (req, res) => {
+/**
+ * @desc    Lista as notificações de pagamento recebidas (padrão: todas), com os filtros e a
+ * paginação das demais listagens do painel.
+ */
+const getPaymentNotifications = async (req, res) => {
     try {
-        const withdrawals = await Withdrawal.find({ userId: req.user._id }).sort({ requestDate: -1 });
-        res.status(200).json({ success: true, withdrawals });
+        const listQuery = await buildListQuery(req.query, {
+            statuses: PaymentNotification.schema.path('status').enumValues,
+            defaultStatus: 'all',
+            amountField: 'amount',
+            sortFields: ['createdAt', 'amount'],
+            phoneField: 'phoneNumber',
+        });
+        if (listQuery.error) return res.status(400).json({ message: listQuery.error });
+
+        const { items: notifications, pagination } = await fetchPage(PaymentNotification, listQuery);
+        res.status(200).json({ success: true, notifications, pagination });
     } catch (error) {
         res.status(500).json({ message: 'Erro.' });
     }
 };
 
-const getPendingWithdrawals = async (req, res) => {
+/**
+ * @desc    Simula um pagamento C2B pelo provedor 'mock' (apenas com ele habilitado em PAYMENT_PROVIDERS,
+ * nunca em produção). A notificação assinada passa pela mesma verificação e conciliação do webhook;
+ * a simulação e a eventual aprovação ficam registradas na auditoria em nome do admin.
+ * Body: { amount, phoneNumber, reference?, transactionId? }
+ */
+const simulateMockPayment = async (req, res) => {
+    const provider = getPaymentProvider('mock');
+    if (!provider) {
+        return res.status(404).json({ message: 'O provedor mock não está habilitado.' });
+    }
+    const { amount, phoneNumber, reference, transactionId } = req.body;
+    if (!(Number(amount) > 0) || !/^\d{9}$/.test(toLocalNumber(phoneNumber))) {
+        return res.status(400).json({ message: 'Informe amount e um phoneNumber de 9 dígitos.' });
+    }
+
     try {
-        const withdrawals = await Withdrawal.find({ status: 'pending' }).populate('userId', 'phoneNumber');
-        res.status(200).json({ success: true, withdrawals });
+        const { rawBody, headers, body } = createMockC2BNotification({ amount, phoneNumber, reference, transactionId });
+        if (!provider.verifySignature({ rawBody, headers })) {
+            return res.status(500).json({ message: 'Falha ao assinar a notificação simulada.' });
+        }
+        const result = await processPaymentNotification(provider, provider.parseC2BNotification(body), { req });
+        await recordAuditEvent(req, {
+            action: 'payment.simulate',
+            targetModel: 'PaymentNotification',
+            targetId: result.notification._id,
+            description: `Pagamento simulado de ${body.amount} MT de ${phoneNumber}: ${result.notification.status}.`,
+            details: { amount: body.amount, transactionId: body.transactionId, reference, depositId: result.notification.depositId, duplicate: result.duplicate },
+        });
+        res.status(200).json({ success: true, ...result });
     } catch (error) {
-        res.status(500).json({ message: 'Erro.' });
+        logError(`Erro ao simular pagamento: ${error.message}`);
+        res.status(500).json({ message: error.message });
     }
 };
 
-const approveWithdrawal = async (req, res) => {
-    try {
-        const withdrawal = await Withdrawal.findById(req.params.id);
-        if (!withdrawal || withdrawal.status !== 'pending') return res.status(400).json({ message: 'Inválido.' });
+// --- Payout Method Controllers ---
+// Métodos de recebimento salvos pelo usuário (M-Pesa, e-Mola ou conta bancária). Os saques
+// apontam para um deles em vez de um texto livre. Um método novo só pode receber saques depois
+// do período de carência (payoutMethodCoolingOffHours), para limitar o estrago de uma conta invadida.
 
-        withdrawal.status = 'approved';
-        withdrawal.approvalDate = new Date();
-        withdrawal.adminId = req.user._id;
-        await withdrawal.save();
+const MAX_PAYOUT_METHODS_PER_USER = 5;
 
-        res.status(200).json({ success: true, message: 'Aprovado.' });
+const PAYOUT_METHOD_LABELS = {
+    mpesa: 'M-Pesa',
+    emola: 'e-Mola',
+    bank: 'Banco',
+};
+
+/**
+ * Normaliza o número informado: remove espaços e traços e, nas carteiras, o código do país.
+ * @param {string} method
+ * @param {string} accountNumber
+ * @returns {string}
+ */
+const normalizePayoutAccountNumber = (method, accountNumber) => {
+    const digits = String(accountNumber || '').replace(/[\s-]/g, '');
+    return method === 'bank' ? digits : digits.replace(/^\+?258(?=\d{9}$)/, '');
+};
+
+/**
+ * Monta o texto de detalhes de pagamento exibido no painel (Método - Nome - Número).
+ * @param {object} payoutMethod
+ * @returns {string}
+ */
+const formatPayoutMethod = (payoutMethod) => [
+    payoutMethod.method === 'bank' ? `${PAYOUT_METHOD_LABELS.bank} ${payoutMethod.bankName}` : PAYOUT_METHOD_LABELS[payoutMethod.method],
+    payoutMethod.accountHolderName,
+    payoutMethod.accountNumber,
+].join(' - ');
+
+/**
+ * @desc    Lista os métodos de recebimento ativos do usuário (o padrão primeiro).
+ */
+const getPayoutMethods = async (req, res) => {
+    try {
+        const payoutMethods = await PayoutMethod.find({ userId: req.user._id, status: 'active' }).sort({ isDefault: -1, createdAt: -1 });
+        res.status(200).json({ success: true, payoutMethods });
     } catch (error) {
         res.status(500).json({ message: 'Erro.' });
     }
 };
 
-const rejectWithdrawal = async (req, res) => {
+/**
+ * @desc    Cadastra um método de recebimento.
+ * Body: method (mpesa|emola|bank), accountHolderName, accountNumber, bankName (só banco), isDefault.
+ * O primeiro método cadastrado vira o padrão.
+ */
+const addPayoutMethod = async (req, res) => {
+    const { method, accountHolderName, bankName } = req.body;
+    const userId = req.user._id;
+
     try {
-        const withdrawal = await Withdrawal.findById(req.params.id);
-        if (!withdrawal || withdrawal.status !== 'pending') return res.status(400).json({ message: 'Inválido.' });
+        const activeCount = await PayoutMethod.countDocuments({ userId, status: 'active' });
+        if (activeCount >= MAX_PAYOUT_METHODS_PER_USER) {
+            return res.status(400).json({ message: `Limite de ${MAX_PAYOUT_METHODS_PER_USER} métodos de recebimento atingido. Remova um para cadastrar outro.` });
+        }
 
-        withdrawal.status = 'rejected';
-        withdrawal.adminId = req.user._id;
-        await withdrawal.save();
+        const config = await getAdminConfigOrDefaults();
+        const payoutMethod = new PayoutMethod({
+            userId,
+            method,
+            accountHolderName,
+            accountNumber: normalizePayoutAccountNumber(method, req.body.accountNumber),
+            bankName: method === 'bank' ? bankName : undefined,
+            availableAt: new Date(Date.now() + config.payoutMethodCoolingOffHours * 60 * 60 * 1000),
+        });
+        await payoutMethod.validate();
 
-        const user = await User.findById(withdrawal.userId);
-        user.balance += withdrawal.amount;
-        await user.save();
+        const makeDefault = activeCount === 0 || req.body.isDefault === true;
+        if (makeDefault) {
+            await PayoutMethod.updateMany({ userId, status: 'active', isDefault: true }, { $set: { isDefault: false } });
+            payoutMethod.isDefault = true;
+        }
+        await payoutMethod.save();
 
-        res.status(200).json({ success: true, message: 'Rejeitado e saldo devolvido.' });
+        logSecurityEvent(`Método de recebimento cadastrado (${payoutMethod.method}).`, { userId, payoutMethodId: payoutMethod._id, accountNumber: payoutMethod.accountNumber, ip: req.ip });
+        res.status(201).json({ success: true, message: 'Método de recebimento cadastrado.', payoutMethod });
     } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: Object.values(error.errors)[0].message });
+        }
+        if (error.code === 11000) {
+            return res.status(409).json({ message: error.keyPattern && error.keyPattern.accountNumber ? 'Este número já está cadastrado.' : 'Conflito ao salvar. Tente novamente.' });
+        }
+        logError(`Erro ao cadastrar método de recebimento: ${error.message}`, { userId });
         res.status(500).json({ message: 'Erro.' });
     }
 };
 
-// --- Admin Panel Controllers ---
-
-const getDepositConfig = async (req, res) => {
+/**
+ * @desc    Remove um método de recebimento. Se era o padrão, o mais recente dos restantes vira padrão.
+ * Saques já pedidos não são afetados: guardam uma cópia dos dados do método.
+ */
+const removePayoutMethod = async (req, res) => {
+    const userId = req.user._id;
     try {
-        const config = await AdminConfig.findOne();
-        res.status(200).json({ success: true, config });
+        const removed = await PayoutMethod.findOneAndUpdate(
+            { _id: req.params.id, userId, status: 'active' },
+            { $set: { status: 'removed', removedAt: new Date(), isDefault: false } }
+        );
+        if (!removed) return res.status(404).json({ message: 'Método de recebimento não encontrado.' });
+
+        if (removed.isDefault) {
+            const next = await PayoutMethod.findOne({ userId, status: 'active' }).sort({ createdAt: -1 });
+            if (next) await PayoutMethod.updateOne({ _id: next._id, status: 'active' }, { $set: { isDefault: true } });
+        }
+
+        logSecurityEvent(`Método de recebimento removido (${removed.method}).`, { userId, payoutMethodId: removed._id, ip: req.ip });
+        res.status(200).json({ success: true, message: 'Método de recebimento removido.' });
     } catch (error) {
+        logError(`Erro ao remover método de recebimento: ${error.message}`, { userId });
         res.status(500).json({ message: 'Erro.' });
     }
 };
 
-const getAdminConfig = async (req, res) => {
+/**
+ * @desc    Define o método de recebimento padrão do usuário.
+ */
+const setDefaultPayoutMethod = async (req, res) => {
+    const userId = req.user._id;
     try {
-        const config = await AdminConfig.findOne();
-        res.status(200).json({ success: true, config });
+        const payoutMethod = await PayoutMethod.findOne({ _id: req.params.id, userId, status: 'active' });
+        if (!payoutMethod) return res.status(404).json({ message: 'Método de recebimento não encontrado.' });
+
+        if (!payoutMethod.isDefault) {
+            // O índice único de método padrão impede dois padrões se houver pedidos simultâneos
+            await PayoutMethod.updateMany({ userId, status: 'active', isDefault: true }, { $set: { isDefault: false } });
+            await PayoutMethod.updateOne({ _id: payoutMethod._id, status: 'active' }, { $set: { isDefault: true } });
+            payoutMethod.isDefault = true;
+        }
+
+        res.status(200).json({ success: true, message: 'Método padrão atualizado.', payoutMethod });
     } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'Conflito ao salvar. Tente novamente.' });
+        }
+        logError(`Erro ao definir método de recebimento padrão: ${error.message}`, { userId });
         res.status(500).json({ message: 'Erro.' });
     }
 };
 
-const updateAdminConfig = async (req, res) => {
-    try {
-        let config = await AdminConfig.findOne();
-        Object.assign(config, req.body);
-        await config.save();
-        res.status(200).json({ success: true, config });
-    } catch (error) {
-        res.status(500).json({ message: 'Erro.' });
+// --- Withdrawal Controllers ---
+
+// Tempo máximo de um pedido de saque em andamento; depois disso a marca no usuário é ignorada
+// (ex: o processo caiu no meio do pedido)
+const WITHDRAWAL_REQUEST_GUARD_MS = 30 * 1000;
+
+/**
+ * Marca o usuário com um pedido de saque em andamento, se não houver outro. A marca serializa os
+ * pedidos do mesmo usuário: cada um avalia os limites já com os saques anteriores registrados.
+ * @param {object} userId
+ * @returns {Promise<object|null>} O usuário marcado, ou null se já houver um pedido em andamento.
+ */
+const claimWithdrawalRequest = (userId) => {
+    const now = new Date();
+    return User.findOneAndUpdate(
+        { _id: userId, $or: [{ pendingWithdrawalAt: null }, { pendingWithdrawalAt: { $lte: new Date(now.getTime() - WITHDRAWAL_REQUEST_GUARD_MS) } }] },
+        { $set: { pendingWithdrawalAt: now } },
+        { new: true }
+    );
+};
+
+/**
+ * Remove a marca de pedido de saque em andamento (só a colocada por este pedido).
+ * @param {object} user - O usuário retornado por claimWithdrawalRequest.
+ */
+const releaseWithdrawalRequest = (user) => User.updateOne(
+    { _id: user._id, pendingWithdrawalAt: user.pendingWithdrawalAt },
+    { $unset: { pendingWithdrawalAt: 1 } }
+);
+
+/**
+ * Avalia um saque para o usuário: regras de saque (ver withdrawalRules.js) e o método de recebimento.
+ * @param {object} user
+ * @param {number} amount
+ * @param {string} [payoutMethodId] - Sem ele, usa o método padrão.
+ * @returns {Promise<{quote: object, payoutMethod: object|null}>} quote.allowed false traz o motivo em quote.message.
+ */
+const buildWithdrawalQuote = async (user, amount, payoutMethodId) => {
+    const config = await getAdminConfigOrDefaults();
+    const quote = await quoteWithdrawal({ user, amount, config });
+
+    const payoutMethod = await PayoutMethod.findOne(payoutMethodId
+        ? { _id: payoutMethodId, userId: user._id, status: 'active' }
+        : { userId: user._id, status: 'active', isDefault: true });
+    quote.payoutMethodId = payoutMethod ? payoutMethod._id : null;
+    if (quote.allowed) {
+        if (!payoutMethod) {
+            quote.message = payoutMethodId ? 'Método de recebimento não encontrado.' : 'Cadastre um método de recebimento antes de sacar.';
+        } else if (payoutMethod.availableAt > new Date()) {
+            quote.message = 'Este método de recebimento foi cadastrado recentemente e ainda está no período de carência.';
+            quote.payoutMethodAvailableAt = payoutMethod.availableAt;
+        }
+        quote.allowed = quote.message === null;
     }
+    return { quote, payoutMethod };
 };
 
-const getAllUsers = async (req, res) => {
-    try {
-        const users = await User.find({}).select('-password').sort({ createdAt: -1 });
-        res.status(200).json({ success: true, users });
-    } catch (error) {
-        res.status(500).json({ message: 'Erro.' });
+/**
+ * Lê e valida o valor e o método de recebimento de um pedido ou cotação de saque.
+ * @param {object} input - req.body ou req.query.
+ * @returns {{error: string}|{amount: number, payoutMethodId: string|undefined}}
+ */
+const parseWithdrawalInput = (input) => {
+    const amount = Number(input.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+        return { error: 'Por favor, forneça um valor válido.' };
+    }
+    if (input.payoutMethodId !== undefined && !mongoose.isValidObjectId(input.payoutMethodId)) {
+        return { error: 'Método de recebimento inválido.' };
     }
+    return { amount, payoutMethodId: input.payoutMethodId };
 };
 
-const getUserDetails = async (req, res) => {
+/**
+ * @desc    Cotação de um saque antes do pedido: taxa, valor líquido, janela de horário e limites.
+ * Query: amount, payoutMethodId (opcional: usa o método padrão).
+ */
+const getWithdrawalQuote = async (req, res) => {
+    const input = parseWithdrawalInput(req.query);
+    if (input.error) return res.status(400).json({ message: input.error });
+
     try {
-        const user = await User.findById(req.params.id).select('-password')
-            .populate('activeInvestments').populate('depositHistory').populate('withdrawalHistory').populate('referredUsers');
-        res.status(200).json({ success: true, user });
+        const user = await User.findById(req.user._id);
+        const { quote } = await buildWithdrawalQuote(user, input.amount, input.payoutMethodId);
+        res.status(200).json({ success: true, quote });
     } catch (error) {
+        logError(`Erro ao cotar saque: ${error.message}`, { userId: req.user._id });
         res.status(500).json({ message: 'Erro.' });
     }
 };
 
-const blockUser = async (req, res) => {
+/**
+ * Avalia e registra um pedido de saque: cotação e limites, débito do saldo e o Withdrawal.
+ * Chamada com o pedido do usuário já marcado como em andamento (claimWithdrawalRequest).
+ * @param {object} user - O usuário marcado.
+ * @param {object} input - Retorno de parseWithdrawalInput.
+ * @returns {Promise<{status: number, body: object}>} A resposta HTTP.
+ */
+const createWithdrawalRequest = async (user, { amount, payoutMethodId }) => {
+    const { quote, payoutMethod } = await buildWithdrawalQuote(user, amount, payoutMethodId);
+    if (!quote.allowed) {
+        return { status: 400, body: { message: quote.message, quote } };
+    }
+
+    // O débito só acontece se o saldo ainda cobrir o valor no momento da atualização,
+    // então saques simultâneos nunca deixam o saldo negativo.
+    const withdrawalId = new mongoose.Types.ObjectId();
+    const debitedUser = await postLedgerEntry({
+        userId: user._id,
+        amount: -amount,
+        type: 'withdrawal',
+        referenceModel: 'Withdrawal',
+        referenceId: withdrawalId,
+        description: 'Solicitação de saque',
+        update: { $push: { withdrawalHistory: withdrawalId } },
+    });
+    if (!debitedUser) return { status: 400, body: { message: 'Saldo insuficiente.' } };
+
+    let withdrawal;
     try {
-        const user = await User.findById(req.params.id);
-        if (user.isAdmin) return res.status(403).json({ message: 'Não pode bloquear admin.' });
-        user.status = 'blocked';
-        await user.save();
-        res.status(200).json({ success: true, message: 'Bloqueado.' });
+        withdrawal = await Withdrawal.create({
+            _id: withdrawalId,
+            userId: user._id,
+            amount,
+            fee: quote.fee,
+            netAmount: quote.netAmount,
+            walletAddress: formatPayoutMethod(payoutMethod),
+            payoutMethodId: payoutMethod._id,
+            payoutDetails: {
+                method: payoutMethod.method,
+                accountHolderName: payoutMethod.accountHolderName,
+                accountNumber: payoutMethod.accountNumber,
+                bankName: payoutMethod.bankName,
+            },
+        });
     } catch (error) {
-        res.status(500).json({ message: 'Erro.' });
+        // Devolve o valor se o saque não puder ser registrado
+        await postLedgerEntry({
+            userId: user._id,
+            amount,
+            type: 'withdrawal_refund',
+            referenceModel: 'Withdrawal',
+            referenceId: withdrawalId,
+            description: 'Estorno de saque não registrado',
+            update: { $pull: { withdrawalHistory: withdrawalId } },
+        });
+        throw error;
     }
+    publishQueueEvent('withdrawal', 'created', withdrawal);
+    return { status: 201, body: { success: true, message: 'Saque solicitado.', withdrawal } };
 };
 
-const unblockUser = async (req, res) => {
+/**
+ * @desc    Solicita um saque para um método de recebimento salvo.
+ * Body: amount, payoutMethodId (opcional: usa o método padrão).
+ * A taxa é descontada do valor recebido: o saldo é debitado em amount e o usuário recebe netAmount.
+ */
+const requestWithdrawal = async (req, res) => {
+    const input = parseWithdrawalInput(req.body);
+    if (input.error) return res.status(400).json({ message: input.error });
+
     try {
-        const user = await User.findById(req.params.id);
-        user.status = 'active';
-        await user.save();
-        res.status(200).json({ success: true, message: 'Desbloqueado.' });
+        // Os limites diário/semanal/mensal somam os saques já feitos: pedidos simultâneos do mesmo
+        // usuário passam um de cada vez, para que cada um veja os anteriores na soma.
+        const user = await claimWithdrawalRequest(req.user._id);
+        if (!user) {
+            return res.status(409).json({ message: 'Já existe um pedido de saque em andamento. Tente novamente em instantes.' });
+        }
+
+        let result;
+        try {
+            result = await createWithdrawalRequest(user, input);
+        } finally {
+            await releaseWithdrawalRequest(user);
+        }
+        res.status(result.status).json(result.body);
     } catch (error) {
         res.status(500).json({ message: 'Erro.' });
     }
 };
 
-const createAdmin = async (req, res) => {
-    const { phoneNumber, password } = req.body;
+const getUserWithdrawals = async (req, res) => {
     try {
-        const newAdmin = await User.create({ phoneNumber, password, isAdmin: true, visitorId: `admin_${Date.now()}` });
-        res.status(201).json({ success: true, admin: newAdmin });
+        const withdrawals = await Withdrawal.find({ userId: req.user._id }).sort({ requestDate: -1 });
+        res.status(200).json({ success: true, withdrawals });
     } catch (error) {
         res.status(500).json({ message: 'Erro.' });
     }
 };
 
-const changeUserPasswordByAdmin = async (req, res) => {
+/**
+ * @desc    Lista os saques (padrão: pendentes) com filtros e paginação por cursor.
+ * Query: status, from, to, minAmount, maxAmount, phone, sort (createdAt|amount), limit, cursor.
+ */
+const getPendingWithdrawals = async (req, res) => {
     try {
-        const user = await User.findById(req.params.id);
-        user.password = req.body.newPassword;
-        await user.save();
-        res.status(200).json({ success: true, message: 'Senha alterada.' });
+        const listQuery = await buildListQuery(req.query, {
+            statuses: Withdrawal.schema.path('status').enumValues,
+            defaultStatus: 'pending',
+            amountField: 'amount',
+            sortFields: ['createdAt', 'amount'],
+            userField: 'userId',
+        });
+        if (listQuery.error) return res.status(400).json({ message: listQuery.error });
+
+        const { items: withdrawals, pagination } = await fetchPage(Withdrawal, listQuery, { populate: ['userId', 'phoneNumber'] });
+        res.status(200).json({ success: true, withdrawals, pagination });
     } catch (error) {
         res.status(500).json({ message: 'Erro.' });
     }
 };
 
-const getBlockedUsers = async (req, res) => {
+/**
+ * Marca um saque pendente como aprovado (transição condicional: só um admin consegue aprovar).
+ * Com um provedor de payout configurado, saques para carteiras móveis entram na fila de pagamento
+ * automático; os demais (e todos, sem provedor) continuam sendo transferidos manualmente pelo admin.
+ * @param {object} withdrawalId
+ * @param {object} adminId - O admin que aprovou.
+ * @returns {Promise<object|null>} O saque aprovado, ou null se ele não estava mais pendente.
+ */
+const markWithdrawalApproved = async (withdrawalId, adminId) => {
+    // O método de recebimento não muda depois do pedido, então pode ser lido antes da transição
+    const pending = await Withdrawal.findOne({ _id: withdrawalId, status: 'pending' }).select('payoutDetails.method');
+    if (!pending) return null;
+
+    const update = { status: 'approved', approvalDate: new Date(), adminId };
+    if (isAutomaticPayoutMethod(pending.payoutDetails && pending.payoutDetails.method)) {
+        update.nextPayoutAttemptAt = new Date();
+    }
+    const withdrawal = await Withdrawal.findOneAndUpdate({ _id: withdrawalId, status: 'pending' }, { $set: update, $unset: { claim: 1 } }, { new: true });
+    if (withdrawal) publishQueueEvent('withdrawal', 'updated', withdrawal);
+    return withdrawal;
+};
+
+/**
+ * Avisa o usuário de que o saque foi aprovado.
+ * @param {object} withdrawal - O saque já aprovado.
+ */
+const notifyWithdrawalApproved = (withdrawal) => notifyUser(withdrawal.userId, {
+    type: 'withdrawal_approved',
+    title: 'Saque aprovado',
+    message: withdrawal.nextPayoutAttemptAt
+        ? `O seu saque de ${withdrawal.amount} MT foi aprovado e está a ser transferido.`
+        : `O seu saque de ${withdrawal.amount} MT foi aprovado e será transferido em breve.`,
+    data: { withdrawalId: withdrawal._id, amount: withdrawal.amount },
+});
+
+/**
+ * Dispara o pagamento de um saque recém-aprovado sem esperar o provedor.
+ * Se falhar aqui, o scheduler tenta de novo no próximo ciclo.
+ * @param {object} withdrawal - O saque aprovado (ignorado se não estiver na fila de pagamento).
+ */
+const startWithdrawalPayout = (withdrawal) => {
+    if (!withdrawal.nextPayoutAttemptAt) return;
+    const withdrawalId = withdrawal._id;
+    processWithdrawalPayout(withdrawalId).catch(error => logError(`Erro ao iniciar pagamento do saque ${withdrawalId}: ${error.message}`));
+};
+
+/**
+ * Grava o evento de auditoria da aprovação de um saque.
+ * @param {object} req - A requisição do admin que aprovou.
+ * @param {object} withdrawal - O saque já aprovado.
+ * @param {object} [details] - Ex: { approvalRequestId } quando veio de uma dupla aprovação.
+ */
+const auditWithdrawalApproval = (req, withdrawal, details = {}) => recordAuditEvent(req, {
+    action: 'withdrawal.approve',
+    targetModel: 'Withdrawal',
+    targetId: withdrawal._id,
+    description: `Saque de ${withdrawal.amount} MT aprovado.`,
+    before: { status: 'pending' },
+    after: { status: withdrawal.status, approvalDate: withdrawal.approvalDate, adminId: withdrawal.adminId },
+    details: { userId: withdrawal.userId, amount: withdrawal.amount, ...details },
+});
+
+/**
+ * @desc    Aprova um saque. Acima do limite de dupla aprovação, cria um pedido que precisa
+ * ser confirmado por outro administrador.
+ */
+const approveWithdrawal = async (req, res) => {
     try {
-        const users = await User.find({ status: 'blocked' });
-        res.status(200).json({ success: true, users });
+        const pendingWithdrawal = await Withdrawal.findOne({ _id: req.params.id, status: 'pending' });
+        if (!pendingWithdrawal) return res.status(400).json({ message: 'Inválido.' });
+
+        const config = await getAdminConfigOrDefaults();
+        if (config.fourEyesWithdrawalThreshold > 0 && pendingWithdrawal.amount > config.fourEyesWithdrawalThreshold) {
+            const approvalRequest = await createApprovalRequest(req, {
+                action: 'withdrawal_approval',
+                targetModel: 'Withdrawal',
+                targetId: pendingWithdrawal._id,
+                summary: `Aprovar saque de ${pendingWithdrawal.amount} MT do usuário ${pendingWithdrawal.userId}.`,
+                payload: { amount: pendingWithdrawal.amount, userId: pendingWithdrawal.userId, walletAddress: pendingWithdrawal.walletAddress },
+            });
+            return sendApprovalPending(res, approvalRequest, `Saques acima de ${config.fourEyesWithdrawalThreshold} MT precisam da confirmação de outro administrador.`);
+        }
+
+        const withdrawal = await markWithdrawalApproved(pendingWithdrawal._id, req.user._id);
+        if (!withdrawal) return res.status(400).json({ message: 'Inválido.' });
+        await auditWithdrawalApproval(req, withdrawal);
+        await notifyWithdrawalApproved(withdrawal);
+        startWithdrawalPayout(withdrawal);
+
+        res.status(200).json({ success: true, message: 'Aprovado.' });
     } catch (error) {
         res.status(500).json({ message: 'Erro.' });
     }
 };
 
-const getAdminLogs = async (req, res) => {
+const rejectWithdrawal = async (req, res) => {
     try {
-        if (!fs.existsSync(ADMIN_ACTION_LOG_FILE)) return res.status(200).json({ success: true, logs: [] });
-        const data = fs.readFileSync(ADMIN_ACTION_LOG_FILE, 'utf8');
-        const logs = data.split('\n').filter(line => line.trim() !== '').reverse();
-        res.status(200).json({ success: true, logs });
+        // Transição condicional: o saldo só é devolvido uma vez, mesmo com cliques simultâneos.
+        // Transição e estorno ficam na mesma transação: se o ledger falhar, o saque continua pendente.
+        const withdrawal = await runInTransaction(async (session) => {
+            const rejected = await Withdrawal.findOneAndUpdate(
+                { _id: req.params.id, status: 'pending' },
+                { $set: { status: 'rejected', adminId: req.user._id }, $unset: { claim: 1 } },
+                { new: true, session }
+            );
+            if (!rejected) return null;
+
+            await postLedgerEntry({
+                userId: rejected.userId,
+                amount: rejected.amount,
+                type: 'withdrawal_refund',
+                referenceModel: 'Withdrawal',
+                referenceId: rejected._id,
+                description: 'Saque rejeitado, saldo devolvido',
+                session,
+            });
+            return rejected;
+        });
+        if (!withdrawal) return res.status(400).json({ message: 'Inválido.' });
+        publishQueueEvent('withdrawal', 'updated', withdrawal);
+
+        await recordAuditEvent(req, {
+            action: 'withdrawal.reject',
+            targetModel: 'Withdrawal',
+            targetId: withdrawal._id,
+            description: `Saque de ${withdrawal.amount} MT rejeitado e saldo devolvido.`,
+            before: { status: 'pending' },
+            after: { status: withdrawal.status, adminId: withdrawal.adminId },
+            details: { userId: withdrawal.userId, amount: withdrawal.amount },
+        });
+        await notifyUser(withdrawal.userId, {
+            type: 'withdrawal_rejected',
+            title: 'Saque rejeitado',
+            message: `O seu saque de ${withdrawal.amount} MT foi rejeitado e o valor voltou para o seu saldo.`,
+            data: { withdrawalId: withdrawal._id, amount: withdrawal.amount },
+        });
+
+        res.status(200).json({ success: true, message: 'Rejeitado e saldo devolvido.' });
     } catch (error) {
         res.status(500).json({ message: 'Erro.' });
     }
 };
 
-// --- LÓGICA DE RENDA DIÁRIA CORRIGIDA ---
+// --- Notification Controllers ---
 
 /**
- * @desc    Processa lucros diários e comissões.
- * Esta função foi otimizada para garantir que o lucro caia todos os dias.
+ * @desc    Lista as notificações do usuário (mais recentes primeiro) com paginação por cursor.
+ * Query: unread=true (só as não lidas), limit, cursor.
  */
-const processDailyProfitsAndCommissions = async (req, res) => {
+const getNotifications = async (req, res) => {
+    try {
+        const listQuery = await buildListQuery({ limit: req.query.limit, cursor: req.query.cursor }, { statuses: [], sortFields: ['createdAt'] });
+        if (listQuery.error) return res.status(400).json({ message: listQuery.error });
+
+        const ownerFilter = { userId: req.user._id };
+        if (req.query.unread === 'true') ownerFilter.readAt = null;
+        Object.assign(listQuery.filter, ownerFilter);
+        Object.assign(listQuery.countFilter, ownerFilter);
+
+        const [{ items: notifications, pagination }, unreadCount] = await Promise.all([
+            fetchPage(Notification, listQuery),
+            Notification.countDocuments({ userId: req.user._id, readAt: null }),
+        ]);
+        res.status(200).json({ success: true, notifications, unreadCount, pagination });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+/**
+ * @desc    Quantidade de notificações não lidas (para o indicador do app).
+ */
+const getUnreadNotificationCount = async (req, res) => {
+    try {
+        const unreadCount = await Notification.countDocuments({ userId: req.user._id, readAt: null });
+        res.status(200).json({ success: true, unreadCount });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+/**
+ * @desc    Marca uma notificação como lida.
+ */
+const markNotificationRead = async (req, res) => {
+    try {
+        const notification = await Notification.findOne({ _id: req.params.id, userId: req.user._id });
+        if (!notification) return res.status(404).json({ message: 'Notificação não encontrada.' });
+
+        if (!notification.readAt) {
+            notification.readAt = new Date();
+            await notification.save();
+        }
+        res.status(200).json({ success: true, notification });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+/**
+ * @desc    Marca todas as notificações do usuário como lidas.
+ */
+const markAllNotificationsRead = async (req, res) => {
+    try {
+        const result = await Notification.updateMany({ userId: req.user._id, readAt: null }, { $set: { readAt: new Date() } });
+        res.status(200).json({ success: true, markedCount: result.modifiedCount });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+/**
+ * @desc    Envia um comunicado para a central de notificações dos usuários.
+ * Body: title, message, audience ('active', padrão, ou 'all' para incluir bloqueados).
+ */
+const broadcastAnnouncement = async (req, res) => {
+    const title = typeof req.body.title === 'string' ? req.body.title.trim() : '';
+    const message = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+    const audience = req.body.audience || 'active';
+
+    if (!title || !message) {
+        return res.status(400).json({ message: 'Informe o título e a mensagem do comunicado.' });
+    }
+    if (title.length > 120 || message.length > 1000) {
+        return res.status(400).json({ message: 'O título deve ter no máximo 120 caracteres e a mensagem 1000.' });
+    }
+    if (!['active', 'all'].includes(audience)) {
+        return res.status(400).json({ message: "Público inválido. Use 'active' ou 'all'." });
+    }
+
+    try {
+        const broadcastId = new mongoose.Types.ObjectId();
+        const deliveredCount = await broadcastNotification({ title, message, broadcastId, audience });
+
+        await recordAuditEvent(req, {
+            action: 'notification.broadcast',
+            targetModel: 'Notification',
+            targetId: broadcastId,
+            description: `Comunicado '${title}' enviado a ${deliveredCount} usuários.`,
+            details: { title, message, audience, deliveredCount },
+        });
+        res.status(201).json({ success: true, message: 'Comunicado enviado.', broadcastId, deliveredCount });
+    } catch (error) {
+        logError(`Erro ao enviar comunicado: ${error.message}`, { adminId: req.user._id });
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+// --- Admin Queue Controllers (Tempo Real) ---
+
+// Intervalo do heartbeat do stream; a cada batida a sessão e a validade do token também são conferidas
+const QUEUE_STREAM_HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * @desc    Emite um ticket de uso único para abrir o stream das filas (GET .../stream?ticket=),
+ * válido por poucos segundos. O stream termina quando o token de acesso usado aqui expira.
+ */
+const createQueueStreamTicket = async (req, res) => {
+    try {
+        const { ticket, expiresAt } = await createStreamTicket(req.authSession, req.authExpiresAt);
+        res.status(201).json({ success: true, ticket, expiresAt });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+/**
+ * @desc    Stream (Server-Sent Events) das filas de depósitos e saques: novos pedidos, mudanças de
+ * status e reservas. Cada admin recebe só as filas que seu papel pode ler. O primeiro evento,
+ * 'ready', traz as reservas ativas; depois chegam eventos 'deposit' e 'withdrawal' com
+ * { queue, type, item, at }. A conexão é encerrada (evento 'session_ended') quando a sessão do
+ * admin é revogada ou expira, ou quando o token de acesso expira (evento 'token_expired': o cliente
+ * renova o token, pede outro ticket e reconecta).
+ */
+const streamAdminQueue = async (req, res) => {
+    const queues = getReadableQueues(permission => hasPermission(req.user, permission));
+    if (queues.length === 0) {
+        return res.status(403).json({ message: 'Seu papel administrativo não permite acompanhar as filas.' });
+    }
+
+    let claims;
+    try {
+        claims = await getActiveClaims(queues);
+    } catch (error) {
+        logError(`Erro ao abrir o stream das filas: ${error.message}`, { adminId: req.user._id });
+        return res.status(500).json({ message: 'Erro.' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no', // Desliga o buffer de proxies como o Nginx
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    sendEvent('ready', { queues, claims, claimTtlSeconds: QUEUE_CLAIM_TTL_MS / 1000 });
+
+    const unsubscribe = subscribeQueueEvents((event) => {
+        if (queues.includes(event.queue)) sendEvent(event.queue, event);
+    });
+
+    const heartbeat = setInterval(async () => {
+        try {
+            if (req.authExpiresAt <= new Date()) {
+                sendEvent('token_expired', { message: 'Token de acesso expirado. Renove o token e reconecte.' });
+                res.end();
+                return;
+            }
+            const session = await findActiveSession(req.authSession._id, req.user._id);
+            if (!session) {
+                sendEvent('session_ended', { message: 'Sessão encerrada. Faça login novamente.' });
+                res.end();
+                return;
+            }
+            res.write(': ping\n\n');
+        } catch (error) {
+            logError(`Erro no heartbeat do stream das filas: ${error.message}`, { adminId: req.user._id });
+        }
+    }, QUEUE_STREAM_HEARTBEAT_MS);
+
+    const close = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    };
+    req.on('close', close);
+    res.on('finish', close);
+};
+
+/**
+ * Cria os handlers de reserva e liberação de uma fila.
+ * @param {string} queue - 'deposit' ou 'withdrawal'.
+ * @param {string} label - Nome do item nas mensagens (ex: 'Depósito').
+ * @returns {{claim: function, release: function}}
+ */
+const createQueueClaimHandlers = (queue, label) => ({
+    // Reserva (ou renova a reserva de) um item pendente para o admin
+    claim: async (req, res) => {
+        try {
+            const { item, claimed } = await claimQueueItem(queue, req.params.id, req.user);
+            if (!item) return res.status(404).json({ message: `${label} pendente não encontrado.` });
+            if (!claimed) {
+                return res.status(409).json({ message: `${label} em análise por outro administrador.`, claim: item.claim });
+            }
+            res.status(200).json({ success: true, claim: item.claim });
+        } catch (error) {
+            res.status(500).json({ message: 'Erro.' });
+        }
+    },
+    // Libera a reserva do próprio admin
+    release: async (req, res) => {
+        try {
+            const item = await releaseQueueItem(queue, req.params.id, req.user);
+            if (!item) return res.status(404).json({ message: 'Nenhuma reserva sua neste item.' });
+            res.status(200).json({ success: true, message: 'Reserva liberada.' });
+        } catch (error) {
+            res.status(500).json({ message: 'Erro.' });
+        }
+    },
+});
+
+const depositClaimHandlers = createQueueClaimHandlers('deposit', 'Depósito');
+const withdrawalClaimHandlers = createQueueClaimHandlers('withdrawal', 'Saque');
+const claimDeposit = depositClaimHandlers.claim;
+const releaseDepositClaim = depositClaimHandlers.release;
+const claimWithdrawal = withdrawalClaimHandlers.claim;
+const releaseWithdrawalClaim = withdrawalClaimHandlers.release;
+
+// --- Admin Panel Controllers ---
+
+// Campos da configuração que a rota pública de depósito pode expor
+const DEPOSIT_CONFIG_FIELDS = ['minDepositAmount', 'mpesaDepositNumber', 'mpesaRecipientName', 'emolaDepositNumber', 'emolaRecipientName'];
+
+/**
+ * @desc    Dados públicos para depósito: valor mínimo e os números M-Pesa/e-Mola que recebem o pagamento.
+ * O restante da configuração (limites, regras de saque, flags administrativas) não é exposto.
+ */
+const getDepositConfig = async (req, res) => {
+    try {
+        const config = await getAdminConfigOrDefaults();
+        res.status(200).json({
+            success: true,
+            config: Object.fromEntries(DEPOSIT_CONFIG_FIELDS.map(field => [field, config[field]])),
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+const getAdminConfig = async (req, res) => {
+    try {
+        const config = await AdminConfig.findOne();
+        res.status(200).json({ success: true, config });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+/**
+ * Aplica alterações às configurações e valida o resultado (inclusive as regras entre campos), sem gravar.
+ * @param {object} changes - Campos a alterar (já filtrados pela lista de editáveis).
+ * @returns {Promise<object>} O documento de configuração alterado (lança ValidationError se inválido).
+ */
+const buildAdminConfigUpdate = async (changes) => {
+    const config = await getAdminConfigOrDefaults();
+    Object.assign(config, changes);
+    await config.validate();
+    return config;
+};
+
+/**
+ * Valida, grava uma nova versão das configurações e audita a alteração.
+ * @param {object} req - A requisição do admin responsável.
+ * @param {object} changes - Campos a alterar.
+ * @param {object} [meta] - { reason, rolledBackFrom, approvalRequestId, requestedBy, baseVersion }.
+ * baseVersion (pedidos de dupla aprovação): a versão em que o pedido foi feito; se mudou, nada é aplicado.
+ * @returns {Promise<{config: object, version: object|null, changedFields: string[]}>}
+ */
+const applyAdminConfigChanges = async (req, changes, { reason = 'update', rolledBackFrom, approvalRequestId, requestedBy, baseVersion } = {}) => {
+    const currentConfig = await getAdminConfigOrDefaults();
+    // Pedido aprovado depois de outra alteração: aplicá-lo desfaria a alteração mais recente
+    if (baseVersion !== undefined && currentConfig.version !== baseVersion) {
+        throw new Error(`As configurações foram alteradas depois do pedido (versão ${baseVersion}, atual ${currentConfig.version}). Crie um novo pedido.`);
+    }
+    const nextConfig = await buildAdminConfigUpdate(changes);
+
+    const saved = await saveConfigVersion(currentConfig, nextConfig, { changedBy: req.user._id, reason, rolledBackFrom, approvalRequestId });
+    if (!saved) {
+        throw new Error('As configurações foram alteradas por outro administrador. Recarregue e tente novamente.');
+    }
+    if (saved.version) {
+        await recordAuditEvent(req, {
+            action: reason === 'rollback' ? 'config.rollback' : 'config.update',
+            targetModel: 'AdminConfig',
+            targetId: saved.config._id,
+            description: reason === 'rollback'
+                ? `Configurações restauradas para a versão ${rolledBackFrom} (nova versão ${saved.version.version}).`
+                : `Configurações atualizadas (versão ${saved.version.version}).`,
+            before: currentConfig,
+            after: saved.config,
+            details: { version: saved.version.version, approvalRequestId, requestedBy },
+        });
+    }
+    return saved;
+};
+
+/**
+ * Envia a alteração para dupla aprovação, se ativa, ou a aplica imediatamente.
+ * @param {object} req
+ * @param {object} res
+ * @param {object} changes - Campos a alterar (já validados).
+ * @param {object} [options] - { rollbackToVersion }.
+ */
+const submitAdminConfigChanges = async (req, res, changes, { rollbackToVersion } = {}) => {
+    const currentConfig = await getAdminConfigOrDefaults();
+    if (currentConfig.fourEyesConfigChanges) {
+        const approvalRequest = await createApprovalRequest(req, {
+            action: 'config_update',
+            targetModel: 'AdminConfig',
+            summary: rollbackToVersion
+                ? `Restaurar configurações para a versão ${rollbackToVersion}.`
+                : `Alterar configurações: ${Object.keys(changes).join(', ')}.`,
+            payload: { changes, baseVersion: currentConfig.version, rollbackToVersion },
+        });
+        return sendApprovalPending(res, approvalRequest, 'Alteração de configurações aguardando confirmação de outro administrador.');
+    }
+
+    const saved = await applyAdminConfigChanges(req, changes, rollbackToVersion ? { reason: 'rollback', rolledBackFrom: rollbackToVersion } : {});
+    res.status(200).json({
+        success: true,
+        message: saved.version ? `Configurações salvas (versão ${saved.version.version}).` : 'Nenhuma alteração.',
+        changedFields: saved.changedFields,
+        config: saved.config,
+    });
+};
+
+/**
+ * Responde a erros de validação e de conflito das rotas de configuração.
+ * @param {object} res
+ * @param {Error} error
+ */
+const sendAdminConfigError = (res, error) => {
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ message: error.message });
+    }
+    if (error.message.startsWith('As configurações foram alteradas')) {
+        return res.status(409).json({ message: error.message });
+    }
+    logError(`Erro ao salvar configurações: ${error.message}`);
+    res.status(500).json({ message: 'Erro.' });
+};
+
+/**
+ * @desc    Atualiza as configurações globais. Aceita apenas os campos editáveis e valida as regras
+ * entre campos. Cada alteração gera uma nova versão; com a dupla aprovação ativa, fica pendente
+ * até outro administrador confirmar.
+ */
+const updateAdminConfig = async (req, res) => {
+    const { comment, ...body } = req.body; // 'comment' acompanha o pedido de dupla aprovação
+    const { changes, unknownFields } = pickConfigChanges(body);
+    if (unknownFields.length > 0) {
+        return res.status(400).json({ message: `Campos não editáveis: ${unknownFields.join(', ')}.` });
+    }
+    if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ message: 'Nenhuma alteração informada.' });
+    }
+
+    try {
+        await buildAdminConfigUpdate(changes);
+        await submitAdminConfigChanges(req, res, changes);
+    } catch (error) {
+        sendAdminConfigError(res, error);
+    }
+};
+
+/**
+ * @desc    Lista o histórico de versões das configurações (mais recente primeiro). Paginação: ?page=&limit=
+ */
+const getAdminConfigVersions = async (req, res) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    try {
+        const [versions, total] = await Promise.all([
+            AdminConfigVersion.find()
+                .select('-snapshot')
+                .populate('changedBy', 'phoneNumber adminRole')
+                .sort({ version: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            AdminConfigVersion.countDocuments(),
+        ]);
+        res.status(200).json({ success: true, versions, pagination: { page, limit, total, pages: Math.ceil(total / limit) } });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+/**
+ * @desc    Detalhes de uma versão das configurações, com o snapshot completo.
+ */
+const getAdminConfigVersion = async (req, res) => {
+    try {
+        const version = await AdminConfigVersion.findOne({ version: Number(req.params.version) })
+            .populate('changedBy', 'phoneNumber adminRole');
+        if (!version) return res.status(404).json({ message: 'Versão não encontrada.' });
+        res.status(200).json({ success: true, version });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+/**
+ * @desc    Compara duas versões das configurações: ?from=3&to=5. Sem 'to', compara com a versão atual.
+ */
+const diffAdminConfigVersions = async (req, res) => {
+    const from = Number(req.query.from);
+    if (!Number.isInteger(from)) {
+        return res.status(400).json({ message: 'Informe a versão de origem em ?from=.' });
+    }
+    try {
+        const current = await getAdminConfigOrDefaults();
+        const to = req.query.to !== undefined ? Number(req.query.to) : current.version;
+        const versions = await AdminConfigVersion.find({ version: { $in: [from, to] } });
+        const fromVersion = versions.find(v => v.version === from);
+        const toVersion = versions.find(v => v.version === to);
+        if (!fromVersion || !toVersion) {
+            return res.status(404).json({ message: 'Versão não encontrada.' });
+        }
+        res.status(200).json({ success: true, from, to, changes: diffConfigSnapshots(fromVersion.snapshot, toVersion.snapshot) });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+/**
+ * @desc    Restaura uma versão anterior das configurações, gerando uma nova versão com o mesmo
+ * conteúdo. Passa pela mesma validação e pela dupla aprovação, se ativa. Campos criados depois
+ * da versão restaurada mantêm o valor atual.
+ */
+const rollbackAdminConfig = async (req, res) => {
+    try {
+        const target = await AdminConfigVersion.findOne({ version: Number(req.params.version) });
+        if (!target) return res.status(404).json({ message: 'Versão não encontrada.' });
+
+        const { changes } = pickConfigChanges(target.snapshot);
+        await buildAdminConfigUpdate(changes);
+        await submitAdminConfigChanges(req, res, changes, { rollbackToVersion: target.version });
+    } catch (error) {
+        sendAdminConfigError(res, error);
+    }
+};
+
+/**
+ * @desc    Lista o calendário de feriados em que os saques ficam fechados.
+ */
+const getWithdrawalHolidays = async (req, res) => {
+    try {
+        const holidays = await WithdrawalHoliday.find().sort({ date: 1 });
+        res.status(200).json({ success: true, holidays });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+/**
+ * @desc    Cadastra um feriado sem saques. Body: date (YYYY-MM-DD, horário de Maputo), name,
+ * recurring (repete todo ano no mesmo dia e mês).
+ */
+const createWithdrawalHoliday = async (req, res) => {
+    const { date, name, recurring } = req.body;
+    try {
+        const holiday = new WithdrawalHoliday({ date, name, recurring: recurring === true, createdBy: req.user._id });
+        await holiday.save();
+
+        await recordAuditEvent(req, {
+            action: 'holiday.create',
+            targetModel: 'WithdrawalHoliday',
+            targetId: holiday._id,
+            description: `Feriado '${holiday.name}' (${holiday.date}${holiday.recurring ? ', anual' : ''}) cadastrado: saques fechados.`,
+            after: toAuditSnapshot(holiday),
+        });
+        res.status(201).json({ success: true, message: 'Feriado cadastrado.', holiday });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: Object.values(error.errors)[0].message });
+        }
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'Já existe um feriado nesta data.' });
+        }
+        logError(`Erro ao cadastrar feriado: ${error.message}`);
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+/**
+ * @desc    Remove um feriado do calendário.
+ */
+const deleteWithdrawalHoliday = async (req, res) => {
+    try {
+        const holiday = await WithdrawalHoliday.findByIdAndDelete(req.params.id);
+        if (!holiday) return res.status(404).json({ message: 'Feriado não encontrado.' });
+
+        await recordAuditEvent(req, {
+            action: 'holiday.delete',
+            targetModel: 'WithdrawalHoliday',
+            targetId: holiday._id,
+            description: `Feriado '${holiday.name}' (${holiday.date}) removido.`,
+            before: toAuditSnapshot(holiday),
+        });
+        res.status(200).json({ success: true, message: 'Feriado removido.' });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+// Opções de filtro comuns às listagens de usuários (minAmount/maxAmount filtram o saldo)
+const USER_LIST_OPTIONS = {
+    statuses: ['active', 'blocked'],
+    amountField: 'balance',
+    sortFields: ['createdAt', 'balance'],
+    phoneField: 'phoneNumber',
+};
+
+/**
+ * @desc    Lista os usuários com filtros e paginação por cursor.
+ * Query: status, from, to, minAmount, maxAmount (saldo), phone, sort (createdAt|balance), limit, cursor.
+ */
+const getAllUsers = async (req, res) => {
+    try {
+        const listQuery = await buildListQuery(req.query, USER_LIST_OPTIONS);
+        if (listQuery.error) return res.status(400).json({ message: listQuery.error });
+
+        const { items: users, pagination } = await fetchPage(User, listQuery, { select: '-password' });
+        res.status(200).json({ success: true, users, pagination });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+const getUserDetails = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id).select('-password')
+            .populate('activeInvestments').populate('depositHistory').populate('withdrawalHistory').populate('referredUsers');
+        res.status(200).json({ success: true, user });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+const blockUser = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) return res.status(404).json({ message: 'Usuário não encontrado.' });
+        if (user.isAdmin) return res.status(403).json({ message: 'Não pode bloquear admin.' });
+        const before = toAuditSnapshot(user);
+        user.status = 'blocked';
+        await user.save();
+        const revokedCount = await revokeUserSessions(user._id, 'user_blocked');
+        await recordAuditEvent(req, { action: 'user.block', targetModel: 'User', targetId: user._id, description: `Usuário ${user.phoneNumber} bloqueado.`, before, after: user, details: { revokedCount } });
+        await notifyUser(user._id, {
+            type: 'account_blocked',
+            title: 'Conta bloqueada',
+            message: 'A sua conta foi bloqueada pela administração. Fale com o suporte para mais informações.',
+        });
+        res.status(200).json({ success: true, message: 'Bloqueado.' });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+const unblockUser = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) return res.status(404).json({ message: 'Usuário não encontrado.' });
+        const before = toAuditSnapshot(user);
+        user.status = 'active';
+        await user.save();
+        await recordAuditEvent(req, { action: 'user.unblock', targetModel: 'User', targetId: user._id, description: `Usuário ${user.phoneNumber} desbloqueado.`, before, after: user });
+        res.status(200).json({ success: true, message: 'Desbloqueado.' });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+/**
+ * Cria uma conta de administrador a partir do hash de senha guardado num pedido de aprovação
+ * (a senha em texto nunca é gravada no pedido).
+ * @param {object} data - { phoneNumber, role, passwordHash }.
+ * @returns {Promise<object>} O novo administrador.
+ */
+const createAdminWithPasswordHash = async ({ phoneNumber, role, passwordHash }) => {
+    // O hook de save sempre gera o hash da senha; grava uma senha aleatória e substitui pelo hash aprovado
+    const admin = await User.create({ phoneNumber, password: crypto.randomBytes(24).toString('hex'), isAdmin: true, adminRole: role, visitorId: `admin_${Date.now()}` });
+    await User.updateOne({ _id: admin._id }, { $set: { password: passwordHash } });
+    return admin;
+};
+
+/**
+ * @desc    Cria um administrador. Com a dupla aprovação ativa, a criação fica pendente até outro
+ * administrador confirmar. Se ainda não existe nenhum outro que possa confirmar, a criação é
+ * feita na hora e registrada como dupla aprovação ignorada (log de segurança e auditoria).
+ */
+const createAdmin = async (req, res) => {
+    const { phoneNumber, password, role = 'support' } = req.body;
+    if (!ADMIN_ROLES.includes(role)) {
+        return res.status(400).json({ message: `Papel inválido. Use: ${ADMIN_ROLES.join(', ')}.` });
+    }
+    if (typeof phoneNumber !== 'string' || !/^\d{9}$/.test(phoneNumber) || typeof password !== 'string' || password.length < 6) {
+        return res.status(400).json({ message: 'Telefone de 9 dígitos e senha de pelo menos 6 caracteres são obrigatórios.' });
+    }
+    try {
+        if (await User.exists({ phoneNumber })) {
+            return res.status(400).json({ message: 'Número de telefone já cadastrado.' });
+        }
+
+        const config = await getAdminConfigOrDefaults();
+        let fourEyesBypassed = false;
+        if (config.fourEyesAdminCreation) {
+            const approverCount = await countEligibleApprovers('admins:manage', req.user._id);
+            if (approverCount > 0) {
+                const approvalRequest = await createApprovalRequest(req, {
+                    action: 'admin_creation',
+                    summary: `Criar administrador ${phoneNumber} com papel ${role}.`,
+                    payload: { phoneNumber, role },
+                    secretPayload: { passwordHash: await bcrypt.hash(password, 10) },
+                });
+                return sendApprovalPending(res, approvalRequest, 'Criação de administrador aguardando confirmação de outro administrador.');
+            }
+            // Sem outro administrador que possa confirmar, o pedido nunca seria decidido
+            fourEyesBypassed = true;
+        }
+
+        const newAdmin = await User.create({ phoneNumber, password, isAdmin: true, adminRole: role, visitorId: `admin_${Date.now()}` });
+        if (fourEyesBypassed) {
+            await auditFourEyesBypass(req, {
+                approvalAction: 'admin_creation',
+                targetId: newAdmin._id,
+                description: `Dupla aprovação ignorada na criação do administrador ${phoneNumber}: nenhum outro administrador pode confirmar.`,
+                details: { phoneNumber, role },
+            });
+        }
+        await recordAuditEvent(req, {
+            action: 'admin.create',
+            targetModel: 'User',
+            targetId: newAdmin._id,
+            description: `Administrador ${phoneNumber} criado com papel ${role}${fourEyesBypassed ? ' (sem dupla aprovação)' : ''}.`,
+            after: newAdmin,
+            details: fourEyesBypassed ? { fourEyesBypassed: true } : undefined,
+        });
+        res.status(201).json({ success: true, admin: newAdmin });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+/**
+ * Grava um hash de senha aprovado e encerra as sessões do usuário.
+ * @param {object} userId
+ * @param {string} passwordHash - Hash bcrypt da nova senha.
+ * @returns {Promise<number|false>} Quantidade de sessões revogadas, ou false se o usuário não existir mais.
+ */
+const applyApprovedPasswordHash = async (userId, passwordHash) => {
+    const result = await User.updateOne({ _id: userId }, { $set: { password: passwordHash } });
+    if (result.matchedCount === 0) return false;
+    return revokeUserSessions(userId, 'password_changed_by_admin');
+};
+
+/**
+ * @desc    Troca a senha de um usuário pelo painel. Com a dupla aprovação ativa, a troca fica
+ * pendente até outro administrador confirmar.
+ */
+const changeUserPasswordByAdmin = async (req, res) => {
+    const { newPassword } = req.body;
+    if (typeof newPassword !== 'string' || newPassword.length < 6) {
+        return res.status(400).json({ message: 'A senha deve ter pelo menos 6 caracteres.' });
+    }
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) return res.status(404).json({ message: 'Usuário não encontrado.' });
+
+        const config = await getAdminConfigOrDefaults();
+        if (config.fourEyesPasswordResets) {
+            const approvalRequest = await createApprovalRequest(req, {
+                action: 'password_reset',
+                targetModel: 'User',
+                targetId: user._id,
+                summary: `Trocar a senha do usuário ${user.phoneNumber}.`,
+                payload: { phoneNumber: user.phoneNumber },
+                secretPayload: { passwordHash: await bcrypt.hash(newPassword, 10) },
+            });
+            return sendApprovalPending(res, approvalRequest, 'Troca de senha aguardando confirmação de outro administrador.');
+        }
+
+        user.password = newPassword;
+        await user.save();
+        const revokedCount = await revokeUserSessions(user._id, 'password_changed_by_admin');
+        await recordAuditEvent(req, { action: 'user.password_change', targetModel: 'User', targetId: user._id, description: `Senha do usuário ${user.phoneNumber} alterada pelo painel.`, details: { revokedCount } });
+        res.status(200).json({ success: true, message: 'Senha alterada.' });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+/**
+ * @desc    Lista os papéis administrativos e suas permissões.
+ */
+const getAdminRoles = async (req, res) => {
+    res.status(200).json({ success: true, roles: ROLES });
+};
+
+/**
+ * Aplica um papel administrativo (ou o remove, com role null) e audita a mudança.
+ * @param {object} req - A requisição do admin responsável (quem confirmou, na dupla aprovação).
+ * @param {object} user - O usuário (documento Mongoose).
+ * @param {string|null} role
+ * @param {object} [details] - Dados extras da auditoria (ex: approvalRequestId).
+ * @returns {Promise<object>} O usuário atualizado.
+ */
+const applyAdminRoleChange = async (req, user, role, details) => {
+    const before = toAuditSnapshot(user);
+    const previousRole = user.isAdmin ? user.adminRole : null;
+    if (role === null) {
+        user.isAdmin = false;
+        user.adminRole = undefined;
+    } else {
+        user.isAdmin = true;
+        user.adminRole = role;
+    }
+    await user.save();
+
+    await recordAuditEvent(req, {
+        action: 'admin.role_change',
+        targetModel: 'User',
+        targetId: user._id,
+        description: `Papel administrativo de ${user.phoneNumber} alterado: ${previousRole || 'nenhum'} -> ${role || 'nenhum'}.`,
+        before,
+        after: user,
+        details,
+    });
+    return user;
+};
+
+/**
+ * @desc    Atribui (ou remove, com role: null) o papel administrativo de um usuário.
+ * Atribuir um papel torna o usuário admin; remover o papel retira o acesso ao painel.
+ * Com a dupla aprovação de administradores ativa, atribuir um papel fica pendente até outro
+ * administrador confirmar (remover continua imediato).
+ */
+const assignAdminRole = async (req, res) => {
+    const { role } = req.body;
+
+    if (role !== null && !ADMIN_ROLES.includes(role)) {
+        return res.status(400).json({ message: `Papel inválido. Use: ${ADMIN_ROLES.join(', ')} ou null.` });
+    }
+    if (req.user._id.equals(req.params.id)) {
+        return res.status(400).json({ message: 'Não é possível alterar o próprio papel.' });
+    }
+
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) return res.status(404).json({ message: 'Usuário não encontrado.' });
+
+        const config = await getAdminConfigOrDefaults();
+        let fourEyesBypassed = false;
+        if (role !== null && config.fourEyesAdminCreation) {
+            const approverCount = await countEligibleApprovers('admins:manage', req.user._id);
+            if (approverCount > 0) {
+                const approvalRequest = await createApprovalRequest(req, {
+                    action: 'admin_role_grant',
+                    targetModel: 'User',
+                    targetId: user._id,
+                    summary: `Atribuir o papel ${role} a ${user.phoneNumber} (atual: ${user.isAdmin ? user.adminRole : 'nenhum'}).`,
+                    payload: { phoneNumber: user.phoneNumber, role, previousRole: user.isAdmin ? user.adminRole : null },
+                });
+                return sendApprovalPending(res, approvalRequest, 'Atribuição de papel aguardando confirmação de outro administrador.');
+            }
+            fourEyesBypassed = true;
+        }
+
+        if (fourEyesBypassed) {
+            await auditFourEyesBypass(req, {
+                approvalAction: 'admin_role_grant',
+                targetId: user._id,
+                description: `Dupla aprovação ignorada ao atribuir o papel ${role} a ${user.phoneNumber}: nenhum outro administrador pode confirmar.`,
+                details: { phoneNumber: user.phoneNumber, role },
+            });
+        }
+        await applyAdminRoleChange(req, user, role, fourEyesBypassed ? { fourEyesBypassed: true } : undefined);
+        res.status(200).json({ success: true, message: 'Papel atualizado.', user: { _id: user._id, phoneNumber: user.phoneNumber, isAdmin: user.isAdmin, adminRole: user.adminRole } });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+/**
+ * @desc    Revoga todas as sessões de um usuário (admin).
+ */
+const revokeSessionsByAdmin = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) return res.status(404).json({ message: 'Usuário não encontrado.' });
+
+        const revokedCount = await revokeUserSessions(user._id, 'admin_revoked');
+        await recordAuditEvent(req, { action: 'user.sessions_revoke', targetModel: 'User', targetId: user._id, description: `Sessões revogadas do usuário ${user.phoneNumber}.`, details: { revokedCount } });
+        res.status(200).json({ success: true, message: 'Sessões revogadas.', revokedCount });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+/**
+ * @desc    Lista os registros de tentativas de login falhas. Por padrão, apenas os bloqueios ativos;
+ * com ?all=true, inclui chaves com falhas ou atraso em andamento.
+ */
+const getLoginLockouts = async (req, res) => {
     try {
         const now = new Date();
-        // Definimos o início do dia atual (00:00:00) para comparação
-        const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-
-        // 1. Buscar investimentos ativos que ainda não foram creditados HOJE
-        const investments = await Investment.find({
-            status: 'active',
-            $or: [
-                { lastProfitCreditDate: { $lt: startOfToday } },
-                { lastProfitCreditDate: { $exists: false } }
-            ]
-        }).populate('userId');
+        const filter = req.query.all === 'true'
+            ? { $or: [{ lockedUntil: { $gt: now } }, { delayUntil: { $gt: now } }, { failures: { $gt: 0 } }] }
+            : { lockedUntil: { $gt: now } };
+        if (req.query.type) {
+            filter.type = req.query.type;
+        }
 
-        const adminConfig = await AdminConfig.findOne();
-        const commissionRate = adminConfig ? adminConfig.commissionOnDailyProfit : 0;
-        
-        logInfo(`Processamento Diário: ${investments.length} pacotes para processar.`);
+        const lockouts = await LoginThrottle.find(filter).sort({ lastFailureAt: -1 }).limit(200);
+        res.status(200).json({ success: true, lockouts });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+/**
+ * @desc    Remove um bloqueio de login (telefone ou IP).
+ */
+const clearLoginLockout = async (req, res) => {
+    try {
+        const previous = await clearLockout(req.params.id);
+        if (!previous) return res.status(404).json({ message: 'Registro não encontrado.' });
+
+        await recordAuditEvent(req, {
+            action: 'security.lockout_clear',
+            targetModel: 'LoginThrottle',
+            targetId: previous._id,
+            description: `Bloqueio de login removido: ${previous.key}`,
+            before: { failures: previous.failures, delayUntil: previous.delayUntil, lockedUntil: previous.lockedUntil },
+            after: { failures: 0, delayUntil: null, lockedUntil: null },
+            details: { key: previous.key },
+        });
+        logSecurityEvent(`Bloqueio de login removido manualmente para ${previous.key}.`, { adminId: req.user._id, key: previous.key });
+        res.status(200).json({ success: true, message: 'Bloqueio removido.' });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+/**
+ * @desc    Lista os usuários bloqueados, com os mesmos filtros e paginação de getAllUsers.
+ */
+const getBlockedUsers = async (req, res) => {
+    try {
+        const listQuery = await buildListQuery(req.query, { ...USER_LIST_OPTIONS, fixedStatus: 'blocked' });
+        if (listQuery.error) return res.status(400).json({ message: listQuery.error });
+
+        const { items: users, pagination } = await fetchPage(User, listQuery);
+        res.status(200).json({ success: true, users, pagination });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+/**
+ * @desc    Lista os eventos de auditoria das ações administrativas, do mais recente ao mais antigo.
+ * Filtros: ?adminId=&action=&targetModel=&targetId=&from=&to= (datas ISO). Paginação: ?page=&limit=
+ * O filtro action aceita um prefixo terminado em ponto (ex: 'deposit.' para todas as ações de depósito).
+ */
+const getAdminLogs = async (req, res) => {
+    const { adminId, action, targetModel, targetId, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const filter = {};
+    for (const [field, value] of [['actorId', adminId], ['targetId', targetId]]) {
+        if (value === undefined) continue;
+        if (!mongoose.isValidObjectId(value)) {
+            return res.status(400).json({ message: `ID inválido em ${field === 'actorId' ? 'adminId' : 'targetId'}.` });
+        }
+        filter[field] = value;
+    }
+    if (action) {
+        const actionCode = String(action);
+        filter.action = actionCode.endsWith('.') ? { $regex: `^${actionCode.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` } : actionCode;
+    }
+    if (targetModel) filter.targetModel = String(targetModel);
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+        if (Object.values(filter.createdAt).some(date => isNaN(date.getTime()))) {
+            return res.status(400).json({ message: 'Data inválida em from/to.' });
+        }
+    }
+
+    try {
+        const [events, total] = await Promise.all([
+            AuditEvent.find(filter)
+                .populate('actorId', 'phoneNumber adminRole')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            AuditEvent.countDocuments(filter),
+        ]);
+        res.status(200).json({
+            success: true,
+            events,
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+/**
+ * @desc    Lista os lançamentos do ledger de um usuário (extrato para conferência de saldo).
+ */
+const getUserLedger = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id).select('phoneNumber balance');
+        if (!user) return res.status(404).json({ message: 'Usuário não encontrado.' });
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+        const entries = await LedgerEntry.find({ userId: user._id }).sort({ createdAt: -1 }).limit(limit);
+        res.status(200).json({ success: true, user, entries });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+/**
+ * @desc    Reconstrói o saldo em cache de um usuário a partir do ledger.
+ */
+const rebuildUserBalanceFromLedger = async (req, res) => {
+    try {
+        const result = await rebuildUserBalance(req.params.id);
+        if (!result) return res.status(404).json({ message: 'Usuário não encontrado.' });
+
+        await recordAuditEvent(req, {
+            action: 'ledger.rebuild',
+            targetModel: 'User',
+            targetId: req.params.id,
+            description: 'Saldo reconstruído a partir do ledger.',
+            before: { balance: result.previousBalance },
+            after: { balance: result.rebuiltBalance },
+        });
+        res.status(200).json({ success: true, ...result });
+    } catch (error) {
+        logError(`Erro ao reconstruir saldo: ${error.message}`, { userId: req.params.id });
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+/**
+ * @desc    Lista as chamadas recebidas pelas rotas internas de CRON (autorizadas e rejeitadas).
+ */
+const getInternalTriggers = async (req, res) => {
+    try {
+        const filter = req.query.status ? { status: req.query.status } : {};
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const triggers = await InternalTrigger.find(filter).select('-signature').sort({ calledAt: -1 }).limit(limit);
+        res.status(200).json({ success: true, triggers });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+// --- Dupla Aprovação (Four-Eyes / Maker-Checker) ---
+// Ações sensíveis não são executadas por um único administrador: viram um ApprovalRequest pendente
+// que outro administrador (com a permissão da ação) precisa confirmar. Só então a ação é executada.
+
+/**
+ * Ações sujeitas a dupla aprovação: a permissão exigida de quem confirma e a função que executa
+ * a ação depois da confirmação. Cada executor recebe o pedido e a requisição de quem confirmou
+ * (a ação é auditada em nome dele) e lança um erro se a ação não puder mais ser feita.
+ */
+const APPROVAL_ACTIONS = {
+    withdrawal_approval: {
+        permission: 'withdrawals:approve',
+        execute: async (approvalRequest, req) => {
+            const withdrawal = await markWithdrawalApproved(approvalRequest.targetId, req.user._id);
+            if (!withdrawal) throw new Error('O saque não está mais pendente.');
+            await auditWithdrawalApproval(req, withdrawal, { approvalRequestId: approvalRequest._id, requestedBy: approvalRequest.requestedBy });
+            await notifyWithdrawalApproved(withdrawal);
+            startWithdrawalPayout(withdrawal);
+            return { withdrawalId: withdrawal._id, status: withdrawal.status };
+        },
+    },
+    config_update: {
+        permission: 'config:write',
+        execute: async (approvalRequest, req) => {
+            const { changes, rollbackToVersion, baseVersion } = approvalRequest.payload;
+            const saved = await applyAdminConfigChanges(req, changes, {
+                reason: rollbackToVersion ? 'rollback' : 'update',
+                rolledBackFrom: rollbackToVersion,
+                approvalRequestId: approvalRequest._id,
+                requestedBy: approvalRequest.requestedBy,
+                baseVersion,
+            });
+            return { configId: saved.config._id, version: saved.version ? saved.version.version : saved.config.version, changedFields: saved.changedFields };
+        },
+    },
+
+    admin_creation: {
+        permission: 'admins:manage',
+        execute: async (approvalRequest, req) => {
+            const { phoneNumber, role } = approvalRequest.payload;
+            const admin = await createAdminWithPasswordHash({ phoneNumber, role, passwordHash: approvalRequest.secretPayload.passwordHash });
+            await recordAuditEvent(req, {
+                action: 'admin.create',
+                targetModel: 'User',
+                targetId: admin._id,
+                description: `Administrador ${phoneNumber} criado com papel ${role} (dupla aprovação).`,
+                after: admin,
+                details: { approvalRequestId: approvalRequest._id, requestedBy: approvalRequest.requestedBy },
+            });
+            return { adminId: admin._id };
+        },
+    },
+    admin_role_grant: {
+        permission: 'admins:manage',
+        execute: async (approvalRequest, req) => {
+            const user = await User.findById(approvalRequest.targetId);
+            if (!user) throw new Error('Usuário não encontrado.');
+            const { role } = approvalRequest.payload;
+            await applyAdminRoleChange(req, user, role, { approvalRequestId: approvalRequest._id, requestedBy: approvalRequest.requestedBy });
+            return { userId: user._id, adminRole: user.adminRole };
+        },
+    },
+    password_reset: {
+        permission: 'users:password',
+        execute: async (approvalRequest, req) => {
+            const revokedCount = await applyApprovedPasswordHash(approvalRequest.targetId, approvalRequest.secretPayload.passwordHash);
+            if (revokedCount === false) throw new Error('Usuário não encontrado.');
+            await recordAuditEvent(req, {
+                action: 'user.password_change',
+                targetModel: 'User',
+                targetId: approvalRequest.targetId,
+                description: `Senha do usuário ${approvalRequest.payload.phoneNumber} alterada pelo painel (dupla aprovação).`,
+                details: { revokedCount, approvalRequestId: approvalRequest._id, requestedBy: approvalRequest.requestedBy },
+            });
+            return { userId: approvalRequest.targetId };
+        },
+    },
+};
+
+/**
+ * Retorna as configurações globais, ou um documento com os valores padrão se ainda não existirem.
+ * @returns {Promise<object>}
+ */
+const getAdminConfigOrDefaults = async () => (await AdminConfig.findOne()) || new AdminConfig();
+
+/**
+ * Conta os administradores ativos (exceto o solicitante) que podem confirmar uma ação.
+ * @param {string} permission - A permissão exigida.
+ * @param {object} requesterId - O administrador que fez o pedido.
+ * @returns {Promise<number>}
+ */
+const countEligibleApprovers = (permission, requesterId) => User.countDocuments({
+    _id: { $ne: requesterId },
+    isAdmin: true,
+    status: 'active',
+    adminRole: { $in: ADMIN_ROLES.filter(role => ROLES[role].includes(permission)) },
+});
+
+/**
+ * Registra (log de segurança e auditoria) uma ação sujeita a dupla aprovação executada sem
+ * confirmação, porque não há outro administrador que possa confirmá-la.
+ * @param {object} req - A requisição do admin solicitante.
+ * @param {object} bypass - { approvalAction, targetId, description, details }.
+ */
+const auditFourEyesBypass = async (req, { approvalAction, targetId, description, details }) => {
+    logSecurityEvent(`Dupla aprovação ignorada (${approvalAction}): não há outro administrador habilitado para confirmar.`, { requestedBy: req.user._id, targetId, ...details });
+    await recordAuditEvent(req, {
+        action: 'approval.bypass',
+        targetModel: 'User',
+        targetId,
+        description,
+        details: { approvalAction, reason: 'no_eligible_approvers', ...details },
+    });
+};
+
+/**
+ * Cria um pedido de dupla aprovação.
+ * @param {object} req - A requisição Express (admin solicitante, IP e comentário opcional em req.body.comment).
+ * @param {object} data - { action, targetModel, targetId, summary, payload, secretPayload }.
+ * @returns {Promise<object|null>} O pedido, ou null se já houver um pedido pendente para a mesma ação e alvo.
+ */
+const createApprovalRequest = async (req, { action, targetModel, targetId, summary, payload, secretPayload }) => {
+    try {
+        const approvalRequest = await ApprovalRequest.create({
+            action,
+            requiredPermission: APPROVAL_ACTIONS[action].permission,
+            targetModel,
+            targetId,
+            summary,
+            payload,
+            secretPayload,
+            requestedBy: req.user._id,
+            decisions: [{ adminId: req.user._id, decision: 'requested', comment: req.body.comment, ip: req.ip }],
+        });
+        await recordAuditEvent(req, {
+            action: 'approval.request',
+            targetModel: 'ApprovalRequest',
+            targetId: approvalRequest._id,
+            description: `Pedido de dupla aprovação criado: ${summary}`,
+            after: approvalRequest,
+            details: { approvalAction: action, approvalTargetId: targetId },
+        });
+        return approvalRequest;
+    } catch (error) {
+        if (error.code === 11000) return null;
+        throw error;
+    }
+};
+
+/**
+ * Responde a uma ação que ficou pendente de dupla aprovação.
+ * @param {object} res - A resposta Express.
+ * @param {object|null} approvalRequest - O pedido criado (null se já havia um pendente).
+ * @param {string} message - Mensagem para o administrador.
+ */
+const sendApprovalPending = (res, approvalRequest, message) => {
+    if (!approvalRequest) {
+        return res.status(409).json({ message: 'Já existe um pedido de aprovação pendente para esta ação.' });
+    }
+    res.status(202).json({ success: true, pendingApproval: true, message, approvalRequest });
+};
+
+/**
+ * Verifica se um administrador pode decidir (confirmar ou recusar) um pedido.
+ * @param {object} approvalRequest
+ * @param {object} admin - O administrador autenticado.
+ * @returns {string|null} O motivo da recusa, ou null se puder decidir.
+ */
+const getApprovalDecisionError = (approvalRequest, admin) => {
+    if (approvalRequest.requestedBy.equals(admin._id)) {
+        return 'O pedido precisa ser decidido por um administrador diferente de quem o criou.';
+    }
+    if (!hasPermission(admin, approvalRequest.requiredPermission)) {
+        return `Permissão insuficiente para decidir este pedido (${approvalRequest.requiredPermission}).`;
+    }
+    return null;
+};
+
+/**
+ * @desc    Lista os pedidos de dupla aprovação (padrão: pendentes). Filtros: ?status=&action=&limit=
+ */
+const getApprovalRequests = async (req, res) => {
+    try {
+        const filter = { status: req.query.status || 'pending' };
+        if (req.query.action) filter.action = req.query.action;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+        const approvalRequests = await ApprovalRequest.find(filter)
+            .populate('requestedBy', 'phoneNumber adminRole')
+            .populate('decisions.adminId', 'phoneNumber adminRole')
+            .sort({ createdAt: -1 })
+            .limit(limit);
+        res.status(200).json({ success: true, approvalRequests });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+/**
+ * @desc    Detalhes de um pedido de dupla aprovação, com a cadeia de decisões.
+ */
+const getApprovalRequestById = async (req, res) => {
+    try {
+        const approvalRequest = await ApprovalRequest.findById(req.params.id)
+            .populate('requestedBy', 'phoneNumber adminRole')
+            .populate('decisions.adminId', 'phoneNumber adminRole');
+        if (!approvalRequest) return res.status(404).json({ message: 'Pedido não encontrado.' });
+        res.status(200).json({ success: true, approvalRequest });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+/**
+ * @desc    Confirma um pedido pendente e executa a ação. Precisa ser outro administrador, com a
+ * permissão da ação.
+ */
+const approveApprovalRequest = async (req, res) => {
+    try {
+        const pendingRequest = await ApprovalRequest.findOne({ _id: req.params.id, status: 'pending' });
+        if (!pendingRequest) return res.status(400).json({ message: 'Pedido não encontrado ou já decidido.' });
+
+        const decisionError = getApprovalDecisionError(pendingRequest, req.user);
+        if (decisionError) return res.status(403).json({ message: decisionError });
+
+        // Transição condicional: duas confirmações simultâneas não executam a ação duas vezes
+        const approvalRequest = await ApprovalRequest.findOneAndUpdate(
+            { _id: pendingRequest._id, status: 'pending' },
+            {
+                $set: { status: 'approved' },
+                $push: { decisions: { adminId: req.user._id, decision: 'approved', comment: req.body.comment, ip: req.ip } },
+            },
+            { new: true }
+        ).select('+secretPayload');
+        if (!approvalRequest) return res.status(400).json({ message: 'Pedido não encontrado ou já decidido.' });
+
+        try {
+            const result = await APPROVAL_ACTIONS[approvalRequest.action].execute(approvalRequest, req);
+            await ApprovalRequest.updateOne(
+                { _id: approvalRequest._id },
+                { $set: { status: 'executed', executedAt: new Date(), result }, $unset: { secretPayload: 1 } }
+            );
+            await recordAuditEvent(req, {
+                action: 'approval.approve',
+                targetModel: 'ApprovalRequest',
+                targetId: approvalRequest._id,
+                description: `Pedido de dupla aprovação confirmado e executado: ${approvalRequest.summary}`,
+                before: { status: 'pending' },
+                after: { status: 'executed', result },
+                details: { approvalAction: approvalRequest.action, requestedBy: approvalRequest.requestedBy },
+            });
+            res.status(200).json({ success: true, message: 'Pedido confirmado e executado.', result });
+        } catch (error) {
+            await ApprovalRequest.updateOne(
+                { _id: approvalRequest._id },
+                { $set: { status: 'failed', error: error.message }, $unset: { secretPayload: 1 } }
+            );
+            logError(`Falha ao executar pedido de dupla aprovação ${approvalRequest._id}: ${error.message}`, { action: approvalRequest.action });
+            await recordAuditEvent(req, {
+                action: 'approval.approve',
+                targetModel: 'ApprovalRequest',
+                targetId: approvalRequest._id,
+                description: `Pedido de dupla aprovação confirmado, mas falhou: ${approvalRequest.summary}`,
+                before: { status: 'pending' },
+                after: { status: 'failed', error: error.message },
+                details: { approvalAction: approvalRequest.action, requestedBy: approvalRequest.requestedBy },
+            });
+            res.status(409).json({ message: `Pedido confirmado, mas a ação não pôde ser executada: ${error.message}` });
+        }
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+/**
+ * @desc    Recusa um pedido pendente (outro administrador, com a permissão da ação).
+ */
+const rejectApprovalRequest = async (req, res) => {
+    try {
+        const pendingRequest = await ApprovalRequest.findOne({ _id: req.params.id, status: 'pending' });
+        if (!pendingRequest) return res.status(400).json({ message: 'Pedido não encontrado ou já decidido.' });
+
+        const decisionError = getApprovalDecisionError(pendingRequest, req.user);
+        if (decisionError) return res.status(403).json({ message: decisionError });
+
+        const approvalRequest = await ApprovalRequest.findOneAndUpdate(
+            { _id: pendingRequest._id, status: 'pending' },
+            {
+                $set: { status: 'rejected' },
+                $unset: { secretPayload: 1 },
+                $push: { decisions: { adminId: req.user._id, decision: 'rejected', comment: req.body.comment, ip: req.ip } },
+            },
+            { new: true }
+        );
+        if (!approvalRequest) return res.status(400).json({ message: 'Pedido não encontrado ou já decidido.' });
+
+        await recordAuditEvent(req, {
+            action: 'approval.reject',
+            targetModel: 'ApprovalRequest',
+            targetId: approvalRequest._id,
+            description: `Pedido de dupla aprovação recusado: ${approvalRequest.summary}`,
+            before: { status: 'pending' },
+            after: { status: approvalRequest.status },
+            details: { approvalAction: approvalRequest.action, requestedBy: approvalRequest.requestedBy },
+        });
+        res.status(200).json({ success: true, message: 'Pedido recusado.', approvalRequest });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+/**
+ * @desc    Cancela um pedido pendente (apenas quem o criou).
+ */
+const cancelApprovalRequest = async (req, res) => {
+    try {
+        const approvalRequest = await ApprovalRequest.findOneAndUpdate(
+            { _id: req.params.id, status: 'pending', requestedBy: req.user._id },
+            {
+                $set: { status: 'cancelled' },
+                $unset: { secretPayload: 1 },
+                $push: { decisions: { adminId: req.user._id, decision: 'cancelled', comment: req.body.comment, ip: req.ip } },
+            },
+            { new: true }
+        );
+        if (!approvalRequest) return res.status(400).json({ message: 'Pedido não encontrado, já decidido ou criado por outro administrador.' });
+
+        await recordAuditEvent(req, {
+            action: 'approval.cancel',
+            targetModel: 'ApprovalRequest',
+            targetId: approvalRequest._id,
+            description: `Pedido de dupla aprovação cancelado: ${approvalRequest.summary}`,
+            before: { status: 'pending' },
+            after: { status: approvalRequest.status },
+            details: { approvalAction: approvalRequest.action },
+        });
+        res.status(200).json({ success: true, message: 'Pedido cancelado.', approvalRequest });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro.' });
+    }
+};
+
+// --- LÓGICA DE RENDA DIÁRIA (por data de negócio, idempotente) ---
+
+/**
+ * Lista as datas de negócio (fuso de Maputo) que ainda precisam ser processadas, em ordem.
+ * Continua a partir da última execução concluída, o que recupera automaticamente dias em que
+ * o job não rodou. Na primeira execução, começa no dia seguinte ao crédito mais antigo entre
+ * os investimentos ativos.
+ * @param {string} today - A data de negócio atual ('YYYY-MM-DD').
+ * @returns {Promise<string[]>} As datas a processar, da mais antiga até hoje.
+ */
+const getPendingProfitDates = async (today) => {
+    const lastCompletedRun = await ProfitRun.findOne({ status: 'completed' }).sort({ businessDate: -1 });
+
+    let firstDate = today;
+    if (lastCompletedRun) {
+        firstDate = addBusinessDays(lastCompletedRun.businessDate, 1);
+    } else {
+        const oldestInvestment = await Investment.findOne({ status: 'active', lastProfitCreditDate: { $exists: true } })
+            .sort({ lastProfitCreditDate: 1 });
+        if (oldestInvestment) {
+            const nextDate = addBusinessDays(getBusinessDate(oldestInvestment.lastProfitCreditDate), 1);
+            firstDate = nextDate < today ? nextDate : today;
+        }
+    }
+
+    const dates = [];
+    for (let date = firstDate; date <= today; date = addBusinessDays(date, 1)) {
+        dates.push(date);
+    }
+    return dates;
+};
+
+/**
+ * Busca os investimentos ativos que ainda não receberam o lucro de uma data de negócio.
+ * @param {string} businessDate - A data de negócio ('YYYY-MM-DD').
+ * @returns {Promise<Array>} Investimentos com o userId populado.
+ */
+const findInvestmentsDueForDate = (businessDate) => Investment.find({
+    status: 'active',
+    $or: [
+        { lastProfitCreditDate: { $lt: startOfBusinessDay(businessDate) } },
+        { lastProfitCreditDate: { $exists: false } }
+    ]
+}).populate('userId');
+
+/**
+ * Calcula o que deve acontecer com um investimento numa data de negócio, sem gravar nada.
+ * @param {object} investment - Investimento com userId populado.
+ * @param {string} businessDate - A data de negócio ('YYYY-MM-DD').
+ * @param {number} commissionRate - Taxa de comissão sobre o lucro diário.
+ * @returns {Promise<object>} { action: 'skip' | 'complete' | 'credit', profitAmount, inviter, commissionAmount }.
+ */
+const calculateInvestmentCredit = async (investment, businessDate, commissionRate) => {
+    const user = investment.userId;
+
+    if (!user || user.status === 'blocked') {
+        return { action: 'skip' };
+    }
+
+    // O investimento expira se o fim do contrato já passou no início desta data de negócio
+    if (new Date(investment.endDate) <= startOfBusinessDay(businessDate)) {
+        return { action: 'complete' };
+    }
+
+    const profitAmount = investment.investedAmount * investment.dailyProfitRate;
+
+    let inviter = null;
+    let commissionAmount = 0;
+    if (commissionRate > 0 && user.invitedBy) {
+        inviter = await User.findOne({ referralCode: user.invitedBy, status: 'active' });
+        if (inviter) {
+            commissionAmount = profitAmount * commissionRate;
+        }
+    }
+
+    return { action: 'credit', profitAmount, inviter, commissionAmount };
+};
+
+/**
+ * Credita (ou encerra) um investimento para uma data de negócio.
+ * O ProfitCredit (chave única investimento + data) é criado antes de qualquer lançamento e só
+ * passa para 'credited' no final; se o processo cair no meio, a próxima execução retoma o
+ * mesmo crédito sem pagar duas vezes.
+ * @returns {Promise<object>} { action, profitAmount, commissionAmount }.
+ */
+const creditInvestmentForDate = async (investment, businessDate, commissionRate) => {
+    const user = investment.userId;
+    const calculation = await calculateInvestmentCredit(investment, businessDate, commissionRate);
+
+    if (calculation.action === 'skip') {
+        return calculation;
+    }
+
+    if (calculation.action === 'complete') {
+        const completed = await Investment.updateOne({ _id: investment._id, status: 'active' }, { $set: { status: 'completed' } });
+        // Remove do array de ativos do usuário (com $pull, para não sobrescrever alterações concorrentes)
+        await User.updateOne({ _id: user._id }, { $pull: { activeInvestments: investment._id } });
+        if (completed.modifiedCount === 1) {
+            await notifyUser(user._id, {
+                type: 'investment_completed',
+                title: 'Investimento concluído',
+                message: `O seu investimento de ${investment.investedAmount} MT foi concluído.`,
+                data: { investmentId: investment._id, currentProfit: investment.currentProfit },
+            });
+        }
+        return calculation;
+    }
 
-        let processedCount = 0;
+    // Reserva (ou retoma) o crédito desta data: os valores gravados na primeira tentativa prevalecem
+    const creditValues = { userId: user._id, profitAmount: calculation.profitAmount, commissionAmount: calculation.commissionAmount };
+    if (calculation.inviter) {
+        creditValues.inviterId = calculation.inviter._id;
+    }
+    const credit = await ProfitCredit.findOneAndUpdate(
+        { investmentId: investment._id, businessDate },
+        { $setOnInsert: creditValues },
+        { upsert: true, new: true }
+    );
+
+    if (credit.status === 'pending') {
+        await postLedgerEntryOnce({
+            userId: credit.userId,
+            amount: credit.profitAmount,
+            type: 'daily_profit',
+            referenceModel: 'Investment',
+            referenceId: investment._id,
+            businessDate,
+            description: `Lucro diário de ${businessDate}`,
+        });
+
+        if (credit.inviterId && credit.commissionAmount > 0) {
+            await postLedgerEntryOnce({
+                userId: credit.inviterId,
+                amount: credit.commissionAmount,
+                type: 'profit_commission',
+                referenceModel: 'Investment',
+                referenceId: investment._id,
+                businessDate,
+                description: `Comissão sobre o lucro diário de ${user.phoneNumber} (${businessDate})`,
+            });
+        }
+
+        const markedCredited = await ProfitCredit.findOneAndUpdate(
+            { _id: credit._id, status: 'pending' },
+            { $set: { status: 'credited', creditedAt: new Date() } }
+        );
+        if (markedCredited) {
+            await Investment.updateOne({ _id: investment._id }, { $inc: { currentProfit: credit.profitAmount } });
+            // Avisos só depois da marcação: uma execução retomada não repete a notificação
+            await notifyUser(credit.userId, {
+                type: 'profit_credited',
+                title: 'Lucro diário creditado',
+                message: `Recebeu ${credit.profitAmount} MT de lucro diário (${businessDate}).`,
+                data: { investmentId: investment._id, businessDate, amount: credit.profitAmount },
+            });
+            if (credit.inviterId && credit.commissionAmount > 0) {
+                await notifyUser(credit.inviterId, {
+                    type: 'commission_credited',
+                    title: 'Comissão creditada',
+                    message: `Recebeu ${credit.commissionAmount} MT de comissão sobre o lucro de um convidado (${businessDate}).`,
+                    data: { investmentId: investment._id, businessDate, amount: credit.commissionAmount },
+                });
+            }
+        }
+    }
+
+    // Marca a data como creditada no investimento, impedindo que entre de novo na busca desta data
+    await Investment.updateOne(
+        { _id: investment._id },
+        { $max: { lastProfitCreditDate: startOfBusinessDay(businessDate) } }
+    );
+
+    return { action: 'credit', profitAmount: credit.profitAmount, commissionAmount: credit.commissionAmount };
+};
+
+/**
+ * Executa (ou retoma) o processamento de uma única data de negócio e registra o ProfitRun.
+ * @param {string} businessDate - A data de negócio ('YYYY-MM-DD').
+ * @param {number} commissionRate - Taxa de comissão sobre o lucro diário.
+ * @returns {Promise<object>} Resumo da execução.
+ */
+const runProfitsForDate = async (businessDate, commissionRate) => {
+    const run = await ProfitRun.findOneAndUpdate(
+        { businessDate },
+        { $set: { status: 'running', startedAt: new Date(), lastError: null }, $inc: { attempts: 1 } },
+        { upsert: true, new: true }
+    );
+
+    try {
+        const investments = await findInvestmentsDueForDate(businessDate);
+        logInfo(`Processamento Diário ${businessDate}: ${investments.length} pacotes para processar.`);
+
+        let completedCount = 0;
+        for (const investment of investments) {
+            const result = await creditInvestmentForDate(investment, businessDate, commissionRate);
+            if (result.action === 'complete') completedCount++;
+        }
+
+        // Os totais vêm dos créditos gravados, então refletem também tentativas anteriores interrompidas
+        const [totals] = await ProfitCredit.aggregate([
+            { $match: { businessDate, status: 'credited' } },
+            { $group: { _id: null, creditedCount: { $sum: 1 }, totalProfit: { $sum: '$profitAmount' }, totalCommission: { $sum: '$commissionAmount' } } },
+        ]);
+        const summary = {
+            creditedCount: totals ? totals.creditedCount : 0,
+            totalProfit: totals ? totals.totalProfit : 0,
+            totalCommission: totals ? totals.totalCommission : 0,
+        };
+
+        const completedRun = await ProfitRun.findOneAndUpdate(
+            { _id: run._id },
+            { $set: { status: 'completed', completedAt: new Date(), ...summary }, $inc: { completedCount } },
+            { new: true }
+        );
+
+        logInfo(`Processamento Diário ${businessDate} concluído: ${summary.creditedCount} rendas creditadas.`);
+        return {
+            businessDate,
+            ...summary,
+            completedCount: completedRun.completedCount,
+            attempts: completedRun.attempts,
+        };
+    } catch (error) {
+        await ProfitRun.updateOne({ _id: run._id }, { $set: { status: 'failed', lastError: error.message } });
+        throw error;
+    }
+};
+
+/**
+ * Simula o processamento diário sem gravar nada, usando as mesmas funções de busca e cálculo
+ * da execução real. As chaves (investmentId, businessDate) de cada crédito previsto são as
+ * mesmas dos ProfitCredit que a execução real vai gravar, o que permite comparar os dois.
+ * @returns {Promise<object>} Detalhamento por data, por investimento, por usuário e por convidador.
+ */
+const buildDailyProfitPreview = async () => {
+    const today = getBusinessDate();
+    const dates = await getPendingProfitDates(today);
+
+    const adminConfig = await AdminConfig.findOne();
+    const commissionRate = adminConfig ? adminConfig.commissionOnDailyProfit : 0;
+
+    const credits = [];
+    const completions = [];
+    const skipped = [];
+    const runs = [];
+    const perUser = new Map();
+    const perInviter = new Map();
+    const completedInPreview = new Set(); // Investimentos que a simulação já encerrou numa data anterior
+
+    for (const businessDate of dates) {
+        const run = { businessDate, creditedCount: 0, completedCount: 0, totalProfit: 0, totalCommission: 0 };
+        const investments = await findInvestmentsDueForDate(businessDate);
+        const existingCredits = await ProfitCredit.find({ businessDate, investmentId: { $in: investments.map(inv => inv._id) } });
+        const existingByInvestment = new Map(existingCredits.map(credit => [credit.investmentId.toString(), credit]));
 
         for (const investment of investments) {
+            const investmentId = investment._id.toString();
+            if (completedInPreview.has(investmentId)) continue;
+
             const user = investment.userId;
+            const calculation = await calculateInvestmentCredit(investment, businessDate, commissionRate);
+
+            if (calculation.action === 'skip') {
+                skipped.push({ businessDate, investmentId, userId: user ? user._id : null, reason: user ? 'user_blocked' : 'user_not_found' });
+                continue;
+            }
 
-            if (!user || user.status === 'blocked') continue;
+            if (calculation.action === 'complete') {
+                completedInPreview.add(investmentId);
+                completions.push({ businessDate, investmentId, userId: user._id, phoneNumber: user.phoneNumber });
+                run.completedCount++;
+                continue;
+            }
 
-            // 2. Verificar se o investimento expirou
-            if (new Date(investment.endDate) <= now) {
-                investment.status = 'completed';
-                await investment.save();
-                
-                // Remove do array de ativos do usuário
-                user.activeInvestments = user.activeInvestments.filter(id => id.toString() !== investment._id.toString());
-                await user.save();
+            // Uma execução anterior interrompida já reservou este crédito: valem os valores gravados
+            const existing = existingByInvestment.get(investmentId);
+            if (existing && existing.status === 'credited') {
+                skipped.push({ businessDate, investmentId, userId: user._id, reason: 'already_credited' });
                 continue;
             }
+            const profitAmount = existing ? existing.profitAmount : calculation.profitAmount;
+            const commissionAmount = existing ? existing.commissionAmount : calculation.commissionAmount;
+            const inviter = calculation.inviter;
+            const inviterId = existing ? existing.inviterId : (inviter ? inviter._id : null);
+
+            credits.push({
+                businessDate,
+                investmentId,
+                userId: user._id,
+                phoneNumber: user.phoneNumber,
+                investedAmount: investment.investedAmount,
+                dailyProfitRate: investment.dailyProfitRate,
+                profitAmount,
+                inviterId,
+                inviterPhoneNumber: inviter ? inviter.phoneNumber : null,
+                commissionAmount,
+                resumesPendingCredit: Boolean(existing),
+            });
+
+            run.creditedCount++;
+            run.totalProfit += profitAmount;
+            run.totalCommission += commissionAmount;
+
+            const userKey = user._id.toString();
+            const userTotals = perUser.get(userKey) || { userId: user._id, phoneNumber: user.phoneNumber, creditCount: 0, totalProfit: 0 };
+            userTotals.creditCount++;
+            userTotals.totalProfit += profitAmount;
+            perUser.set(userKey, userTotals);
+
+            if (inviterId && commissionAmount > 0) {
+                const inviterKey = inviterId.toString();
+                const inviterTotals = perInviter.get(inviterKey) || { inviterId, phoneNumber: inviter ? inviter.phoneNumber : null, commissionCount: 0, totalCommission: 0 };
+                inviterTotals.commissionCount++;
+                inviterTotals.totalCommission += commissionAmount;
+                perInviter.set(inviterKey, inviterTotals);
+            }
+        }
+
+        runs.push(run);
+    }
+
+    return {
+        generatedAt: new Date(),
+        date: today,
+        dates,
+        commissionRate,
+        totals: {
+            creditCount: credits.length,
+            completionCount: completions.length,
+            skippedCount: skipped.length,
+            totalProfit: runs.reduce((sum, run) => sum + run.totalProfit, 0),
+            totalCommission: runs.reduce((sum, run) => sum + run.totalCommission, 0),
+        },
+        runs,
+        perUser: [...perUser.values()],
+        perInviter: [...perInviter.values()],
+        credits,
+        completions,
+        skipped,
+    };
+};
+
+/**
+ * @desc    Pré-visualização (dry-run) do processamento diário para o financeiro. Não grava nada.
+ */
+const previewDailyProfitsAndCommissions = async (req, res) => {
+    try {
+        const preview = await buildDailyProfitPreview();
+        await recordAuditEvent(req, { action: 'profits.preview', description: 'Pré-visualização do processamento diário gerada.', details: { dates: preview.dates, totals: preview.totals } });
+        res.status(200).json({ success: true, dryRun: true, ...preview });
+    } catch (error) {
+        logError(`Erro na pré-visualização do processamento diário: ${error.message}`, { stack: error.stack });
+        res.status(500).json({ message: 'Erro ao gerar pré-visualização.' });
+    }
+};
+
+/**
+ * @desc    Processa lucros diários e comissões.
+ * Processa, em ordem, todas as datas de negócio ainda não concluídas até hoje (fuso de Maputo).
+ * Reexecutar uma data já concluída não faz nada; uma data interrompida é retomada.
+ * Só roda com o lock distribuído DAILY_PROFITS_LOCK: se outra instância (scheduler ou rota
+ * interna) já estiver processando, esta chamada termina sem fazer nada.
+ * Quando chamada pela rota interna, o resultado é gravado no InternalTrigger da requisição.
+ */
+const processDailyProfitsAndCommissions = async (req, res) => {
+    const trigger = req ? req.internalTrigger : null;
 
-            // 3. Calcular Lucro Diário
-            const dailyProfit = investment.investedAmount * investment.dailyProfitRate;
-
-            // 4. Creditar Saldo do Usuário
-            user.balance += dailyProfit;
-            await user.save();
-
-            // 5. Atualizar o Registro de Investimento
-            investment.currentProfit += dailyProfit;
-            investment.lastProfitCreditDate = now; // Atualiza para agora, impedindo duplo crédito hoje
-            await investment.save();
-
-            // 6. Lógica de Comissão sobre Lucro Diário (Indicação)
-            if (commissionRate > 0 && user.invitedBy) {
-                const inviter = await User.findOne({ referralCode: user.invitedBy, status: 'active' });
-                if (inviter) {
-                    const commissionAmount = dailyProfit * commissionRate;
-                    inviter.balance += commissionAmount;
-                    inviter.totalCommissionEarned += commissionAmount;
-                    await inviter.save();
+    try {
+        const lock = await withJobLock(DAILY_PROFITS_LOCK, async (lease) => {
+            const today = getBusinessDate();
+            const dates = await getPendingProfitDates(today);
+
+            const adminConfig = await AdminConfig.findOne();
+            const commissionRate = adminConfig ? adminConfig.commissionOnDailyProfit : 0;
+
+            logInfo(`Processamento Diário: ${dates.length} data(s) de negócio pendente(s)${dates.length ? `: ${dates.join(', ')}` : ''}.`);
+
+            const runs = [];
+            for (const businessDate of dates) {
+                if (lease.isLost()) {
+                    throw new Error('Lock do processamento diário perdido; interrompendo antes da próxima data.');
                 }
+                // Para na primeira data com falha: as seguintes serão processadas na próxima execução
+                runs.push(await runProfitsForDate(businessDate, commissionRate));
             }
 
-            processedCount++;
+            const processedCount = runs.reduce((sum, run) => sum + run.creditedCount, 0);
+            return { date: today, processedCount, runs };
+        }, { ttlMs: Number(process.env.DAILY_PROFITS_LOCK_TTL_MS) || undefined });
+
+        if (!lock.acquired) {
+            logInfo('Processamento Diário ignorado: já existe uma execução em andamento.');
+            if (trigger) {
+                await InternalTrigger.updateOne(
+                    { _id: trigger._id },
+                    { $set: { status: 'skipped', finishedAt: new Date(), error: 'Lock em uso por outra execução.' } }
+                );
+            }
+            if (res) res.status(409).json({ success: false, message: 'Processamento já em andamento.' });
+            return;
         }
 
-        logInfo(`Sucesso: ${processedCount} rendas creditadas hoje.`);
+        const { date, processedCount, runs } = lock.result;
+        logInfo(`Sucesso: ${processedCount} rendas creditadas em ${runs.length} data(s).`);
+
+        if (trigger) {
+            await InternalTrigger.updateOne(
+                { _id: trigger._id },
+                { $set: { status: 'success', finishedAt: new Date(), result: lock.result } }
+            );
+        }
         
         if (res) {
             res.status(200).json({ 
                 success: true, 
-                message: `Processamento concluído. ${processedCount} usuários receberam lucros.`,
-                date: now.toISOString()
+                message: `Processamento concluído. ${processedCount} lucros creditados em ${runs.length} data(s).`,
+                date,
+                runs,
             });
         }
     } catch (error) {
-        logError(`Falha Crítica no Processamento Diário: ${error.message}`);
+        logError(`Falha Crítica no Processamento Diário: ${error.message}`, { stack: error.stack });
+        if (trigger) {
+            await InternalTrigger.updateOne(
+                { _id: trigger._id },
+                { $set: { status: 'failed', finishedAt: new Date(), error: error.message } }
+            ).catch((updateError) => logError(`Erro ao registrar falha da chamada interna: ${updateError.message}`));
+        }
         if (res) res.status(500).json({ message: 'Erro interno no processamento.' });
     }
 };
@@ -813,7 +3825,21 @@ const processDailyProfitsAndCommissions = async (req, res) => {
 module.exports = {
     registerUser,
     loginUser,
+    verifyTwoFactorLogin,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateTwoFactorBackupCodes,
+    refreshAccessToken,
+    logoutUser,
+    logoutAllSessions,
+    getUserSessions,
+    revokeUserSession,
+    changePassword,
+    requestPasswordReset,
+    resetPasswordWithCode,
     getUserProfile,
+    updateMessagingPreferences,
     createInvestmentPlan,
     getInvestmentPlans,
     getInvestmentPlanById,
@@ -826,13 +3852,31 @@ module.exports = {
     requestDeposit,
     getUserDeposits,
     getPendingDeposits,
+    getDepositReceipt,
+    serveLocalPrivateFile,
     approveDeposit,
     rejectDeposit,
+    getPayoutMethods,
+    addPayoutMethod,
+    removePayoutMethod,
+    setDefaultPayoutMethod,
+    getWithdrawalQuote,
     requestWithdrawal,
     getUserWithdrawals,
     getPendingWithdrawals,
     approveWithdrawal,
     rejectWithdrawal,
+    getNotifications,
+    getUnreadNotificationCount,
+    markNotificationRead,
+    markAllNotificationsRead,
+    broadcastAnnouncement,
+    createQueueStreamTicket,
+    streamAdminQueue,
+    claimDeposit,
+    releaseDepositClaim,
+    claimWithdrawal,
+    releaseWithdrawalClaim,
     getAdminConfig,
     updateAdminConfig,
     getAllUsers,
@@ -841,9 +3885,33 @@ module.exports = {
     unblockUser,
     createAdmin,
     changeUserPasswordByAdmin,
+    revokeSessionsByAdmin,
+    getAdminRoles,
+    assignAdminRole,
+    getLoginLockouts,
+    clearLoginLockout,
     getBlockedUsers,
     processDailyProfitsAndCommissions,
     createInitialAdmin, 
     getDepositConfig, 
     getAdminLogs, 
+    getUserLedger,
+    rebuildUserBalanceFromLedger,
+    getInternalTriggers,
+    previewDailyProfitsAndCommissions,
+    getAdminConfigVersions,
+    getAdminConfigVersion,
+    diffAdminConfigVersions,
+    rollbackAdminConfig,
+    getWithdrawalHolidays,
+    createWithdrawalHoliday,
+    deleteWithdrawalHoliday,
+    receivePaymentWebhook,
+    getPaymentNotifications,
+    simulateMockPayment,
+    getApprovalRequests,
+    getApprovalRequestById,
+    approveApprovalRequest,
+    rejectApprovalRequest,
+    cancelApprovalRequest,
 };
\ No newline at end of file
@@ -0,0 +1,101 @@
+// jobLock.js
+// Este arquivo implementa um lock distribuído baseado em MongoDB (lease com TTL e heartbeat).
+// Ele garante que uma tarefa (ex: processamento diário de lucros) rode em apenas uma
+// instância por vez, mesmo com várias réplicas do servidor ou chamadas CRON simultâneas.
+
+const os = require('os');
+const crypto = require('crypto');
+const { JobLock } = require('./models');
+const { logInfo, logError } = require('./utils');
+
+// Duração padrão do lease; o heartbeat renova o lock a cada terço deste tempo
+const DEFAULT_LOCK_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Gera um identificador único para o dono do lock nesta execução.
+ * @returns {string} Ex: 'web-1:4312:9f2c1a0b'.
+ */
+const generateLockOwner = () => `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Tenta adquirir o lock. Só consegue se o lock não existir ou se o lease anterior já expirou.
+ * @param {string} name - Nome do lock.
+ * @param {string} owner - Identificador de quem está adquirindo.
+ * @param {number} ttlMs - Duração do lease em milissegundos.
+ * @returns {Promise<boolean>} true se o lock foi adquirido.
+ */
+const tryAcquire = async (name, owner, ttlMs) => {
+    const now = new Date();
+    try {
+        await JobLock.findOneAndUpdate(
+            { name, expiresAt: { $lte: now } },
+            { $set: { owner, acquiredAt: now, heartbeatAt: now, expiresAt: new Date(now.getTime() + ttlMs) } },
+            { upsert: true, new: true }
+        );
+        return true;
+    } catch (error) {
+        // Lock ainda válido com outro dono: o upsert colide com o índice único em name
+        if (error.code === 11000) return false;
+        throw error;
+    }
+};
+
+/**
+ * Executa uma função segurando o lock distribuído. Enquanto a função roda, um heartbeat
+ * renova o lease; ao final o lock é liberado. Se o lock estiver com outra instância,
+ * a função não é executada.
+ * @param {string} name - Nome do lock.
+ * @param {function} fn - Função assíncrona a executar; recebe o lease ({ owner, isLost() }).
+ * @param {object} [options]
+ * @param {number} [options.ttlMs] - Duração do lease (padrão: 5 minutos).
+ * @returns {Promise<{acquired: boolean, result?: *}>} acquired=false se o lock não foi obtido.
+ */
+const withJobLock = async (name, fn, { ttlMs = DEFAULT_LOCK_TTL_MS } = {}) => {
+    const owner = generateLockOwner();
+
+    if (!(await tryAcquire(name, owner, ttlMs))) {
+        const current = await JobLock.findOne({ name });
+        logInfo(`Lock '${name}' em uso por outra instância. Execução ignorada.`, {
+            heldBy: current ? current.owner : 'N/A',
+            expiresAt: current ? current.expiresAt : 'N/A',
+        });
+        return { acquired: false };
+    }
+
+    logInfo(`Lock '${name}' adquirido.`, { owner });
+
+    let lost = false;
+    const heartbeat = setInterval(async () => {
+        try {
+            const now = new Date();
+            const renewed = await JobLock.findOneAndUpdate(
+                { name, owner },
+                { $set: { heartbeatAt: now, expiresAt: new Date(now.getTime() + ttlMs) } }
+            );
+            if (!renewed) {
+                lost = true;
+                logError(`Lock '${name}' perdido durante a execução (lease expirado e assumido por outra instância).`, { owner });
+            }
+        } catch (error) {
+            logError(`Erro no heartbeat do lock '${name}': ${error.message}`, { owner });
+        }
+    }, Math.max(Math.floor(ttlMs / 3), 1000));
+    heartbeat.unref(); // Não impede o encerramento do processo
+
+    try {
+        const result = await fn({ owner, isLost: () => lost });
+        return { acquired: true, result };
+    } finally {
+        clearInterval(heartbeat);
+        try {
+            await JobLock.deleteOne({ name, owner });
+            logInfo(`Lock '${name}' liberado.`, { owner });
+        } catch (error) {
+            logError(`Erro ao liberar o lock '${name}': ${error.message}`, { owner });
+        }
+    }
+};
+
+module.exports = {
+    withJobLock,
+};
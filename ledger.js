@@ -0,0 +1,240 @@
+// ledger.js
+// Este arquivo implementa o livro-razão (ledger) de partidas dobradas da aplicação.
+// Toda alteração de saldo de um usuário deve passar por postLedgerEntry, que atualiza
+// o User.balance (cache) e grava as duas pernas da transação em LedgerEntry numa mesma
+// transação MongoDB: o saldo nunca muda sem o lançamento correspondente.
+
+const mongoose = require('mongoose');
+const { User, LedgerEntry } = require('./models');
+const { logInfo, logError } = require('./utils');
+
+// Conta do sistema que serve de contrapartida para cada tipo de movimentação
+const SYSTEM_ACCOUNTS = {
+    opening_balance: 'system:opening_balances',
+    deposit: 'system:deposits',
+    withdrawal: 'system:withdrawals',
+    withdrawal_refund: 'system:withdrawals',
+    investment_activation: 'system:investments',
+    investment_upgrade: 'system:investments',
+    investment_refund: 'system:investments',
+    daily_profit: 'system:profits',
+    activation_commission: 'system:commissions',
+    profit_commission: 'system:commissions',
+};
+
+// Tipos de movimentação que também incrementam o User.totalCommissionEarned
+const COMMISSION_TYPES = ['activation_commission', 'profit_commission'];
+
+/**
+ * Retorna o identificador da conta de um usuário no ledger.
+ * @param {string|object} userId - O ID do usuário.
+ * @returns {string} Ex: 'user:65f0c...'.
+ */
+const userAccount = (userId) => `user:${userId.toString()}`;
+
+/**
+ * Registra uma movimentação no saldo de um usuário.
+ * Atualiza o User.balance com $inc e grava a perna do usuário e a contrapartida do sistema, na
+ * transação do chamador (params.session) ou, sem ela, numa transação própria.
+ * Débitos só são aplicados se o saldo for suficiente: a verificação e o $inc acontecem
+ * numa única operação findOneAndUpdate, então requisições concorrentes não conseguem gastar
+ * o mesmo saldo duas vezes.
+ * @param {object} params
+ * @param {string|object} params.userId - O usuário cuja conta é movimentada.
+ * @param {number} params.amount - Valor com sinal (positivo = crédito, negativo = débito).
+ * @param {string} params.type - Tipo da movimentação (ver LedgerEntry.type).
+ * @param {string} [params.referenceModel] - 'Deposit', 'Withdrawal' ou 'Investment'.
+ * @param {string|object} [params.referenceId] - ID do documento que originou a movimentação.
+ * @param {string} [params.description] - Descrição legível da movimentação.
+ * @param {string} [params.businessDate] - Data de negócio ('YYYY-MM-DD'), usada nos lucros diários.
+ * @param {object} [params.conditions] - Condições extras no filtro do usuário (ex: { activeInvestments: { $size: 0 } }).
+ * @param {object} [params.update] - Operadores extras aplicados na mesma atualização (ex: { $push: { ... } }).
+ * @param {string} [params.idempotencyKey] - Chave única da perna do usuário (ver postLedgerEntryOnce).
+ * @param {object} [params.session] - Sessão MongoDB opcional, para uso dentro de transações.
+ * @returns {Promise<object|null>} O usuário com o saldo já atualizado, ou null se o saldo for
+ * insuficiente ou as condições extras não forem satisfeitas (nada é gravado nesse caso).
+ */
+const postLedgerEntry = async (params) => {
+    if (!params.session) {
+        return runInTransaction(session => postLedgerEntry({ ...params, session }));
+    }
+
+    const { userId, amount, type, referenceModel, referenceId, description, businessDate, idempotencyKey, conditions = {}, update = {}, session } = params;
+    if (!SYSTEM_ACCOUNTS[type]) {
+        throw new Error(`Tipo de movimentação de ledger desconhecido: ${type}`);
+    }
+
+    const inc = { balance: amount };
+    if (COMMISSION_TYPES.includes(type)) {
+        inc.totalCommissionEarned = amount;
+    }
+
+    const filter = { ...conditions, _id: userId };
+    if (amount < 0) {
+        filter.balance = { $gte: -amount };
+    }
+
+    const user = await User.findOneAndUpdate(filter, { ...update, $inc: inc }, { new: true, session });
+    if (!user) {
+        if (!(await User.exists({ _id: userId }).session(session))) {
+            throw new Error(`Usuário ${userId} não encontrado ao registrar movimentação no ledger.`);
+        }
+        return null;
+    }
+
+    const transactionId = new mongoose.Types.ObjectId();
+    await LedgerEntry.create([
+        {
+            transactionId,
+            account: userAccount(user._id),
+            userId: user._id,
+            amount,
+            type,
+            referenceModel,
+            referenceId,
+            businessDate,
+            balanceAfter: user.balance,
+            description,
+            idempotencyKey,
+        },
+        {
+            transactionId,
+            account: SYSTEM_ACCOUNTS[type],
+            amount: -amount,
+            type,
+            referenceModel,
+            referenceId,
+            businessDate,
+            description,
+        },
+    ], { session, ordered: true });
+
+    return user;
+};
+
+/**
+ * Executa fn numa transação MongoDB: as gravações feitas com a sessão recebida são confirmadas
+ * juntas ou descartadas juntas. Usado quando uma mudança de status e o lançamento no ledger
+ * precisam acontecer juntos (ex: aprovar um depósito e creditar o saldo).
+ * Exige que o MongoDB rode como replica set (como no Atlas). Em conflitos de escrita com outra
+ * transação, fn é executada de novo pelo driver, então deve depender apenas do estado lido nela.
+ * @param {function(object): Promise<*>} fn - Recebe a sessão MongoDB.
+ * @returns {Promise<*>} O valor retornado por fn.
+ */
+const runInTransaction = async (fn) => {
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await fn(session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+};
+
+/**
+ * Igual a postLedgerEntry, mas não faz nada se a conta do usuário já tiver um lançamento
+ * do mesmo tipo para a mesma referência e data de negócio. Usado para retomar com segurança
+ * processamentos interrompidos (ex: lucros diários).
+ * A perna do usuário leva uma chave única (idempotencyKey): um segundo lançamento, mesmo
+ * simultâneo, falha no índice e sua transação é desfeita junto com o $inc do saldo.
+ * @param {object} params - Os mesmos parâmetros de postLedgerEntry (businessDate obrigatório, sem session).
+ * @returns {Promise<object|null>} O usuário atualizado, ou null se o lançamento já existia.
+ */
+const postLedgerEntryOnce = async (params) => {
+    const idempotencyKey = [userAccount(params.userId), params.type, params.referenceId, params.businessDate].join(':');
+    try {
+        return await postLedgerEntry({ ...params, idempotencyKey });
+    } catch (error) {
+        if (error.code === 11000) return null;
+        throw error;
+    }
+};
+
+/**
+ * Calcula o saldo de um usuário somando as pernas da sua conta no ledger.
+ * @param {string|object} userId - O ID do usuário.
+ * @returns {Promise<number>} O saldo segundo o ledger.
+ */
+const getLedgerBalance = async (userId) => {
+    const [totals] = await LedgerEntry.aggregate([
+        { $match: { account: userAccount(userId) } },
+        { $group: { _id: null, balance: { $sum: '$amount' } } },
+    ]);
+    return totals ? totals.balance : 0;
+};
+
+/**
+ * Reconstrói o User.balance a partir do ledger.
+ * @param {string|object} userId - O ID do usuário.
+ * @returns {Promise<object|null>} Saldo anterior e reconstruído, ou null se o usuário não existir.
+ */
+const rebuildUserBalance = async (userId) => {
+    const user = await User.findById(userId);
+    if (!user) return null;
+
+    const previousBalance = user.balance;
+    const rebuiltBalance = await getLedgerBalance(user._id);
+
+    await User.updateOne({ _id: user._id }, { $set: { balance: rebuiltBalance } });
+
+    if (previousBalance !== rebuiltBalance) {
+        logError(`Divergência entre saldo em cache e ledger corrigida para o usuário ${user.phoneNumber}.`, { userId: user._id, previousBalance, rebuiltBalance });
+    }
+
+    return { previousBalance, rebuiltBalance };
+};
+
+/**
+ * Grava um lançamento de saldo de abertura para usuários que já tinham saldo antes do ledger existir.
+ * Deve ser chamado na inicialização da aplicação; usuários que já possuem lançamentos são ignorados.
+ */
+const ensureOpeningBalances = async () => {
+    try {
+        const usersWithLedger = await LedgerEntry.distinct('userId', { userId: { $exists: true } });
+        const users = await User.find({
+            _id: { $nin: usersWithLedger },
+            balance: { $ne: 0 },
+        });
+
+        for (const user of users) {
+            const transactionId = new mongoose.Types.ObjectId();
+            await LedgerEntry.create([
+                {
+                    transactionId,
+                    account: userAccount(user._id),
+                    userId: user._id,
+                    amount: user.balance,
+                    type: 'opening_balance',
+                    balanceAfter: user.balance,
+                    description: 'Saldo existente antes da criação do ledger.',
+                },
+                {
+                    transactionId,
+                    account: SYSTEM_ACCOUNTS.opening_balance,
+                    amount: -user.balance,
+                    type: 'opening_balance',
+                    description: 'Saldo existente antes da criação do ledger.',
+                },
+            ], { ordered: true });
+        }
+
+        if (users.length > 0) {
+            logInfo(`Ledger: saldo de abertura registrado para ${users.length} usuários.`);
+        }
+    } catch (error) {
+        logError(`Erro ao registrar saldos de abertura no ledger: ${error.message}`, { stack: error.stack });
+    }
+};
+
+module.exports = {
+    postLedgerEntry,
+    postLedgerEntryOnce,
+    runInTransaction,
+    getLedgerBalance,
+    rebuildUserBalance,
+    ensureOpeningBalances,
+    userAccount,
+};
@@ -0,0 +1,211 @@
+// loginThrottle.js
+// Proteção contra força bruta no login. As falhas são contadas no MongoDB por número de
+// telefone e por IP (funciona com várias instâncias). Depois de algumas falhas, cada nova
+// tentativa exige um atraso crescente; ao atingir o limite, a chave fica bloqueada por um tempo.
+// Cada tentativa é reservada (claimLoginAttempt) antes de a senha ser conferida, para que
+// requisições paralelas não escapem do limite.
+
+const { LoginThrottle } = require('./models');
+const { logSecurityEvent } = require('./utils');
+
+// Regras por tipo de chave. O IP tem limites maiores, pois pode ser compartilhado (NAT, operadora).
+const THROTTLE_RULES = {
+    phone: { delayAfter: 3, lockAfter: 10 },
+    ip: { delayAfter: 10, lockAfter: 50 },
+};
+const MAX_DELAY_SECONDS = 60;
+const BASE_LOCK_MINUTES = 15; // Dobra a cada novo bloqueio da mesma chave
+const MAX_LOCK_MINUTES = 24 * 60;
+const FAILURE_WINDOW_MS = 60 * 60 * 1000; // Falhas mais antigas que isso não contam mais
+const RECORD_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Monta as chaves de throttle de uma tentativa de login.
+ * @param {string} phoneNumber
+ * @param {string} ipAddress
+ * @returns {Array<{key: string, type: string}>}
+ */
+const getLoginThrottleKeys = (phoneNumber, ipAddress) => [
+    { key: `phone:${phoneNumber}`, type: 'phone' },
+    { key: `ip:${ipAddress}`, type: 'ip' },
+];
+
+/**
+ * Verifica se alguma das chaves está bloqueada ou em atraso.
+ * @param {Array<{key: string}>} keys
+ * @returns {Promise<{allowed: boolean, retryAfterSeconds?: number, locked?: boolean}>}
+ */
+const checkLoginThrottle = async (keys) => {
+    const now = Date.now();
+    const records = await LoginThrottle.find({ key: { $in: keys.map(k => k.key) } });
+
+    let retryAt = 0;
+    let locked = false;
+    for (const record of records) {
+        if (record.lockedUntil && record.lockedUntil.getTime() > now) {
+            locked = true;
+            retryAt = Math.max(retryAt, record.lockedUntil.getTime());
+        } else if (record.delayUntil && record.delayUntil.getTime() > now) {
+            retryAt = Math.max(retryAt, record.delayUntil.getTime());
+        }
+    }
+
+    if (retryAt > now) {
+        return { allowed: false, locked, retryAfterSeconds: Math.ceil((retryAt - now) / 1000) };
+    }
+    return { allowed: true };
+};
+
+/**
+ * Conta uma tentativa numa chave, se ela não estiver bloqueada, em atraso ou com o limite
+ * de tentativas já consumido. A verificação e o $inc acontecem numa única operação.
+ * @returns {Promise<object|null>} O registro atualizado, ou null se a tentativa foi barrada.
+ */
+const claimAttemptForKey = async ({ key, type }, now, context) => {
+    const rules = THROTTLE_RULES[type];
+
+    // Zera a contagem se a última falha já saiu da janela
+    await LoginThrottle.updateOne(
+        { key, lastFailureAt: { $lt: new Date(now.getTime() - FAILURE_WINDOW_MS) } },
+        { $set: { failures: 0 } }
+    );
+
+    let record;
+    try {
+        record = await LoginThrottle.findOneAndUpdate(
+            {
+                key,
+                failures: { $lt: rules.lockAfter },
+                lockedUntil: { $not: { $gt: now } },
+                delayUntil: { $not: { $gt: now } },
+            },
+            {
+                $inc: { failures: 1 },
+                $set: { type, lastIp: context.ip, expireAt: new Date(now.getTime() + RECORD_TTL_MS) },
+            },
+            { upsert: true, new: true }
+        );
+    } catch (error) {
+        // O registro existe mas não passou no filtro: o upsert colide com a chave única
+        if (error.code === 11000) return null;
+        throw error;
+    }
+
+    // O atraso vale a partir desta tentativa, então tentativas simultâneas já o encontram
+    if (record.failures >= rules.delayAfter) {
+        const delaySeconds = Math.min(2 ** (record.failures - rules.delayAfter), MAX_DELAY_SECONDS);
+        await LoginThrottle.updateOne(
+            { _id: record._id },
+            { $set: { delayUntil: new Date(now.getTime() + delaySeconds * 1000) } }
+        );
+    }
+    return record;
+};
+
+/**
+ * Reserva uma tentativa de login em todas as chaves antes de conferir a senha ou o código 2FA.
+ * A tentativa conta como falha até que clearLoginFailures a desfaça, então requisições
+ * paralelas não conseguem passar do limite verificando todas antes da primeira falha.
+ * @param {Array<{key: string, type: string}>} keys
+ * @param {object} context - Dados para o log de segurança (phoneNumber, ip).
+ * @returns {Promise<{allowed: boolean, retryAfterSeconds?: number, locked?: boolean}>}
+ */
+const claimLoginAttempt = async (keys, context = {}) => {
+    const now = new Date();
+    const claimed = [];
+
+    for (const throttleKey of keys) {
+        const record = await claimAttemptForKey(throttleKey, now, context);
+        if (!record) {
+            // Devolve as tentativas já reservadas nas outras chaves
+            await releaseLoginAttempt(claimed);
+            const throttle = await checkLoginThrottle(keys);
+            // Limite consumido por tentativas ainda em andamento: pede uma nova tentativa em breve
+            return throttle.allowed ? { allowed: false, locked: false, retryAfterSeconds: 1 } : throttle;
+        }
+        claimed.push(throttleKey);
+    }
+    return { allowed: true };
+};
+
+/**
+ * Confirma como falha a tentativa reservada por claimLoginAttempt e bloqueia as chaves
+ * que atingiram o limite.
+ * @param {Array<{key: string, type: string}>} keys
+ * @param {object} context - Dados para o log de segurança (phoneNumber, ip, reason).
+ */
+const registerLoginFailure = async (keys, context = {}) => {
+    const now = new Date();
+
+    for (const { key, type } of keys) {
+        const rules = THROTTLE_RULES[type];
+
+        const record = await LoginThrottle.findOneAndUpdate(
+            { key },
+            { $set: { lastFailureAt: now, lastIp: context.ip } },
+            { new: true }
+        );
+        if (!record || record.failures < rules.lockAfter) continue;
+
+        const lockMinutes = Math.min(BASE_LOCK_MINUTES * 2 ** record.lockCount, MAX_LOCK_MINUTES);
+        const lockedUntil = new Date(now.getTime() + lockMinutes * 60 * 1000);
+        // Só a falha que encontra a chave ainda sem bloqueio o aplica (e incrementa lockCount)
+        const locked = await LoginThrottle.findOneAndUpdate(
+            { _id: record._id, failures: { $gte: rules.lockAfter } },
+            { $set: { lockedUntil, failures: 0, delayUntil: null }, $inc: { lockCount: 1 } }
+        );
+        if (locked) {
+            logSecurityEvent(`Login bloqueado temporariamente para ${key}.`, {
+                key,
+                type,
+                lockMinutes,
+                lockedUntil,
+                lockCount: record.lockCount + 1,
+                ...context,
+            });
+        }
+    }
+};
+
+/**
+ * Devolve a tentativa reservada por claimLoginAttempt em todas as chaves, sem limpar as falhas
+ * anteriores (ex: senha correta numa conta com 2FA, antes do segundo passo).
+ * @param {Array<{key: string}>} keys
+ */
+const releaseLoginAttempt = async (keys) => {
+    for (const { key } of keys) {
+        await LoginThrottle.updateOne({ key, failures: { $gt: 0 } }, { $inc: { failures: -1 } });
+    }
+};
+
+/**
+ * Encerra a tentativa reservada após um login bem-sucedido: as falhas do telefone são limpas
+ * (o histórico de bloqueios é mantido) e a tentativa é devolvida à contagem do IP.
+ * @param {Array<{key: string, type: string}>} keys
+ */
+const clearLoginFailures = async (keys) => {
+    await LoginThrottle.updateOne(
+        { key: keys.find(k => k.type === 'phone').key },
+        { $set: { failures: 0, delayUntil: null } }
+    );
+    await releaseLoginAttempt(keys.filter(k => k.type !== 'phone'));
+};
+
+/**
+ * Remove um bloqueio (uso administrativo).
+ * @param {string} id - O ID do registro de throttle.
+ * @returns {Promise<object|null>} O registro antes da limpeza, ou null se não existir.
+ */
+const clearLockout = (id) => LoginThrottle.findOneAndUpdate(
+    { _id: id },
+    { $set: { failures: 0, delayUntil: null, lockedUntil: null } }
+);
+
+module.exports = {
+    getLoginThrottleKeys,
+    claimLoginAttempt,
+    registerLoginFailure,
+    releaseLoginAttempt,
+    clearLoginFailures,
+    clearLockout,
+};
@@ -0,0 +1,117 @@
+// messageTransports.js
+// Transportes usados pela fila de mensagens (outbox.js). Cada transporte expõe
+// { name, send(phoneNumber, text) } e devolve { provider, messageId }.
+// - 'sms' usa o provedor de SMS já configurado (SMS_PROVIDER, ver smsProvider.js).
+// - 'whatsapp' é escolhido por WHATSAPP_PROVIDER. Sem ela o canal fica indisponível: os usuários não
+//   podem escolhê-lo e as mensagens vão por SMS. Os adaptadores 'console' e 'file' servem para
+//   desenvolvimento local e testes, sem enviar nada, e são recusados em produção.
+
+const fs = require('fs');
+const path = require('path');
+const { sendSms, toInternationalNumber, redactDigits } = require('./smsProvider');
+const { logInfo } = require('./utils');
+
+// Arquivo onde o adaptador 'file' do WhatsApp grava as mensagens "enviadas"
+const WHATSAPP_OUTBOX_FILE = process.env.WHATSAPP_FILE_PATH || path.join(__dirname, 'logs', 'whatsapp_outbox.log');
+
+// Adaptadores que não enviam a mensagem (nunca usados com NODE_ENV=production)
+const SIMULATED_WHATSAPP_PROVIDERS = ['console', 'file'];
+
+// Provedores de WhatsApp registrados: nome -> função que cria o provedor
+const whatsAppProviderFactories = {
+    // Apenas registra o envio no log/console (sem o texto, que pode conter códigos de segurança)
+    console: () => ({
+        name: 'console',
+        sendWhatsApp: async (phoneNumber, text) => {
+            logInfo(`WhatsApp (console) para ${toInternationalNumber(phoneNumber)}: mensagem de ${text.length} caracteres.`);
+            return { provider: 'console', messageId: `console-${Date.now()}` };
+        },
+    }),
+    // Acrescenta cada mensagem como uma linha JSON em WHATSAPP_FILE_PATH
+    file: () => ({
+        name: 'file',
+        sendWhatsApp: async (phoneNumber, text) => {
+            const messageId = `file-${Date.now()}`;
+            const line = JSON.stringify({ timestamp: new Date().toISOString(), messageId, to: toInternationalNumber(phoneNumber), message: redactDigits(text) }) + '\n';
+            await fs.promises.mkdir(path.dirname(WHATSAPP_OUTBOX_FILE), { recursive: true });
+            await fs.promises.appendFile(WHATSAPP_OUTBOX_FILE, line);
+            return { provider: 'file', messageId };
+        },
+    }),
+};
+
+let activeWhatsAppProvider = null;
+
+/**
+ * Registra um novo provedor de WhatsApp (ex: API oficial do WhatsApp Business).
+ * @param {string} name - Nome usado em WHATSAPP_PROVIDER.
+ * @param {function} factory - Função que retorna { name, sendWhatsApp(phoneNumber, text) }.
+ */
+const registerWhatsAppProvider = (name, factory) => {
+    whatsAppProviderFactories[name] = factory;
+    if (activeWhatsAppProvider && activeWhatsAppProvider.name === name) {
+        activeWhatsAppProvider = null; // Recria na próxima chamada
+    }
+};
+
+/**
+ * Indica se o canal WhatsApp está disponível: WHATSAPP_PROVIDER definido e, em produção, com um
+ * provedor que envia de fato.
+ * @returns {boolean}
+ */
+const isWhatsAppAvailable = () => {
+    const name = process.env.WHATSAPP_PROVIDER;
+    if (!name) return false;
+    return !(process.env.NODE_ENV === 'production' && SIMULATED_WHATSAPP_PROVIDERS.includes(name));
+};
+
+/**
+ * Retorna o provedor de WhatsApp configurado em WHATSAPP_PROVIDER.
+ * @returns {object} O provedor ativo.
+ */
+const getWhatsAppProvider = () => {
+    if (!activeWhatsAppProvider) {
+        if (!isWhatsAppAvailable()) {
+            throw new Error('Canal WhatsApp indisponível: nenhum provedor real configurado (WHATSAPP_PROVIDER).');
+        }
+        const name = process.env.WHATSAPP_PROVIDER;
+        const factory = whatsAppProviderFactories[name];
+        if (!factory) {
+            throw new Error(`Provedor de WhatsApp desconhecido: ${name}`);
+        }
+        activeWhatsAppProvider = factory();
+    }
+    return activeWhatsAppProvider;
+};
+
+// Transportes por canal
+const transports = {
+    sms: {
+        name: 'sms',
+        send: (phoneNumber, text) => sendSms(phoneNumber, text),
+    },
+    whatsapp: {
+        name: 'whatsapp',
+        send: (phoneNumber, text) => getWhatsAppProvider().sendWhatsApp(phoneNumber, text),
+    },
+};
+
+/**
+ * Retorna o transporte de um canal.
+ * @param {string} channel - 'sms' ou 'whatsapp'.
+ * @returns {object} { name, send(phoneNumber, text) }.
+ */
+const getMessageTransport = (channel) => {
+    const transport = transports[channel];
+    if (!transport) {
+        throw new Error(`Canal de mensagens desconhecido: ${channel}`);
+    }
+    return transport;
+};
+
+module.exports = {
+    getMessageTransport,
+    isWhatsAppAvailable,
+    getWhatsAppProvider,
+    registerWhatsAppProvider,
+};
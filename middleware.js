@@ -2,13 +2,21 @@
 // Este arquivo contém os middlewares para autenticação (JWT) e autorização
 // (verificação de admin) que serão usados nas rotas protegidas.
 
+const crypto = require('crypto'); // Para validar assinaturas HMAC das chamadas internas
 const jwt = require('jsonwebtoken');
-const { User } = require('./models'); // Importa o modelo de usuário
+const { User, InternalTrigger } = require('./models'); // Importa os modelos usados nos middlewares
 const { logError } = require('./utils'); // Para logging de erros
+const { findActiveSession, consumeStreamTicket } = require('./sessions'); // Para validar a sessão do token
+const { hasPermission } = require('./permissions'); // Papéis e permissões administrativas
+
+// Janela (em segundos) aceita entre o timestamp assinado e o relógio do servidor
+const INTERNAL_SIGNATURE_TOLERANCE_SECONDS = 300;
 
 /**
- * Middleware para proteger rotas. Verifica a existência e validade de um JWT.
- * Adiciona o usuário decodificado à requisição (req.user).
+ * Middleware para proteger rotas. Verifica a existência e validade de um JWT
+ * e se a sessão (sid) do token continua ativa.
+ * Adiciona o usuário decodificado à requisição (req.user), a sessão (req.authSession) e a
+ * expiração do token (req.authExpiresAt).
  */
 const protect = async (req, res, next) => {
     let token;
@@ -22,6 +30,15 @@ const protect = async (req, res, next) => {
             // Verifica o token
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+            // Verifica se a sessão do token não foi revogada (logout, bloqueio, troca de senha...)
+            req.authSession = decoded.sid ? await findActiveSession(decoded.sid, decoded.id) : null;
+            if (!req.authSession) {
+                logError('Tentativa de acesso com token de sessão revogada ou inexistente.', { decodedId: decoded.id, sessionId: decoded.sid });
+                return res.status(401).json({ message: 'Não autorizado, sessão encerrada. Faça login novamente.' });
+            }
+
+            req.authExpiresAt = new Date(decoded.exp * 1000);
+
             // Busca o usuário pelo ID do token, excluindo a senha
             req.user = await User.findById(decoded.id).select('-password');
 
@@ -52,8 +69,48 @@ const protect = async (req, res, next) => {
     }
 };
 
+/**
+ * Middleware de autenticação dos streams (Server-Sent Events). O EventSource do navegador não envia
+ * cabeçalhos, então o cliente troca o token por um ticket de uso único (POST .../stream-ticket) e
+ * abre o stream com ?ticket=. Sem ticket, vale o cabeçalho Authorization, como em 'protect'.
+ * Define req.user, req.authSession e req.authExpiresAt (a expiração do token que pediu o ticket).
+ */
+const protectStream = async (req, res, next) => {
+    if (typeof req.query.ticket !== 'string') return protect(req, res, next);
+
+    try {
+        const ticket = await consumeStreamTicket(req.query.ticket);
+        if (!ticket || ticket.accessExpiresAt <= new Date()) {
+            logError('Tentativa de abrir stream com ticket inválido, expirado ou já usado.', { ip: req.ip });
+            return res.status(401).json({ message: 'Não autorizado, ticket inválido ou expirado.' });
+        }
+
+        req.authSession = await findActiveSession(ticket.sessionId, ticket.userId);
+        if (!req.authSession) {
+            logError('Tentativa de abrir stream com ticket de sessão revogada ou inexistente.', { userId: ticket.userId, sessionId: ticket.sessionId });
+            return res.status(401).json({ message: 'Não autorizado, sessão encerrada. Faça login novamente.' });
+        }
+
+        req.user = await User.findById(ticket.userId).select('-password');
+        if (!req.user) {
+            return res.status(401).json({ message: 'Não autorizado, usuário não encontrado.' });
+        }
+        if (req.user.status === 'blocked') {
+            logError(`Tentativa de acesso de usuário bloqueado: ${req.user.phoneNumber}`, { userId: req.user._id });
+            return res.status(403).json({ message: 'Sua conta está bloqueada. Entre em contato com o suporte.' });
+        }
+
+        req.authExpiresAt = ticket.accessExpiresAt;
+        next();
+    } catch (error) {
+        logError(`Erro na autenticação do ticket de stream: ${error.message}`);
+        return res.status(401).json({ message: 'Não autorizado, ticket inválido ou expirado.' });
+    }
+};
+
 /**
  * Middleware para verificar se o usuário autenticado é um administrador.
+ * A sessão do token também precisa ter passado pela 2FA (obrigatória para admins).
  * Deve ser usado APÓS o middleware 'protect'.
  */
 const authorizeAdmin = (req, res, next) => {
@@ -61,10 +118,120 @@ const authorizeAdmin = (req, res, next) => {
         logError(`Tentativa de acesso admin não autorizado: ${req.user ? req.user.phoneNumber : 'N/A'}`, { userId: req.user ? req.user._id : 'N/A' });
         return res.status(403).json({ message: 'Não autorizado como administrador.' });
     }
+    if (!req.authSession || !req.authSession.twoFactorVerified) {
+        logError(`Acesso admin sem verificação 2FA: ${req.user.phoneNumber}`, { userId: req.user._id, twoFactorEnabled: req.user.twoFactorEnabled });
+        return res.status(403).json({
+            message: req.user.twoFactorEnabled
+                ? 'Faça login novamente com o código de autenticação de dois fatores.'
+                : 'Ative a autenticação de dois fatores para acessar o painel administrativo.',
+            twoFactorSetupRequired: !req.user.twoFactorEnabled,
+        });
+    }
     next(); // Prossegue se o usuário for um administrador
 };
 
+/**
+ * Compara duas strings em tempo constante.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+const safeEqual = (a, b) => {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Middleware para autenticar chamadas às rotas internas (CRON externo).
+ * Exige a assinatura HMAC com INTERNAL_CRON_SECRET: cabeçalhos X-Cron-Timestamp (segundos Unix) e
+ * X-Cron-Signature, o HMAC-SHA256 em hex de "<timestamp>.<MÉTODO>.<caminho>"
+ * (ex: "1700000000.POST./api/internal/process-daily-profits").
+ * Timestamps fora da janela de 5 minutos e assinaturas já usadas são rejeitados. O segredo nunca
+ * trafega no cabeçalho (o antigo X-Cron-Secret, que aceitava replays, não é mais aceito).
+ * Toda chamada, autorizada ou não, é registrada em InternalTrigger; a autorizada fica em req.internalTrigger.
+ */
+const authorizeInternalCron = async (req, res, next) => {
+    const secret = process.env.INTERNAL_CRON_SECRET;
+    const path = req.originalUrl.split('?')[0];
+    const trigger = {
+        ip: req.ip || req.connection.remoteAddress,
+        forwardedFor: req.get('x-forwarded-for'),
+        userAgent: req.get('user-agent'),
+        method: req.method,
+        path,
+        calledAt: new Date(),
+    };
+
+    const reject = async (statusCode, reason) => {
+        logError(`Chamada interna rejeitada: ${reason}`, { ip: trigger.ip, forwardedFor: trigger.forwardedFor, path });
+        try {
+            await InternalTrigger.create({ ...trigger, status: 'rejected', error: reason });
+        } catch (error) {
+            logError(`Erro ao registrar chamada interna rejeitada: ${error.message}`);
+        }
+        return res.status(statusCode).json({ message: 'Não autorizado.' });
+    };
+
+    if (!secret) {
+        return reject(503, 'INTERNAL_CRON_SECRET não configurado.');
+    }
+
+    const timestamp = req.get('x-cron-timestamp');
+    const signature = req.get('x-cron-signature');
+    if (!timestamp || !signature) {
+        return reject(401, 'Nenhuma credencial fornecida.');
+    }
+
+    const timestampSeconds = Number(timestamp);
+    if (!Number.isInteger(timestampSeconds) || Math.abs(Date.now() / 1000 - timestampSeconds) > INTERNAL_SIGNATURE_TOLERANCE_SECONDS) {
+        return reject(401, 'Timestamp ausente, inválido ou fora da janela permitida.');
+    }
+    const expectedSignature = crypto.createHmac('sha256', secret)
+        .update(`${timestampSeconds}.${req.method}.${path}`)
+        .digest('hex');
+    if (!safeEqual(signature.toLowerCase(), expectedSignature)) {
+        return reject(401, 'Assinatura HMAC inválida.');
+    }
+
+    try {
+        // O índice único em signature faz com que uma assinatura reaproveitada falhe aqui
+        req.internalTrigger = await InternalTrigger.create({
+            ...trigger,
+            authMethod: 'hmac',
+            signature: signature.toLowerCase(),
+            status: 'running',
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return reject(401, 'Assinatura já utilizada (replay).');
+        }
+        logError(`Erro ao registrar chamada interna: ${error.message}`, { stack: error.stack });
+        return res.status(500).json({ message: 'Erro ao registrar chamada interna.' });
+    }
+
+    next();
+};
+
+/**
+ * Cria um middleware que exige uma permissão administrativa específica (ex: 'withdrawals:approve').
+ * Aplica as mesmas verificações de authorizeAdmin (admin + 2FA) e depois a permissão do papel.
+ * Deve ser usado APÓS o middleware 'protect'.
+ * @param {string} permission - A permissão exigida (ver permissions.js).
+ * @returns {function} Middleware Express.
+ */
+const authorize = (permission) => (req, res, next) => authorizeAdmin(req, res, () => {
+    if (!hasPermission(req.user, permission)) {
+        logError(`Admin sem permissão '${permission}': ${req.user.phoneNumber}`, { userId: req.user._id, adminRole: req.user.adminRole, path: req.originalUrl });
+        return res.status(403).json({ message: 'Seu papel administrativo não permite esta ação.', requiredPermission: permission });
+    }
+    next();
+});
+
 module.exports = {
     protect,
+    protectStream,
     authorizeAdmin,
+    authorize,
+    authorizeInternalCron,
 };
\ No newline at end of file
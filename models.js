@@ -6,6 +6,7 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs'); // Para hashing de senhas
 const jwt = require('jsonwebtoken'); // Para tokens de autenticação
 const { logError } = require('./utils'); // Para logging
+const { ADMIN_ROLES } = require('./permissions'); // Papéis administrativos
 
 // --- 1. User Schema ---
 const userSchema = new mongoose.Schema({ // <--- LINHA CORRIGIDA
@@ -50,6 +51,10 @@ const userSchema = new mongoose.Schema({ // <--- LINHA CORRIGIDA
         type: Boolean,
         default: false,
     },
+    adminRole: { // Papel administrativo (define as permissões); só vale com isAdmin: true
+        type: String,
+        enum: ADMIN_ROLES,
+    },
     referralCode: { // Mantido para rastreamento de referidos
         type: String,
         unique: true,
@@ -76,6 +81,43 @@ const userSchema = new mongoose.Schema({ // <--- LINHA CORRIGIDA
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Withdrawal',
     }],
+    // --- Autenticação de dois fatores (TOTP) --- obrigatória para administradores
+    twoFactorEnabled: {
+        type: Boolean,
+        default: false,
+    },
+    twoFactorSecret: { // Segredo TOTP em Base32, ativo após a confirmação do cadastro
+        type: String,
+        select: false,
+    },
+    twoFactorPendingSecret: { // Segredo gerado no cadastro, ainda não confirmado com um código
+        type: String,
+        select: false,
+    },
+    twoFactorBackupCodes: { // Hashes SHA-256 dos códigos de backup ainda não usados
+        type: [String],
+        select: false,
+    },
+    twoFactorLastUsedStep: { // Último passo TOTP aceito, impede reutilizar o mesmo código
+        type: Number,
+        select: false,
+    },
+    // --- Mensagens por SMS/WhatsApp (ver outbox.js) ---
+    language: { // Idioma das mensagens enviadas ao telefone
+        type: String,
+        enum: ['pt', 'en'],
+        default: 'pt',
+    },
+    messagingChannel: { // Canal preferido para as mensagens
+        type: String,
+        enum: ['sms', 'whatsapp'],
+        default: 'sms',
+    },
+    messagingOptOut: { // Não recebe mensagens informativas (códigos de segurança continuam sendo enviados)
+        type: Boolean,
+        default: false,
+    },
+    pendingWithdrawalAt: Date, // Pedido de saque em andamento (serializa os pedidos do usuário)
     lastLoginIp: String, // Para fins informativos/logs
     lastLoginAt: Date,
     createdAt: {
@@ -86,6 +128,10 @@ const userSchema = new mongoose.Schema({ // <--- LINHA CORRIGIDA
     timestamps: true, // Adiciona campos createdAt e updatedAt automaticamente
 });
 
+// Índices das listagens paginadas do painel (filtro por status, ordenação por data ou saldo)
+userSchema.index({ status: 1, createdAt: -1, _id: -1 });
+userSchema.index({ status: 1, balance: -1, _id: -1 });
+
 // Middleware para hash de senha antes de salvar
 userSchema.pre('save', async function (next) {
     if (!this.isModified('password')) {
@@ -101,13 +147,32 @@ userSchema.methods.matchPassword = async function (enteredPassword) {
     return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Método para gerar JWT
-userSchema.methods.getSignedJwtToken = function () {
-    return jwt.sign({ id: this._id, isAdmin: this.isAdmin }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRE,
+// Método para gerar o JWT de acesso (curta duração), vinculado a uma Session
+userSchema.methods.getSignedJwtToken = function (sessionId) {
+    return jwt.sign({ id: this._id, isAdmin: this.isAdmin, sid: sessionId }, process.env.JWT_SECRET, {
+        expiresIn: process.env.ACCESS_TOKEN_EXPIRE || '15m',
     });
 };
 
+// Arquivo gravado no armazenamento configurado (descritor devolvido por storeFile em storage.js)
+const storedFileSchema = new mongoose.Schema({
+    driver: { type: String, required: true }, // 'local', 's3' ou 'cloudinary'
+    key: { type: String, required: true },
+    visibility: { type: String, enum: ['public', 'private'], required: true },
+    url: String, // Só nos arquivos públicos; os privados são lidos por URL assinada
+    contentType: String,
+    bytes: Number,
+    uploadedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+// Reserva de um item pendente por um admin do painel (aviso para os demais; ver adminQueue.js)
+const queueClaimSchema = new mongoose.Schema({
+    adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    adminPhoneNumber: String, // Para o painel mostrar quem está analisando sem outra consulta
+    claimedAt: { type: Date, required: true },
+    expiresAt: { type: Date, required: true },
+}, { _id: false });
+
 // --- 2. Investment Plan Schema (Planos definidos pelo Admin) ---
 const investmentPlanSchema = new mongoose.Schema({
     name: {
@@ -145,6 +210,10 @@ const investmentPlanSchema = new mongoose.Schema({
         type: String,
         default: 'https://res.cloudinary.com/default-image-url', // URL padrão ou placeholder
     },
+    image: { // Arquivo enviado pelo painel (ausente quando imageUrl é uma URL externa)
+        type: storedFileSchema,
+        default: undefined,
+    },
     createdAt: {
         type: Date,
         default: Date.now,
@@ -216,11 +285,40 @@ const depositSchema = new mongoose.Schema({
         required: [true, 'Valor do depósito é obrigatório.'],
         min: [1, 'O valor do depósito deve ser maior que zero.'],
     },
-    confirmationMessage: {
+    confirmationMessage: { // Opcional quando o usuário envia o comprovativo (captura de ecrã)
         type: String,
-        required: [true, 'Mensagem de confirmação é obrigatória.'],
+        required: [function () { return !(this.receipt && this.receipt.key); }, 'Envie a mensagem de confirmação ou o comprovativo do pagamento.'],
         trim: true,
     },
+    receipt: { // Comprovativo (imagem privada, vista pelo painel via URL assinada; ver storage.js)
+        type: storedFileSchema,
+        default: undefined,
+    },
+    // Dados lidos da mensagem de confirmação do M-Pesa/e-Mola (ver paymentSms.js)
+    paymentDetails: {
+        provider: {
+            type: String,
+            enum: ['mpesa', 'emola', null],
+        },
+        transactionId: String, // Único entre todos os depósitos (ver índice abaixo)
+        amount: Number,
+        recipientNumber: String,
+        recipientName: String,
+        transactionDate: Date,
+    },
+    autoApproved: { // true se aprovado automaticamente por uma notificação do gateway de pagamento
+        type: Boolean,
+        default: false,
+    },
+    paymentNotificationId: { // Notificação C2B que confirmou o pagamento
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PaymentNotification',
+    },
+    // Alertas para o admin: 'unparsed', 'missing_transaction_id', 'amount_mismatch', 'recipient_mismatch', 'missing_recipient'
+    verificationFlags: {
+        type: [String],
+        default: [],
+    },
     status: {
         type: String,
         enum: ['pending', 'approved', 'rejected'],
@@ -236,6 +334,7 @@ const depositSchema = new mongoose.Schema({
         ref: 'User', // Pode ser um usuário com isAdmin: true
         sparse: true,
     },
+    claim: queueClaimSchema, // Admin analisando o depósito no momento
     createdAt: {
         type: Date,
         default: Date.now,
@@ -244,6 +343,16 @@ const depositSchema = new mongoose.Schema({
     timestamps: true,
 });
 
+// Um mesmo ID de transação não pode comprovar dois depósitos
+depositSchema.index(
+    { 'paymentDetails.transactionId': 1 },
+    { unique: true, partialFilterExpression: { 'paymentDetails.transactionId': { $type: 'string' } } }
+);
+
+// Índices das listagens paginadas do painel
+depositSchema.index({ status: 1, createdAt: -1, _id: -1 });
+depositSchema.index({ status: 1, amount: -1, _id: -1 });
+
 // --- 5. Withdrawal Schema ---
 const withdrawalSchema = new mongoose.Schema({
     userId: {
@@ -256,16 +365,45 @@ const withdrawalSchema = new mongoose.Schema({
         required: [true, 'Valor do saque é obrigatório.'],
         min: [1, 'O valor do saque deve ser maior que zero.'],
     },
-    walletAddress: { // Detalhes de pagamento consolidados (Método, Nome, Número)
+    walletAddress: { // Detalhes de pagamento consolidados (Método, Nome, Número), para leitura rápida no painel
         type: String,
         required: [true, 'Endereço da carteira ou detalhes de pagamento são obrigatórios.'],
         trim: true,
     },
+    payoutMethodId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PayoutMethod',
+    },
+    fee: { // Taxa cobrada (fixa + percentual), calculada no pedido
+        type: Number,
+        default: 0,
+    },
+    netAmount: Number, // Valor transferido ao usuário (amount - fee)
+    payoutDetails: { // Cópia do método no momento do pedido (o método pode ser removido depois)
+        method: { type: String, enum: ['mpesa', 'emola', 'bank'] },
+        accountHolderName: String,
+        accountNumber: String,
+        bankName: String,
+    },
     status: {
         type: String,
-        enum: ['pending', 'approved', 'rejected'],
+        // approved = aprovado e na fila de pagamento; processing = enviado ao provedor de payout;
+        // paid = transferido; failed = pagamento falhou e o valor voltou ao saldo
+        enum: ['pending', 'approved', 'processing', 'paid', 'failed', 'rejected'],
         default: 'pending',
     },
+    // --- Pagamento automático (payout B2C, ver payouts.js) ---
+    payoutProvider: String,
+    payoutReference: String, // Referência da transferência no provedor
+    payoutAttempts: { // Envios ao provedor que terminaram em falha temporária ou sucesso
+        type: Number,
+        default: 0,
+    },
+    nextPayoutAttemptAt: Date, // Próxima tentativa/consulta (backoff exponencial entre falhas)
+    payoutLeaseUntil: Date, // Impede que duas instâncias processem o mesmo saque ao mesmo tempo
+    lastPayoutError: String,
+    paidAt: Date,
+    failedAt: Date,
     requestDate: {
         type: Date,
         default: Date.now,
@@ -276,6 +414,7 @@ const withdrawalSchema = new mongoose.Schema({
         ref: 'User', // Pode ser um usuário com isAdmin: true
         sparse: true,
     },
+    claim: queueClaimSchema, // Admin analisando o saque no momento
     createdAt: {
         type: Date,
         default: Date.now,
@@ -284,7 +423,34 @@ const withdrawalSchema = new mongoose.Schema({
     timestamps: true,
 });
 
+// Fila de pagamentos automáticos
+withdrawalSchema.index({ status: 1, nextPayoutAttemptAt: 1 });
+
+// Índices das listagens paginadas do painel
+withdrawalSchema.index({ status: 1, createdAt: -1, _id: -1 });
+withdrawalSchema.index({ status: 1, amount: -1, _id: -1 });
+
 // --- 6. AdminConfig Schema (Configurações globais) ---
+// Janela de saque de um dia da semana (horário de Maputo)
+const withdrawalWindowSchema = new mongoose.Schema({
+    weekday: { // 0 = domingo ... 6 = sábado
+        type: Number,
+        required: [true, 'O dia da semana da janela é obrigatório.'],
+        min: [0, 'Dia da semana inválido (0 = domingo ... 6 = sábado).'],
+        max: [6, 'Dia da semana inválido (0 = domingo ... 6 = sábado).'],
+    },
+    startTime: {
+        type: String,
+        required: true,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Horário de início inválido (HH:MM).'],
+    },
+    endTime: {
+        type: String,
+        required: true,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Horário de fim inválido (HH:MM).'],
+    },
+}, { _id: false });
+
 const adminConfigSchema = new mongoose.Schema({
     
     // Configurações de Comissão (isPromotionActive removido, comissão é padrão)
@@ -333,7 +499,7 @@ const adminConfigSchema = new mongoose.Schema({
         type: String,
         default: '08:00', // Ex: 'HH:MM'
         validate: {
-            validator: (v) => /^\d{2}:\d{2}$/.test(v),
+            validator: (v) => /^([01]\d|2[0-3]):[0-5]\d$/.test(v),
             message: props => `${props.value} não é um formato de hora válido (HH:MM)!`
         }
     },
@@ -341,7 +507,7 @@ const adminConfigSchema = new mongoose.Schema({
         type: String,
         default: '18:00', // Ex: 'HH:MM'
         validate: {
-            validator: (v) => /^\d{2}:\d{2}$/.test(v),
+            validator: (v) => /^([01]\d|2[0-3]):[0-5]\d$/.test(v),
             message: props => `${props.value} não é um formato de hora válido (HH:MM)!`
         }
     },
@@ -355,8 +521,69 @@ const adminConfigSchema = new mongoose.Schema({
         default: 5000, 
         min: [1, 'Valor máximo de saque deve ser 1 ou mais.'],
     },
+    withdrawalWindows: { // Janelas por dia da semana; vazio = o horário acima vale todos os dias
+        type: [withdrawalWindowSchema],
+        default: [],
+    },
+    dailyWithdrawalLimit: { // Total sacado por usuário no dia (MT); 0 = sem limite
+        type: Number,
+        default: 0,
+        min: [0, 'O limite diário de saque deve ser 0 ou mais.'],
+    },
+    weeklyWithdrawalLimit: { // Total por usuário na semana (segunda a domingo); 0 = sem limite
+        type: Number,
+        default: 0,
+        min: [0, 'O limite semanal de saque deve ser 0 ou mais.'],
+    },
+    monthlyWithdrawalLimit: { // Total por usuário no mês; 0 = sem limite
+        type: Number,
+        default: 0,
+        min: [0, 'O limite mensal de saque deve ser 0 ou mais.'],
+    },
+    withdrawalFeeFixed: { // Taxa fixa por saque (MT), descontada do valor recebido
+        type: Number,
+        default: 0,
+        min: [0, 'A taxa fixa de saque deve ser 0 ou mais.'],
+    },
+    withdrawalFeePercent: { // Taxa percentual sobre o valor do saque
+        type: Number,
+        default: 0,
+        min: [0, 'A taxa percentual de saque deve ser entre 0 e 100.'],
+        max: [100, 'A taxa percentual de saque deve ser entre 0 e 100.'],
+    },
+    payoutMethodCoolingOffHours: { // Horas após cadastrar um método de recebimento até ele poder receber saques
+        type: Number,
+        default: 24,
+        min: [0, 'O período de carência deve ser 0 ou mais horas.'],
+    },
     // --- FIM Configurações de Saque ---
 
+    // --- Dupla aprovação (four-eyes) ---
+    // Ações sensíveis viram pedidos pendentes que precisam da confirmação de um segundo administrador
+    fourEyesWithdrawalThreshold: { // Saques acima deste valor (MT) exigem dupla aprovação; 0 desativa
+        type: Number,
+        default: 2000,
+        min: [0, 'O limite de dupla aprovação de saques deve ser 0 ou mais.'],
+    },
+    fourEyesConfigChanges: { // Alterações nestas configurações
+        type: Boolean,
+        default: true,
+    },
+    fourEyesAdminCreation: { // Criação de novos administradores e atribuição de papéis administrativos
+        type: Boolean,
+        default: true,
+    },
+    fourEyesPasswordResets: { // Troca manual de senha de usuários pelo painel
+        type: Boolean,
+        default: true,
+    },
+
+    // Versão atual das configurações (cada alteração gera um AdminConfigVersion)
+    version: {
+        type: Number,
+        default: 1,
+    },
+
     // Garante que só haverá um documento de configurações
     singletonId: {
         type: Number,
@@ -371,6 +598,770 @@ const adminConfigSchema = new mongoose.Schema({
     timestamps: true,
 });
 
+// Validações que envolvem mais de um campo
+adminConfigSchema.pre('validate', function (next) {
+    if (this.minWithdrawalAmount > this.maxWithdrawalAmount) {
+        this.invalidate('minWithdrawalAmount', 'O valor mínimo de saque não pode ser maior que o máximo.');
+    }
+    if (this.withdrawalStartTime && this.withdrawalEndTime && this.withdrawalStartTime >= this.withdrawalEndTime) {
+        this.invalidate('withdrawalStartTime', 'O horário de início dos saques deve ser anterior ao horário de fim.');
+    }
+    (this.withdrawalWindows || []).forEach((window, index) => {
+        if (window.startTime && window.endTime && window.startTime >= window.endTime) {
+            this.invalidate(`withdrawalWindows.${index}.startTime`, 'O horário de início da janela de saque deve ser anterior ao horário de fim.');
+        }
+    });
+    next();
+});
+
+
+// --- 7. LedgerEntry Schema (Livro-razão de partidas dobradas) ---
+// Cada movimentação gera duas pernas com o mesmo transactionId: uma na conta do usuário
+// e a contrapartida numa conta do sistema. A soma das pernas de uma transação é sempre zero.
+// O User.balance é apenas um cache da soma das pernas da conta do usuário.
+const ledgerEntrySchema = new mongoose.Schema({
+    transactionId: { // Agrupa as pernas de uma mesma transação
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        index: true,
+    },
+    account: { // Ex: 'user:<id>' ou 'system:deposits'
+        type: String,
+        required: [true, 'Conta é obrigatória.'],
+        index: true,
+    },
+    userId: { // Preenchido apenas nas pernas de conta de usuário
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true,
+    },
+    amount: { // Positivo = crédito na conta, negativo = débito
+        type: Number,
+        required: [true, 'Valor é obrigatório.'],
+    },
+    type: {
+        type: String,
+        enum: [
+            'opening_balance',
+            'deposit',
+            'withdrawal',
+            'withdrawal_refund',
+            'investment_activation',
+            'investment_upgrade',
+            'investment_refund',
+            'daily_profit',
+            'activation_commission',
+            'profit_commission',
+        ],
+        required: true,
+    },
+    referenceModel: {
+        type: String,
+        enum: ['Deposit', 'Withdrawal', 'Investment'],
+    },
+    referenceId: { // Depósito, saque ou investimento que originou a movimentação
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'referenceModel',
+    },
+    businessDate: String, // Data de negócio ('YYYY-MM-DD') dos lucros e comissões diários
+    balanceAfter: Number, // Saldo do usuário após a movimentação (apenas pernas de usuário)
+    description: String,
+    idempotencyKey: String, // Lançamentos que só podem ocorrer uma vez (ver postLedgerEntryOnce)
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, {
+    timestamps: true,
+});
+
+ledgerEntrySchema.index({ userId: 1, createdAt: -1 });
+ledgerEntrySchema.index({ referenceId: 1, type: 1, businessDate: 1 });
+ledgerEntrySchema.index({ idempotencyKey: 1 }, { unique: true, partialFilterExpression: { idempotencyKey: { $exists: true } } });
+
+// --- 8. ProfitRun Schema (Uma execução do processamento diário por data de negócio) ---
+const profitRunSchema = new mongoose.Schema({
+    businessDate: { // Data no fuso de Maputo, formato 'YYYY-MM-DD'
+        type: String,
+        required: true,
+        unique: true,
+        match: [/^\d{4}-\d{2}-\d{2}$/, 'Data de negócio inválida (YYYY-MM-DD).'],
+    },
+    status: {
+        type: String,
+        enum: ['running', 'completed', 'failed'],
+        default: 'running',
+    },
+    startedAt: Date,
+    completedAt: Date,
+    creditedCount: { // Investimentos creditados nesta data
+        type: Number,
+        default: 0,
+    },
+    completedCount: { // Investimentos encerrados nesta data
+        type: Number,
+        default: 0,
+    },
+    totalProfit: {
+        type: Number,
+        default: 0,
+    },
+    totalCommission: {
+        type: Number,
+        default: 0,
+    },
+    attempts: { // Quantas vezes esta data foi (re)executada
+        type: Number,
+        default: 0,
+    },
+    lastError: String,
+}, {
+    timestamps: true,
+});
+
+// --- 9. ProfitCredit Schema (Crédito de lucro de um investimento numa data de negócio) ---
+// A chave única (investmentId, businessDate) garante que reexecutar uma data não paga duas vezes.
+const profitCreditSchema = new mongoose.Schema({
+    investmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Investment',
+        required: true,
+    },
+    businessDate: {
+        type: String,
+        required: true,
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    profitAmount: {
+        type: Number,
+        required: true,
+        min: [0, 'Lucro não pode ser negativo.'],
+    },
+    inviterId: { // Quem recebe a comissão sobre este lucro, se houver
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    commissionAmount: {
+        type: Number,
+        default: 0,
+    },
+    status: { // 'pending' enquanto o crédito não foi totalmente lançado no ledger
+        type: String,
+        enum: ['pending', 'credited'],
+        default: 'pending',
+    },
+    creditedAt: Date,
+}, {
+    timestamps: true,
+});
+
+profitCreditSchema.index({ investmentId: 1, businessDate: 1 }, { unique: true });
+
+// --- 10. InternalTrigger Schema (Auditoria das chamadas às rotas internas de CRON) ---
+const internalTriggerSchema = new mongoose.Schema({
+    ip: String,
+    forwardedFor: String, // Cabeçalho X-Forwarded-For, quando atrás de proxy
+    userAgent: String,
+    method: String,
+    path: String,
+    authMethod: { // Como a chamada se autenticou (vazio se rejeitada; 'secret' só em registros antigos)
+        type: String,
+        enum: ['hmac', 'secret'],
+    },
+    signature: { // Assinatura HMAC usada; única para impedir replay
+        type: String,
+        unique: true,
+        sparse: true,
+    },
+    status: {
+        type: String,
+        enum: ['rejected', 'running', 'skipped', 'success', 'failed'],
+        required: true,
+    },
+    calledAt: {
+        type: Date,
+        default: Date.now,
+        index: true,
+    },
+    finishedAt: Date,
+    result: mongoose.Schema.Types.Mixed, // Resumo retornado pelo processamento
+    error: String, // Motivo da rejeição ou mensagem de erro
+}, {
+    timestamps: true,
+});
+
+
+// --- 11. JobLock Schema (Lock distribuído com lease para tarefas agendadas) ---
+const jobLockSchema = new mongoose.Schema({
+    name: { // Nome da tarefa protegida, ex: 'daily-profits'
+        type: String,
+        required: true,
+        unique: true,
+    },
+    owner: { // Identificador da instância que detém o lock (host:pid:aleatório)
+        type: String,
+        required: true,
+    },
+    acquiredAt: Date,
+    heartbeatAt: Date,
+    expiresAt: { // Depois deste instante, outra instância pode assumir o lock
+        type: Date,
+        required: true,
+    },
+}, {
+    timestamps: true,
+});
+
+// --- 12. Session Schema (Sessões de login com refresh token rotativo) ---
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+    refreshTokenHash: { // SHA-256 do refresh token atual (o token em si nunca é gravado)
+        type: String,
+        required: true,
+        select: false,
+    },
+    previousRefreshTokenHash: { // Hash do token anterior, para detectar reutilização após rotação
+        type: String,
+        select: false,
+    },
+    ip: String,
+    userAgent: String,
+    twoFactorVerified: { // true se o login desta sessão passou pela verificação TOTP
+        type: Boolean,
+        default: false,
+    },
+    lastUsedAt: Date,
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    revokedAt: Date,
+    revokedReason: String,
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, {
+    timestamps: true,
+});
+
+// Sessões expiradas são removidas automaticamente pelo MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// --- 13. PasswordResetCode Schema (Códigos de uso único para redefinição de senha) ---
+const passwordResetCodeSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    phoneNumber: {
+        type: String,
+        required: true,
+        index: true,
+    },
+    codeHash: { // SHA-256 do código enviado por SMS (o código em si só fica na fila de envio, até ser enviado)
+        type: String,
+        required: true,
+        select: false,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    attempts: { // Tentativas de verificação (contadas antes de conferir o código)
+        type: Number,
+        default: 0,
+    },
+    usedAt: Date,
+    requestIp: {
+        type: String,
+        index: true,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: 24 * 60 * 60, // Removido após 24h (mantido até lá para o limite de solicitações)
+    },
+});
+
+// --- 14. LoginThrottle Schema (Tentativas de login falhas por telefone e por IP) ---
+const loginThrottleSchema = new mongoose.Schema({
+    key: { // Ex: 'phone:841234567' ou 'ip:10.0.0.1'
+        type: String,
+        required: true,
+        unique: true,
+    },
+    type: {
+        type: String,
+        enum: ['phone', 'ip'],
+        required: true,
+    },
+    failures: { // Falhas consecutivas dentro da janela atual
+        type: Number,
+        default: 0,
+    },
+    lastFailureAt: Date,
+    delayUntil: Date, // Atraso progressivo antes da próxima tentativa
+    lockedUntil: Date, // Bloqueio temporário
+    lockCount: { // Quantos bloqueios já ocorreram (cada novo bloqueio dura mais)
+        type: Number,
+        default: 0,
+    },
+    lastIp: String,
+    expireAt: { // Removido automaticamente após um período sem falhas
+        type: Date,
+        index: { expires: 0 },
+    },
+}, {
+    timestamps: true,
+});
+
+// --- 15. ApprovalRequest Schema (Pedidos de dupla aprovação / maker-checker) ---
+const approvalDecisionSchema = new mongoose.Schema({
+    adminId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    decision: {
+        type: String,
+        enum: ['requested', 'approved', 'rejected', 'cancelled'],
+        required: true,
+    },
+    comment: String,
+    ip: String,
+    decidedAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, { _id: false });
+
+const approvalRequestSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['withdrawal_approval', 'config_update', 'admin_creation', 'admin_role_grant', 'password_reset'],
+        required: true,
+    },
+    status: {
+        type: String,
+        // approved = confirmado pelo segundo admin e em execução; executed/failed = resultado da execução
+        enum: ['pending', 'approved', 'executed', 'rejected', 'cancelled', 'failed'],
+        default: 'pending',
+        index: true,
+    },
+    requiredPermission: { // Permissão que o segundo administrador precisa ter para confirmar
+        type: String,
+        required: true,
+    },
+    targetModel: {
+        type: String,
+        enum: ['User', 'Withdrawal', 'AdminConfig'],
+    },
+    targetId: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'targetModel',
+    },
+    summary: String, // Descrição legível do que será executado
+    payload: mongoose.Schema.Types.Mixed, // Dados da ação, visíveis no painel
+    secretPayload: { // Dados sensíveis (ex: hash da nova senha), nunca devolvidos pela API
+        type: mongoose.Schema.Types.Mixed,
+        select: false,
+    },
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+    decisions: [approvalDecisionSchema], // Cadeia de aprovação: quem pediu, quem confirmou/recusou e quando
+    executedAt: Date,
+    result: mongoose.Schema.Types.Mixed,
+    error: String,
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: (doc, ret) => {
+            delete ret.secretPayload;
+            return ret;
+        },
+    },
+});
+
+// Só pode haver um pedido pendente por ação e alvo (ex: o mesmo saque não entra duas vezes na fila)
+approvalRequestSchema.index(
+    { action: 1, targetId: 1 },
+    { unique: true, partialFilterExpression: { status: 'pending', targetId: { $exists: true } } }
+);
+
+// --- 16. AuditEvent Schema (Trilha de auditoria das ações administrativas) ---
+const auditEventSchema = new mongoose.Schema({
+    actorType: { // 'system' para ações automáticas (ex: bloqueio por visitorId duplicado)
+        type: String,
+        enum: ['admin', 'system'],
+        default: 'admin',
+    },
+    actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    actorRole: String, // Papel do admin no momento da ação
+    action: { // Código da ação, ex: 'deposit.approve', 'user.block'
+        type: String,
+        required: true,
+    },
+    targetModel: String,
+    targetId: mongoose.Schema.Types.ObjectId,
+    description: String,
+    ip: String,
+    userAgent: String,
+    before: mongoose.Schema.Types.Mixed, // Estado do alvo antes da ação (sem campos sensíveis)
+    after: mongoose.Schema.Types.Mixed, // Estado do alvo depois da ação
+    changedFields: [String],
+    details: mongoose.Schema.Types.Mixed,
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ actorId: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ targetId: 1, createdAt: -1 });
+
+// --- 17. AdminConfigVersion Schema (Histórico de versões das configurações globais) ---
+const adminConfigVersionSchema = new mongoose.Schema({
+    version: {
+        type: Number,
+        required: true,
+        unique: true,
+    },
+    snapshot: { // Campos editáveis das configurações nesta versão
+        type: mongoose.Schema.Types.Mixed,
+        required: true,
+    },
+    changedFields: [String], // Campos alterados em relação à versão anterior
+    reason: {
+        type: String,
+        enum: ['initial', 'update', 'rollback'],
+        default: 'update',
+    },
+    rolledBackFrom: Number, // Em um rollback, a versão restaurada
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    approvalRequestId: { // Pedido de dupla aprovação que autorizou a alteração, se houver
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ApprovalRequest',
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// --- 18. PaymentNotification Schema (Notificações C2B recebidas dos provedores de pagamento) ---
+const paymentNotificationSchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        required: true,
+    },
+    transactionId: { // ID da transação no provedor (único por provedor: reenvios são ignorados)
+        type: String,
+        required: true,
+    },
+    amount: {
+        type: Number,
+        required: true,
+    },
+    phoneNumber: String, // Número do pagador, no formato local de 9 dígitos
+    reference: String, // Referência informada pelo pagador (ex: ID do depósito)
+    paidAt: Date,
+    status: {
+        type: String,
+        // matched = depósito aprovado automaticamente; unmatched/ambiguous = fica para o admin;
+        // failed = erro na conciliação, retomada no próximo reenvio do provedor
+        enum: ['received', 'matched', 'unmatched', 'ambiguous', 'failed'],
+        default: 'received',
+        index: true,
+    },
+    matchedBy: { // Critério que encontrou o depósito
+        type: String,
+        enum: ['reference', 'transaction_id', 'phone_amount'],
+    },
+    reason: String, // Motivo de não ter sido conciliada (ex: 'amount_mismatch')
+    depositId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Deposit',
+    },
+    processedAt: Date,
+    processingUntil: Date, // Conciliação em andamento por uma entrega do webhook
+    error: String, // Último erro de conciliação (status 'failed')
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, {
+    timestamps: true,
+});
+
+paymentNotificationSchema.index({ provider: 1, transactionId: 1 }, { unique: true });
+paymentNotificationSchema.index({ status: 1, createdAt: -1, _id: -1 });
+
+// --- 19. PayoutMethod Schema (Métodos de recebimento salvos pelo usuário para os saques) ---
+// Prefixos aceitos por carteira móvel (Vodacom = M-Pesa, Movitel = e-Mola)
+const WALLET_NUMBER_PATTERNS = {
+    mpesa: /^8[45]\d{7}$/,
+    emola: /^8[67]\d{7}$/,
+};
+
+const payoutMethodSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    method: {
+        type: String,
+        enum: {
+            values: ['mpesa', 'emola', 'bank'],
+            message: 'Método inválido. Use mpesa, emola ou bank.',
+        },
+        required: [true, 'O método de recebimento é obrigatório.'],
+    },
+    accountHolderName: {
+        type: String,
+        required: [true, 'O nome do titular é obrigatório.'],
+        trim: true,
+        minlength: [3, 'O nome do titular deve ter pelo menos 3 caracteres.'],
+        maxlength: [100, 'O nome do titular deve ter no máximo 100 caracteres.'],
+    },
+    accountNumber: { // Número da carteira (9 dígitos) ou NIB da conta bancária (21 dígitos)
+        type: String,
+        required: [true, 'O número da conta é obrigatório.'],
+        trim: true,
+    },
+    bankName: { // Só para contas bancárias
+        type: String,
+        trim: true,
+    },
+    isDefault: {
+        type: Boolean,
+        default: false,
+    },
+    availableAt: { // Período de carência: o método só pode receber saques a partir desta data
+        type: Date,
+        required: true,
+    },
+    status: { // Métodos removidos são mantidos para o histórico dos saques
+        type: String,
+        enum: ['active', 'removed'],
+        default: 'active',
+    },
+    removedAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, {
+    timestamps: true,
+});
+
+payoutMethodSchema.pre('validate', function (next) {
+    if (this.method === 'bank') {
+        if (!/^\d{21}$/.test(this.accountNumber || '')) {
+            this.invalidate('accountNumber', 'NIB inválido. Deve ter 21 dígitos.');
+        }
+        if (!this.bankName) {
+            this.invalidate('bankName', 'O nome do banco é obrigatório para contas bancárias.');
+        }
+    } else if (WALLET_NUMBER_PATTERNS[this.method] && !WALLET_NUMBER_PATTERNS[this.method].test(this.accountNumber || '')) {
+        this.invalidate('accountNumber', this.method === 'mpesa'
+            ? 'Número M-Pesa inválido. Deve ter 9 dígitos e começar com 84 ou 85.'
+            : 'Número e-Mola inválido. Deve ter 9 dígitos e começar com 86 ou 87.');
+    }
+    next();
+});
+
+// O mesmo número não pode ser salvo duas vezes e só há um método padrão por usuário
+payoutMethodSchema.index({ userId: 1, method: 1, accountNumber: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+payoutMethodSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { status: 'active', isDefault: true }, name: 'one_default_payout_method' });
+
+// --- 20. WithdrawalHoliday Schema (Calendário de feriados sem saques) ---
+const withdrawalHolidaySchema = new mongoose.Schema({
+    date: { // Data em Maputo; nos feriados fixos (recurring) só o mês e o dia importam
+        type: String,
+        required: [true, 'A data do feriado é obrigatória.'],
+        validate: {
+            // Recusa também datas inexistentes, como 2025-02-30
+            validator: (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(Date.parse(v)) && new Date(v).toISOString().slice(0, 10) === v,
+            message: props => `${props.value} não é uma data válida (YYYY-MM-DD)!`
+        },
+    },
+    name: {
+        type: String,
+        required: [true, 'O nome do feriado é obrigatório.'],
+        trim: true,
+    },
+    recurring: { // Repete todos os anos (ex: 25 de Junho, Dia da Independência)
+        type: Boolean,
+        default: false,
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, {
+    timestamps: true,
+});
+
+withdrawalHolidaySchema.index({ date: 1 }, { unique: true });
+
+// --- 21. Notification Schema (Central de notificações do usuário) ---
+const notificationSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    type: {
+        type: String,
+        enum: [
+            'deposit_approved', 'deposit_rejected',
+            'withdrawal_approved', 'withdrawal_paid', 'withdrawal_failed', 'withdrawal_rejected',
+            'profit_credited', 'commission_credited', 'investment_completed',
+            'account_blocked', 'announcement',
+        ],
+        required: true,
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [120, 'O título deve ter no máximo 120 caracteres.'],
+    },
+    message: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [1000, 'A mensagem deve ter no máximo 1000 caracteres.'],
+    },
+    data: mongoose.Schema.Types.Mixed, // Referências do evento (ex: { depositId, amount })
+    broadcastId: mongoose.Schema.Types.ObjectId, // Comum às cópias de um mesmo comunicado
+    readAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+// --- 22. OutboundMessage Schema (Fila de mensagens por SMS/WhatsApp) ---
+const outboundMessageSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+    phoneNumber: {
+        type: String,
+        required: true,
+    },
+    channel: {
+        type: String,
+        enum: ['sms', 'whatsapp'],
+        required: true,
+    },
+    template: { // Ver MESSAGE_TEMPLATES em outbox.js
+        type: String,
+        required: true,
+    },
+    language: {
+        type: String,
+        enum: ['pt', 'en'],
+        required: true,
+    },
+    body: { // Texto já renderizado; apagado após o envio nas mensagens sensíveis
+        type: String,
+        select: false,
+    },
+    sensitive: { // Contém um código de segurança
+        type: Boolean,
+        default: false,
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'sending', 'sent', 'failed', 'expired'],
+        default: 'pending',
+    },
+    attempts: {
+        type: Number,
+        default: 0,
+    },
+    nextAttemptAt: Date,
+    leaseUntil: Date, // Envio em andamento por uma instância
+    expiresAt: Date, // Depois disso a mensagem perde o sentido (ex: código vencido) e não é enviada
+    lastError: String,
+    provider: String,
+    providerMessageId: String,
+    sentAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: 90 * 24 * 60 * 60, // Histórico de envio mantido por 90 dias
+    },
+});
+
+outboundMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// --- 23. StreamTicket Schema (Tickets de uso único para abrir streams Server-Sent Events) ---
+// O EventSource do navegador não envia cabeçalhos: em vez do JWT na URL, o cliente troca o token
+// por um ticket de curta duração, apagado no primeiro uso.
+const streamTicketSchema = new mongoose.Schema({
+    ticketHash: { // SHA-256 do ticket (o ticket em si só é devolvido ao cliente)
+        type: String,
+        required: true,
+        unique: true,
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    sessionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Session',
+        required: true,
+    },
+    accessExpiresAt: { // Expiração do token de acesso que pediu o ticket; o stream termina nela
+        type: Date,
+        required: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+});
+
+streamTicketSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 // Exporta os modelos
 module.exports = {
@@ -380,4 +1371,21 @@ module.exports = {
     Deposit: mongoose.model('Deposit', depositSchema),
     Withdrawal: mongoose.model('Withdrawal', withdrawalSchema),
     AdminConfig: mongoose.model('AdminConfig', adminConfigSchema),
+    LedgerEntry: mongoose.model('LedgerEntry', ledgerEntrySchema),
+    ProfitRun: mongoose.model('ProfitRun', profitRunSchema),
+    ProfitCredit: mongoose.model('ProfitCredit', profitCreditSchema),
+    InternalTrigger: mongoose.model('InternalTrigger', internalTriggerSchema),
+    JobLock: mongoose.model('JobLock', jobLockSchema),
+    Session: mongoose.model('Session', sessionSchema),
+    PasswordResetCode: mongoose.model('PasswordResetCode', passwordResetCodeSchema),
+    LoginThrottle: mongoose.model('LoginThrottle', loginThrottleSchema),
+    ApprovalRequest: mongoose.model('ApprovalRequest', approvalRequestSchema),
+    AuditEvent: mongoose.model('AuditEvent', auditEventSchema),
+    AdminConfigVersion: mongoose.model('AdminConfigVersion', adminConfigVersionSchema),
+    PaymentNotification: mongoose.model('PaymentNotification', paymentNotificationSchema),
+    PayoutMethod: mongoose.model('PayoutMethod', payoutMethodSchema),
+    WithdrawalHoliday: mongoose.model('WithdrawalHoliday', withdrawalHolidaySchema),
+    Notification: mongoose.model('Notification', notificationSchema),
+    OutboundMessage: mongoose.model('OutboundMessage', outboundMessageSchema),
+    StreamTicket: mongoose.model('StreamTicket', streamTicketSchema),
 };
\ No newline at end of file
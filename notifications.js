@@ -0,0 +1,79 @@
+// notifications.js
+// Central de notificações do usuário: eventos da conta (depósitos, saques, lucros, investimentos,
+// bloqueio) e comunicados enviados pelo painel. As notificações são gravadas junto com a ação que
+// as gera, mas uma falha ao notificar nunca desfaz nem interrompe essa ação.
+// Os eventos mais importantes também são enviados ao telefone do usuário (ver outbox.js).
+
+const { Notification, User } = require('./models');
+const { queueUserMessage } = require('./outbox');
+const { logError } = require('./utils');
+
+// Usuários por lote ao distribuir um comunicado
+const BROADCAST_BATCH_SIZE = 1000;
+
+// Notificações que também viram SMS/WhatsApp: tipo -> (data) => [modelo, parâmetros]
+const PHONE_MESSAGES = {
+    deposit_approved: (data) => ['deposit_credited', { amount: data.amount }],
+    withdrawal_paid: (data) => ['withdrawal_paid', { amount: data.netAmount, reference: data.payoutReference }],
+    account_blocked: () => ['account_blocked', {}],
+};
+
+/**
+ * Cria uma notificação para um usuário e, nos eventos de PHONE_MESSAGES, enfileira a mensagem para o
+ * telefone. Erros são apenas registrados no log.
+ * @param {object} userId
+ * @param {object} notification
+ * @param {string} notification.type - Ver o enum em Notification.type.
+ * @param {string} notification.title
+ * @param {string} notification.message
+ * @param {object} [notification.data] - Ex: { depositId, amount }.
+ * @returns {Promise<object|null>} A notificação criada, ou null em caso de erro.
+ */
+const notifyUser = async (userId, { type, title, message, data }) => {
+    try {
+        const notification = await Notification.create({ userId, type, title, message, data });
+        if (PHONE_MESSAGES[type]) {
+            const [templateName, params] = PHONE_MESSAGES[type](data || {});
+            await queueUserMessage(userId, templateName, params);
+        }
+        return notification;
+    } catch (error) {
+        logError(`Erro ao criar notificação (${type}): ${error.message}`, { userId });
+        return null;
+    }
+};
+
+/**
+ * Distribui um comunicado para todos os usuários ativos (ou só para os de um status), em lotes.
+ * @param {object} announcement
+ * @param {string} announcement.title
+ * @param {string} announcement.message
+ * @param {object} announcement.broadcastId - Identificador comum às cópias do comunicado.
+ * @param {string} [announcement.audience='active'] - 'active' ou 'all' (inclui bloqueados).
+ * @returns {Promise<number>} Quantos usuários receberam.
+ */
+const broadcastNotification = async ({ title, message, broadcastId, audience = 'active' }) => {
+    const filter = { isAdmin: { $ne: true } };
+    if (audience === 'active') filter.status = 'active';
+
+    let delivered = 0;
+    let batch = [];
+    const flush = async () => {
+        if (batch.length === 0) return;
+        await Notification.insertMany(batch, { ordered: false });
+        delivered += batch.length;
+        batch = [];
+    };
+
+    for await (const user of User.find(filter).select('_id').lean().cursor()) {
+        batch.push({ userId: user._id, type: 'announcement', title, message, broadcastId });
+        if (batch.length >= BROADCAST_BATCH_SIZE) await flush();
+    }
+    await flush();
+    return delivered;
+};
+
+module.exports = {
+    notifyUser,
+    broadcastNotification,
+};
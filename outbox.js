@@ -0,0 +1,204 @@
+// outbox.js
+// Fila de mensagens enviadas ao telefone do usuário (SMS ou WhatsApp), em português ou inglês.
+// Cada mensagem é gravada primeiro na coleção OutboundMessage e depois enviada pelo transporte do
+// canal (ver messageTransports.js): uma tentativa imediata e, se falhar, novas tentativas pelo
+// scheduler com backoff exponencial. Quem optou por não receber mensagens só recebe as essenciais
+// (códigos de segurança).
+
+const { OutboundMessage, User } = require('./models');
+const { getMessageTransport, isWhatsAppAvailable } = require('./messageTransports');
+const { withJobLock } = require('./jobLock');
+const { logInfo, logError } = require('./utils');
+
+const OUTBOX_LOCK = 'outbound-messages';
+const MAX_MESSAGE_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS) || 5;
+const MESSAGE_BACKOFF_BASE_MS = 30 * 1000; // 30 s, 1 min, 2 min...
+const MESSAGE_BACKOFF_MAX_MS = 30 * 60 * 1000;
+const MESSAGE_LEASE_MS = 60 * 1000;
+const OUTBOX_BATCH_SIZE = 100;
+
+// Modelos de mensagem por idioma. Marcadores {nome} são trocados pelos parâmetros.
+// essential: enviada mesmo com messagingOptOut; sensitive: o texto é apagado após o envio.
+const MESSAGE_TEMPLATES = {
+    deposit_credited: {
+        pt: 'KKR Credit: o seu depósito de {amount} MT foi creditado no seu saldo.',
+        en: 'KKR Credit: your deposit of {amount} MT has been credited to your balance.',
+    },
+    withdrawal_paid: {
+        pt: 'KKR Credit: o seu saque foi pago. {amount} MT enviados (ref. {reference}).',
+        en: 'KKR Credit: your withdrawal has been paid. {amount} MT sent (ref. {reference}).',
+    },
+    password_reset: {
+        essential: true,
+        sensitive: true,
+        pt: 'KKR Credit: o seu código para redefinir a senha é {code}. Válido por {minutes} minutos. Não partilhe este código.',
+        en: 'KKR Credit: your password reset code is {code}. Valid for {minutes} minutes. Do not share this code.',
+    },
+    account_blocked: {
+        pt: 'KKR Credit: a sua conta foi bloqueada. Fale com o suporte para mais informações.',
+        en: 'KKR Credit: your account has been blocked. Please contact support for more information.',
+    },
+};
+
+/**
+ * Calcula o atraso antes da próxima tentativa.
+ * @param {number} attempts - Tentativas já feitas.
+ * @returns {number} Milissegundos.
+ */
+const getMessageBackoffMs = (attempts) => Math.min(MESSAGE_BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), MESSAGE_BACKOFF_MAX_MS);
+
+/**
+ * Renderiza um modelo no idioma pedido (português se o idioma não existir no modelo).
+ * @param {string} templateName
+ * @param {string} language - 'pt' ou 'en'.
+ * @param {object} params
+ * @returns {string}
+ */
+const renderMessage = (templateName, language, params) => {
+    const template = MESSAGE_TEMPLATES[templateName];
+    const text = template[language] || template.pt;
+    return text.replace(/\{(\w+)\}/g, (placeholder, key) => (params[key] !== undefined && params[key] !== null ? String(params[key]) : placeholder));
+};
+
+/**
+ * Enfileira uma mensagem para o usuário e tenta enviá-la logo em seguida. Erros são apenas registrados no log.
+ * @param {object} userId
+ * @param {string} templateName - Chave de MESSAGE_TEMPLATES.
+ * @param {object} [params] - Valores dos marcadores do modelo.
+ * @param {object} [options]
+ * @param {Date} [options.expiresAt] - Não envia depois desta data.
+ * @returns {Promise<object|null>} A mensagem enfileirada, ou null se não foi enfileirada
+ * (usuário optou por não receber, modelo desconhecido ou erro).
+ */
+const queueUserMessage = async (userId, templateName, params = {}, { expiresAt } = {}) => {
+    try {
+        const template = MESSAGE_TEMPLATES[templateName];
+        if (!template) throw new Error(`Modelo de mensagem desconhecido: ${templateName}`);
+
+        const user = await User.findById(userId).select('phoneNumber language messagingChannel messagingOptOut');
+        if (!user) return null;
+        if (user.messagingOptOut && !template.essential) return null;
+
+        const language = user.language || 'pt';
+        // Sem provedor de WhatsApp (ex: removido depois da escolha do usuário), a mensagem vai por SMS
+        const channel = user.messagingChannel === 'whatsapp' && isWhatsAppAvailable() ? 'whatsapp' : 'sms';
+        const message = await OutboundMessage.create({
+            userId: user._id,
+            phoneNumber: user.phoneNumber,
+            channel,
+            template: templateName,
+            language,
+            body: renderMessage(templateName, language, params),
+            sensitive: Boolean(template.sensitive),
+            nextAttemptAt: new Date(),
+            expiresAt,
+        });
+
+        // Primeira tentativa sem esperar o scheduler; falhas ficam para as próximas execuções
+        deliverOutboundMessage(message._id).catch(error => {
+            logError(`Erro ao enviar a mensagem ${message._id}: ${error.message}`);
+        });
+        return message;
+    } catch (error) {
+        logError(`Erro ao enfileirar mensagem (${templateName}): ${error.message}`, { userId });
+        return null;
+    }
+};
+
+/**
+ * Envia uma mensagem da fila. Não faz nada se ela não estiver vencida ou estiver sendo enviada por outra instância.
+ * @param {object} messageId
+ * @returns {Promise<object|null>} A mensagem após a tentativa, ou null se não foi processada.
+ */
+const deliverOutboundMessage = async (messageId) => {
+    const now = new Date();
+
+    // Assume a mensagem com um lease (também recupera envios interrompidos, com o lease vencido)
+    const message = await OutboundMessage.findOneAndUpdate(
+        {
+            _id: messageId,
+            $or: [
+                { status: 'pending', nextAttemptAt: { $lte: now } },
+                { status: 'sending', leaseUntil: { $lte: now } },
+            ],
+        },
+        { $set: { status: 'sending', leaseUntil: new Date(now.getTime() + MESSAGE_LEASE_MS) }, $inc: { attempts: 1 } },
+        { new: true }
+    ).select('+body');
+    if (!message) return null;
+
+    const clearBody = message.sensitive ? { body: 1 } : {};
+
+    if (message.expiresAt && message.expiresAt <= now) {
+        return OutboundMessage.findOneAndUpdate(
+            { _id: message._id, status: 'sending' },
+            { $set: { status: 'expired' }, $unset: { leaseUntil: 1, nextAttemptAt: 1, ...clearBody } },
+            { new: true }
+        );
+    }
+
+    try {
+        // Mensagens enfileiradas para o WhatsApp vão por SMS se o provedor deixou de estar configurado
+        const channel = message.channel === 'whatsapp' && !isWhatsAppAvailable() ? 'sms' : message.channel;
+        const result = await getMessageTransport(channel).send(message.phoneNumber, message.body);
+        return OutboundMessage.findOneAndUpdate(
+            { _id: message._id, status: 'sending' },
+            {
+                $set: { status: 'sent', sentAt: new Date(), provider: result && result.provider, providerMessageId: result && result.messageId },
+                $unset: { leaseUntil: 1, nextAttemptAt: 1, lastError: 1, ...clearBody },
+            },
+            { new: true }
+        );
+    } catch (error) {
+        if (message.attempts >= MAX_MESSAGE_ATTEMPTS) {
+            logError(`Mensagem ${message._id} (${message.template}) descartada após ${message.attempts} tentativas: ${error.message}`, { userId: message.userId });
+            return OutboundMessage.findOneAndUpdate(
+                { _id: message._id, status: 'sending' },
+                { $set: { status: 'failed', lastError: error.message }, $unset: { leaseUntil: 1, nextAttemptAt: 1, ...clearBody } },
+                { new: true }
+            );
+        }
+        return OutboundMessage.findOneAndUpdate(
+            { _id: message._id, status: 'sending' },
+            { $set: { status: 'pending', lastError: error.message, nextAttemptAt: new Date(Date.now() + getMessageBackoffMs(message.attempts)) }, $unset: { leaseUntil: 1 } },
+            { new: true }
+        );
+    }
+};
+
+/**
+ * Envia as mensagens vencidas da fila (usado pelo scheduler).
+ * Roda sob lock distribuído para que só uma instância percorra a fila por vez.
+ * @returns {Promise<{acquired: boolean, result?: {processed: number, sent: number, failed: number}}>}
+ */
+const processOutbox = () => withJobLock(OUTBOX_LOCK, async ({ isLost }) => {
+    const now = new Date();
+    const due = await OutboundMessage.find({
+        $or: [
+            { status: 'pending', nextAttemptAt: { $lte: now } },
+            { status: 'sending', leaseUntil: { $lte: now } },
+        ],
+    })
+        .select('_id')
+        .sort({ nextAttemptAt: 1 })
+        .limit(OUTBOX_BATCH_SIZE);
+
+    const summary = { processed: 0, sent: 0, failed: 0 };
+    for (const { _id } of due) {
+        if (isLost()) break;
+        const result = await deliverOutboundMessage(_id);
+        if (!result) continue;
+        summary.processed += 1;
+        if (result.status === 'sent') summary.sent += 1;
+        if (result.status === 'failed') summary.failed += 1;
+    }
+    if (summary.processed > 0) {
+        logInfo('Fila de mensagens processada.', summary);
+    }
+    return summary;
+});
+
+module.exports = {
+    queueUserMessage,
+    processOutbox,
+};
@@ -0,0 +1,186 @@
+// pagination.js
+// Paginação por cursor e filtros comuns das listagens do painel administrativo.
+// Todas as listagens aceitam os mesmos parâmetros de query:
+//   status, from, to (datas ISO, sobre createdAt), minAmount, maxAmount, phone (prefixo do telefone),
+//   sort (campo; prefixo '-' para ordem decrescente), limit e cursor (devolvido em pagination.nextCursor).
+
+const mongoose = require('mongoose');
+const { User } = require('./models');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Filtro por telefone em listagens de depósitos/saques: o prefixo vira uma lista de usuários, então
+// exige alguns dígitos e limita quantos usuários entram no filtro
+const MIN_USER_PHONE_PREFIX_LENGTH = 4;
+const MAX_PHONE_PREFIX_USERS = 1000;
+
+/**
+ * Codifica o cursor a partir do último item da página.
+ * @param {object} doc - O último documento retornado.
+ * @param {string} sortField - O campo de ordenação.
+ * @returns {string} Cursor opaco (base64url).
+ */
+const encodeCursor = (doc, sortField) => {
+    const value = doc[sortField];
+    const payload = value instanceof Date
+        ? { t: 'date', v: value.toISOString(), id: doc._id.toString() }
+        : { t: 'value', v: value, id: doc._id.toString() };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decodifica um cursor.
+ * @param {string} cursor
+ * @returns {{value: *, id: object}|null} null se o cursor for inválido.
+ */
+const decodeCursor = (cursor) => {
+    try {
+        const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!mongoose.isValidObjectId(payload.id)) return null;
+        const value = payload.t === 'date' ? new Date(payload.v) : payload.v;
+        if (value instanceof Date && isNaN(value.getTime())) return null;
+        return { value, id: new mongoose.Types.ObjectId(payload.id) };
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Lê um número opcional da query.
+ * @param {*} raw
+ * @returns {number|undefined|null} undefined se ausente, null se inválido.
+ */
+const parseOptionalNumber = (raw) => {
+    if (raw === undefined || raw === '') return undefined;
+    const value = Number(raw);
+    return Number.isFinite(value) ? value : null;
+};
+
+/**
+ * Monta o filtro, a ordenação e o cursor de uma listagem a partir de req.query.
+ * @param {object} query - req.query.
+ * @param {object} options
+ * @param {string[]} options.statuses - Valores aceitos em ?status=.
+ * @param {string} [options.defaultStatus] - Status usado quando ?status= não é informado.
+ * @param {string} [options.fixedStatus] - Status obrigatório (ignora ?status=).
+ * @param {string} options.amountField - Campo filtrado por minAmount/maxAmount (ex: 'amount', 'balance').
+ * @param {string[]} options.sortFields - Campos aceitos em ?sort=.
+ * @param {string} [options.phoneField] - Campo com o telefone no próprio documento (ex: 'phoneNumber').
+ * @param {string} [options.userField] - Campo com o ID do usuário, para filtrar pelo telefone do dono.
+ * @returns {Promise<{error: string}|{filter: object, countFilter: object, sort: object, sortField: string, limit: number}>}
+ */
+const buildListQuery = async (query, { statuses, defaultStatus, fixedStatus, amountField, sortFields, phoneField, userField }) => {
+    const filter = {};
+
+    const status = fixedStatus || (query.status !== undefined ? String(query.status) : defaultStatus);
+    if (status && status !== 'all') {
+        if (!statuses.includes(status)) {
+            return { error: `Status inválido. Use: ${statuses.join(', ')} ou all.` };
+        }
+        filter.status = status;
+    }
+
+    if (query.from || query.to) {
+        filter.createdAt = {};
+        if (query.from) filter.createdAt.$gte = new Date(String(query.from));
+        if (query.to) filter.createdAt.$lte = new Date(String(query.to));
+        if (Object.values(filter.createdAt).some(date => isNaN(date.getTime()))) {
+            return { error: 'Data inválida em from/to.' };
+        }
+    }
+
+    const minAmount = parseOptionalNumber(query.minAmount);
+    const maxAmount = parseOptionalNumber(query.maxAmount);
+    if (minAmount === null || maxAmount === null) {
+        return { error: 'Valor inválido em minAmount/maxAmount.' };
+    }
+    if (minAmount !== undefined || maxAmount !== undefined) {
+        filter[amountField] = {};
+        if (minAmount !== undefined) filter[amountField].$gte = minAmount;
+        if (maxAmount !== undefined) filter[amountField].$lte = maxAmount;
+    }
+
+    if (query.phone !== undefined) {
+        const phonePrefix = String(query.phone);
+        if (!/^\d{1,9}$/.test(phonePrefix)) {
+            return { error: 'O prefixo do telefone deve ter de 1 a 9 dígitos.' };
+        }
+        if (phoneField) {
+            filter[phoneField] = { $regex: `^${phonePrefix}` };
+        } else if (userField) {
+            if (phonePrefix.length < MIN_USER_PHONE_PREFIX_LENGTH) {
+                return { error: `O prefixo do telefone deve ter pelo menos ${MIN_USER_PHONE_PREFIX_LENGTH} dígitos.` };
+            }
+            const users = await User.find({ phoneNumber: { $regex: `^${phonePrefix}` } })
+                .select('_id')
+                .limit(MAX_PHONE_PREFIX_USERS + 1)
+                .lean();
+            if (users.length > MAX_PHONE_PREFIX_USERS) {
+                return { error: 'Prefixo do telefone muito amplo. Informe mais dígitos.' };
+            }
+            filter[userField] = { $in: users.map(user => user._id) };
+        }
+    }
+
+    const rawSort = query.sort !== undefined ? String(query.sort) : '-createdAt';
+    const sortField = rawSort.replace(/^-/, '');
+    if (!sortFields.includes(sortField)) {
+        return { error: `Ordenação inválida. Use: ${sortFields.join(', ')} (prefixo '-' para decrescente).` };
+    }
+    const direction = rawSort.startsWith('-') ? -1 : 1;
+
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    // O total ignora o cursor: é o total de registros que atendem aos filtros
+    const countFilter = { ...filter };
+
+    if (query.cursor) {
+        const cursor = decodeCursor(query.cursor);
+        if (!cursor) return { error: 'Cursor inválido.' };
+        const operator = direction === -1 ? '$lt' : '$gt';
+        // _id desempata registros com o mesmo valor no campo de ordenação
+        filter.$and = [{
+            $or: [
+                { [sortField]: { [operator]: cursor.value } },
+                { [sortField]: cursor.value, _id: { [operator]: cursor.id } },
+            ],
+        }];
+    }
+
+    return { filter, countFilter, sort: { [sortField]: direction, _id: direction }, sortField, limit };
+};
+
+/**
+ * Busca uma página de resultados e o total de registros que atendem aos filtros.
+ * @param {object} Model - O modelo Mongoose.
+ * @param {object} listQuery - O resultado de buildListQuery.
+ * @param {object} [options]
+ * @param {string} [options.select]
+ * @param {Array} [options.populate] - Argumentos de populate (ex: ['userId', 'phoneNumber']).
+ * @returns {Promise<{items: object[], pagination: object}>}
+ */
+const fetchPage = async (Model, { filter, countFilter, sort, sortField, limit }, { select, populate } = {}) => {
+    let itemsQuery = Model.find(filter).sort(sort).limit(limit + 1);
+    if (select) itemsQuery = itemsQuery.select(select);
+    if (populate) itemsQuery = itemsQuery.populate(...populate);
+
+    const [items, total] = await Promise.all([itemsQuery, Model.countDocuments(countFilter)]);
+
+    const hasMore = items.length > limit;
+    if (hasMore) items.pop();
+    return {
+        items,
+        pagination: {
+            total,
+            limit,
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(items[items.length - 1], sortField) : null,
+        },
+    };
+};
+
+module.exports = {
+    buildListQuery,
+    fetchPage,
+};
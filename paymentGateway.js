@@ -0,0 +1,120 @@
+// paymentGateway.js
+// Interface plugável para provedores de pagamento (C2B: o cliente paga para a empresa).
+// Cada provedor expõe:
+//   { name,
+//     verifySignature({ rawBody, headers }) -> boolean,
+//     parseC2BNotification(body) -> { transactionId, amount, phoneNumber, reference, paidAt } | null,
+//     buildAcknowledgement(result) -> corpo da resposta esperado pelo provedor }
+// Os provedores aceitos pela rota de webhook são os listados em PAYMENT_PROVIDERS (nenhum por padrão).
+// O provedor 'mock' assina as notificações com HMAC-SHA256 (PAYMENT_WEBHOOK_SECRET) e permite
+// simular pagamentos localmente, sem operadora; ele nunca é habilitado em produção.
+
+const crypto = require('crypto');
+
+const MOCK_SIGNATURE_HEADER = 'x-payment-signature';
+
+// Provedores que simulam pagamentos (nunca habilitados com NODE_ENV=production)
+const SIMULATED_PROVIDERS = ['mock'];
+
+/**
+ * Converte um número em formato internacional (+258 / 258) para o formato local de 9 dígitos.
+ * @param {string} phoneNumber - Ex: '258841234567' ou '+258841234567'.
+ * @returns {string} Ex: '841234567'.
+ */
+const toLocalNumber = (phoneNumber) => String(phoneNumber || '').replace(/\D/g, '').replace(/^258(?=\d{9}$)/, '');
+
+/**
+ * Calcula a assinatura HMAC-SHA256 (hex) de um corpo de requisição.
+ * @param {Buffer|string} rawBody
+ * @param {string} secret
+ * @returns {string}
+ */
+const signPayload = (rawBody, secret) => crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+// Provedores registrados: nome -> função que cria o provedor
+const providerFactories = {
+    // Provedor local para desenvolvimento e testes
+    mock: () => ({
+        name: 'mock',
+        verifySignature: ({ rawBody, headers }) => {
+            const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+            const signature = String(headers[MOCK_SIGNATURE_HEADER] || '');
+            if (!secret || !rawBody || !/^[a-f\d]{64}$/i.test(signature)) return false;
+            return crypto.timingSafeEqual(Buffer.from(signPayload(rawBody, secret), 'hex'), Buffer.from(signature, 'hex'));
+        },
+        parseC2BNotification: (body) => {
+            if (!body || !body.transactionId || !(Number(body.amount) > 0) || !body.msisdn) return null;
+            return {
+                transactionId: String(body.transactionId).toUpperCase(),
+                amount: Number(body.amount),
+                phoneNumber: toLocalNumber(body.msisdn),
+                reference: body.reference ? String(body.reference) : undefined,
+                paidAt: body.timestamp ? new Date(body.timestamp) : new Date(),
+            };
+        },
+        buildAcknowledgement: (result) => ({ received: true, status: result.notification.status, duplicate: result.duplicate }),
+    }),
+};
+
+const providerCache = {};
+
+/**
+ * Registra um novo provedor de pagamento (ex: a API de uma operadora).
+ * @param {string} name - Nome usado na URL do webhook e em PAYMENT_PROVIDERS.
+ * @param {function} factory - Função que retorna o provedor (ver interface no topo do arquivo).
+ */
+const registerPaymentProvider = (name, factory) => {
+    providerFactories[name] = factory;
+    delete providerCache[name];
+};
+
+/**
+ * Lista os provedores habilitados em PAYMENT_PROVIDERS (separados por vírgula).
+ * Em produção, os provedores simulados são ignorados.
+ * @returns {string[]}
+ */
+const getEnabledPaymentProviders = () => (process.env.PAYMENT_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => name && !(process.env.NODE_ENV === 'production' && SIMULATED_PROVIDERS.includes(name)));
+
+/**
+ * Retorna um provedor de pagamento, se estiver registrado e habilitado.
+ * @param {string} name
+ * @returns {object|null}
+ */
+const getPaymentProvider = (name) => {
+    if (!providerFactories[name] || !getEnabledPaymentProviders().includes(name)) return null;
+    if (!providerCache[name]) {
+        providerCache[name] = providerFactories[name]();
+    }
+    return providerCache[name];
+};
+
+/**
+ * Monta uma notificação C2B assinada do provedor 'mock', como a operadora enviaria ao webhook.
+ * @param {object} payment - { amount, phoneNumber, reference, transactionId? }.
+ * @returns {{rawBody: Buffer, headers: object, body: object}}
+ */
+const createMockC2BNotification = ({ amount, phoneNumber, reference, transactionId }) => {
+    const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+    if (!secret) {
+        throw new Error('PAYMENT_WEBHOOK_SECRET não configurado.');
+    }
+    const body = {
+        transactionId: transactionId || `MOCK${crypto.randomBytes(5).toString('hex').toUpperCase()}`,
+        amount: Number(amount),
+        msisdn: `258${toLocalNumber(phoneNumber)}`,
+        reference,
+        timestamp: new Date().toISOString(),
+    };
+    const rawBody = Buffer.from(JSON.stringify(body));
+    return { rawBody, body, headers: { [MOCK_SIGNATURE_HEADER]: signPayload(rawBody, secret) } };
+};
+
+module.exports = {
+    getPaymentProvider,
+    registerPaymentProvider,
+    createMockC2BNotification,
+    toLocalNumber,
+};
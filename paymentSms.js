@@ -0,0 +1,151 @@
+// paymentSms.js
+// Leitura das mensagens de confirmação (SMS) do M-Pesa e do e-Mola que o usuário cola ao
+// solicitar um depósito. Extrai o ID da transação, o valor, o destinatário e a data/hora, para
+// que o admin não precise conferir o texto a olho. O parser é tolerante: aceita as variações em
+// português e inglês das duas operadoras e devolve null quando não reconhece a mensagem.
+
+// Prefixos de número por operadora (Vodacom = M-Pesa, Movitel = e-Mola)
+const PROVIDER_PREFIXES = {
+    mpesa: ['84', '85'],
+    emola: ['86', '87'],
+};
+
+// Diferença de Moçambique para UTC (sem horário de verão)
+const MAPUTO_UTC_OFFSET = '+02:00';
+
+/**
+ * Remove acentos e normaliza espaços, para que as expressões regulares não dependam da grafia.
+ * @param {string} text
+ * @returns {string}
+ */
+const normalizeText = (text) => String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Converte um valor monetário escrito no SMS em número.
+ * Aceita '1,500.00', '1.500,00', '1500.00', '1500,00' e '1500'.
+ * @param {string} raw
+ * @returns {number|null}
+ */
+const parseAmount = (raw) => {
+    let value = raw.replace(/\s/g, '');
+    const lastComma = value.lastIndexOf(',');
+    const lastDot = value.lastIndexOf('.');
+    if (lastComma > -1 && lastDot > -1) {
+        // O último separador é o decimal; o outro separa milhares
+        const decimal = lastComma > lastDot ? ',' : '.';
+        const thousands = decimal === ',' ? '.' : ',';
+        value = value.split(thousands).join('').replace(decimal, '.');
+    } else if (lastComma > -1) {
+        value = /,\d{1,2}$/.test(value) ? value.replace(',', '.') : value.split(',').join('');
+    } else if (lastDot > -1 && !/\.\d{1,2}$/.test(value)) {
+        value = value.split('.').join('');
+    }
+    const amount = Number(value);
+    return Number.isFinite(amount) && amount > 0 ? amount : null;
+};
+
+/**
+ * Converte data e hora do SMS (horário de Maputo) em Date.
+ * @param {string} datePart - 'dd/mm/aa' ou 'dd/mm/aaaa' (também aceita '-' e '.').
+ * @param {string} timePart - 'hh:mm' ou 'hh:mm:ss'.
+ * @returns {Date|null}
+ */
+const parseTimestamp = (datePart, timePart) => {
+    const [day, month, rawYear] = datePart.split(/[/.-]/).map(Number);
+    const year = rawYear < 100 ? 2000 + rawYear : rawYear;
+    const [hour, minute, second = 0] = timePart.split(':').map(Number);
+    const pad = (n) => String(n).padStart(2, '0');
+    const date = new Date(`${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}${MAPUTO_UTC_OFFSET}`);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Identifica a operadora pelo texto ou, na falta dele, pelo prefixo do número de destino.
+ * @param {string} text - Mensagem normalizada.
+ * @param {string|null} recipientNumber
+ * @returns {string|null} 'mpesa', 'emola' ou null.
+ */
+const detectProvider = (text, recipientNumber) => {
+    if (/m-?pesa/i.test(text)) return 'mpesa';
+    if (/e-?mola/i.test(text)) return 'emola';
+    if (recipientNumber) {
+        const prefix = recipientNumber.slice(0, 2);
+        return Object.keys(PROVIDER_PREFIXES).find(provider => PROVIDER_PREFIXES[provider].includes(prefix)) || null;
+    }
+    return null;
+};
+
+/**
+ * Lê uma mensagem de confirmação do M-Pesa ou do e-Mola.
+ * @param {string} message - O texto colado pelo usuário.
+ * @returns {object|null} { provider, transactionId, amount, recipientNumber, recipientName, transactionDate },
+ * com null nos campos não encontrados; null se nenhum campo essencial (ID ou valor) for reconhecido.
+ */
+const parsePaymentSms = (message) => {
+    const text = normalizeText(message);
+    if (!text) return null;
+
+    // 'Confirmado ABC123XYZ.', 'Confirmed ABC123XYZ', 'ID da transacao: PP241018.1423.A12345'
+    const idMatch = text.match(/(?:confirmad[oa]|confirmed|id da transac(?:ao|cao)|transaction id|ref(?:erencia)?)[\s:.-]*([A-Z0-9][A-Z0-9.]{5,}[A-Z0-9])/i);
+    // 'Transferiste 500.00MT', 'You have transferred 500.00 MT', 'Enviaste 1,500.00MT', 'valor de 500MT'
+    const amountMatch = text.match(/(?:transferiste|enviaste|pagaste|transferred|sent|paid|valor(?: de)?)[\s:]*(?:MZN|MT)?\s*([\d.,]+)\s*(?:MZN|MT)/i)
+        || text.match(/([\d.,]+)\s*(?:MZN|MT)\b/i);
+    // 'para 841234567 - NOME', 'to 258841234567 - NAME', 'para conta 861234567, nome: NOME'
+    const recipientMatch = text.match(/(?:para|to)(?: a)?(?: conta| o numero| numero| number)?[\s:]*(?:\+?258)?(8[2-7]\d{7})\b(?:\s*(?:-|,)\s*(?:nome:\s*)?([A-Za-z][A-Za-z .'-]*?)(?=\s+(?:aos|as|em|on|at)\b|\s*[.,;]|$))?/i);
+    // 'aos 18/10/24 as 14:23', 'as 14:23:10 18/10/2024', 'on 18/10/2024 at 14:23'
+    const dateMatch = text.match(/(\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4})/);
+    const timeMatch = text.match(/\b(\d{1,2}:\d{2}(?::\d{2})?)\b/);
+
+    const transactionId = idMatch ? idMatch[1].replace(/\.+$/, '').toUpperCase() : null;
+    const amount = amountMatch ? parseAmount(amountMatch[1]) : null;
+    if (!transactionId && !amount) return null;
+
+    const recipientNumber = recipientMatch ? recipientMatch[1] : null;
+    return {
+        provider: detectProvider(text, recipientNumber),
+        transactionId,
+        amount,
+        recipientNumber,
+        recipientName: recipientMatch && recipientMatch[2] ? recipientMatch[2].trim() : null,
+        transactionDate: dateMatch && timeMatch ? parseTimestamp(dateMatch[1], timeMatch[1]) : null,
+    };
+};
+
+/**
+ * Compara os dados lidos do SMS com o depósito solicitado e com os números configurados.
+ * @param {object|null} parsed - Resultado de parsePaymentSms.
+ * @param {number} requestedAmount - O valor informado pelo usuário.
+ * @param {object} adminConfig - As configurações (mpesaDepositNumber, emolaDepositNumber).
+ * @returns {string[]} Alertas para o admin: 'unparsed', 'missing_transaction_id', 'amount_mismatch',
+ * 'recipient_mismatch' e 'missing_recipient'.
+ */
+const getPaymentSmsFlags = (parsed, requestedAmount, adminConfig) => {
+    if (!parsed) return ['unparsed'];
+
+    const flags = [];
+    if (!parsed.transactionId) flags.push('missing_transaction_id');
+    if (parsed.amount === null || Math.abs(parsed.amount - Number(requestedAmount)) > 0.009) {
+        flags.push('amount_mismatch');
+    }
+
+    const configuredNumbers = {
+        mpesa: adminConfig && adminConfig.mpesaDepositNumber,
+        emola: adminConfig && adminConfig.emolaDepositNumber,
+    };
+    if (!parsed.recipientNumber) {
+        flags.push('missing_recipient');
+    } else {
+        const expected = parsed.provider ? [configuredNumbers[parsed.provider]] : Object.values(configuredNumbers);
+        if (!expected.includes(parsed.recipientNumber)) flags.push('recipient_mismatch');
+    }
+    return flags;
+};
+
+module.exports = {
+    parsePaymentSms,
+    getPaymentSmsFlags,
+};
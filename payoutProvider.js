@@ -0,0 +1,92 @@
+// payoutProvider.js
+// Interface plugável para pagamentos de saques (B2C: a empresa transfere para a carteira do usuário).
+// Cada provedor expõe:
+//   { name,
+//     sendPayout({ reference, amount, phoneNumber }) -> { status, providerReference, error? },
+//     getPayoutStatus(providerReference) -> { status, providerReference, error? } }
+// status é 'paid', 'processing' (aceito, aguardando confirmação) ou 'failed' (recusa definitiva).
+// Uma exceção lançada significa falha temporária: o saque é tentado de novo mais tarde.
+// 'reference' é o ID do saque e serve de chave de idempotência no provedor.
+// O provedor ativo é escolhido pela variável de ambiente PAYOUT_PROVIDER. Sem ela não há pagamento
+// automático: os saques aprovados continuam sendo transferidos manualmente pelo admin.
+// O provedor 'mock' só serve para desenvolvimento e testes e é recusado em produção.
+
+const crypto = require('crypto');
+const { logInfo } = require('./utils');
+
+// Provedores registrados: nome -> função que cria o provedor
+const providerFactories = {
+    // Simula o provedor sem transferir nada. O resultado é controlado por MOCK_PAYOUT_OUTCOME:
+    // 'paid' (padrão), 'processing', 'failed' ou 'error' (falha temporária).
+    mock: () => ({
+        name: 'mock',
+        sendPayout: async ({ reference, amount, phoneNumber }) => {
+            const outcome = process.env.MOCK_PAYOUT_OUTCOME || 'paid';
+            const providerReference = `MOCKB2C-${reference}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+            logInfo(`Payout (mock) de ${amount} MT para ${phoneNumber}: ${outcome}.`, { reference });
+            if (outcome === 'error') {
+                throw new Error('Falha temporária simulada no provedor de payout.');
+            }
+            if (outcome === 'failed') {
+                return { status: 'failed', providerReference, error: 'Transferência recusada (simulado).' };
+            }
+            return { status: outcome === 'processing' ? 'processing' : 'paid', providerReference };
+        },
+        // Transferências 'processing' são confirmadas na consulta seguinte (MOCK_PAYOUT_FINAL_STATUS)
+        getPayoutStatus: async (providerReference) => ({
+            status: process.env.MOCK_PAYOUT_FINAL_STATUS || 'paid',
+            providerReference,
+        }),
+    }),
+};
+
+// Provedores que simulam o pagamento (nunca usados com NODE_ENV=production)
+const SIMULATED_PROVIDERS = ['mock'];
+
+let activeProvider = null;
+
+/**
+ * Registra um novo provedor de payout (ex: API B2C de uma operadora).
+ * @param {string} name - Nome usado em PAYOUT_PROVIDER.
+ * @param {function} factory - Função que retorna o provedor (ver interface no topo do arquivo).
+ */
+const registerPayoutProvider = (name, factory) => {
+    providerFactories[name] = factory;
+    if (activeProvider && activeProvider.name === name) {
+        activeProvider = null; // Recria na próxima chamada
+    }
+};
+
+/**
+ * Indica se há um provedor de payout configurado (pagamento automático ativo).
+ * @returns {boolean}
+ */
+const isPayoutProviderConfigured = () => Boolean(process.env.PAYOUT_PROVIDER);
+
+/**
+ * Retorna o provedor de payout configurado em PAYOUT_PROVIDER.
+ * @returns {object} O provedor ativo.
+ */
+const getPayoutProvider = () => {
+    if (!activeProvider) {
+        const name = process.env.PAYOUT_PROVIDER;
+        if (!name) {
+            throw new Error('Nenhum provedor de payout configurado (PAYOUT_PROVIDER).');
+        }
+        if (SIMULATED_PROVIDERS.includes(name) && process.env.NODE_ENV === 'production') {
+            throw new Error(`O provedor de payout '${name}' é apenas para testes e não pode ser usado em produção.`);
+        }
+        const factory = providerFactories[name];
+        if (!factory) {
+            throw new Error(`Provedor de payout desconhecido: ${name}`);
+        }
+        activeProvider = factory();
+    }
+    return activeProvider;
+};
+
+module.exports = {
+    getPayoutProvider,
+    isPayoutProviderConfigured,
+    registerPayoutProvider,
+};
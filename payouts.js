@@ -0,0 +1,251 @@
+// payouts.js
+// Pagamento automático dos saques aprovados pelo provedor de payout (B2C).
+// Ciclo de vida: approved -> processing -> paid | failed.
+// - Falhas temporárias (exceções do provedor) são tentadas de novo com backoff exponencial.
+// - Transferências aceitas mas ainda não confirmadas são consultadas periodicamente.
+// - Uma recusa definitiva, ou o fim das tentativas, marca o saque como 'failed' e devolve o
+//   valor ao saldo do usuário pelo ledger (uma única vez, por transição condicional).
+
+const { Withdrawal } = require('./models');
+const { postLedgerEntry, runInTransaction } = require('./ledger');
+const { withJobLock } = require('./jobLock');
+const { getPayoutProvider, isPayoutProviderConfigured } = require('./payoutProvider');
+const { recordAuditEvent } = require('./audit');
+const { notifyUser } = require('./notifications');
+const { publishQueueEvent } = require('./adminQueue');
+const { logInfo, logError } = require('./utils');
+
+const PAYOUT_QUEUE_LOCK = 'withdrawal-payouts';
+const MAX_PAYOUT_ATTEMPTS = Number(process.env.PAYOUT_MAX_ATTEMPTS) || 5;
+const PAYOUT_BACKOFF_BASE_MS = 60 * 1000; // 1 min, 2 min, 4 min...
+const PAYOUT_BACKOFF_MAX_MS = 60 * 60 * 1000;
+const PAYOUT_STATUS_POLL_MS = 2 * 60 * 1000; // Intervalo entre consultas de transferências em andamento
+const PAYOUT_LEASE_MS = 2 * 60 * 1000;
+const PAYOUT_BATCH_SIZE = 50;
+
+/**
+ * Calcula o atraso antes da próxima tentativa.
+ * @param {number} attempts - Tentativas já feitas.
+ * @returns {number} Milissegundos.
+ */
+const getPayoutBackoffMs = (attempts) => Math.min(PAYOUT_BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), PAYOUT_BACKOFF_MAX_MS);
+
+/**
+ * Indica se saques para um método de recebimento são pagos automaticamente (carteiras móveis,
+ * e só com um provedor de payout configurado). Saques antigos, sem método estruturado, também entram na fila.
+ * @param {string} [method] - 'mpesa', 'emola' ou 'bank'.
+ * @returns {boolean}
+ */
+const isAutomaticPayoutMethod = (method) => isPayoutProviderConfigured() && method !== 'bank';
+
+/**
+ * Extrai o número de destino do saque (9 dígitos, M-Pesa ou e-Mola).
+ * Usa o método de recebimento salvo; nos saques antigos, procura o número no texto livre.
+ * @param {object} withdrawal
+ * @returns {string|null}
+ */
+const getPayoutPhoneNumber = (withdrawal) => {
+    if (withdrawal.payoutDetails && withdrawal.payoutDetails.method) {
+        return isAutomaticPayoutMethod(withdrawal.payoutDetails.method) ? withdrawal.payoutDetails.accountNumber : null;
+    }
+    const match = String(withdrawal.walletAddress || '').replace(/(\d)[\s-](?=\d)/g, '$1').match(/(?:\+?258)?(8[2-7]\d{7})(?!\d)/);
+    return match ? match[1] : null;
+};
+
+/**
+ * Marca o pagamento como falho e devolve o valor ao saldo do usuário.
+ * @param {object} withdrawal - O saque (com o lease desta execução).
+ * @param {string} reason - Motivo da falha.
+ * @returns {Promise<object|null>} O saque atualizado, ou null se já tinha saído de 'processing'.
+ */
+const failPayout = async (withdrawal, reason) => {
+    // Transição e estorno na mesma transação: se o ledger falhar, o saque continua em 'processing'
+    const failed = await runInTransaction(async (session) => {
+        const updated = await Withdrawal.findOneAndUpdate(
+            { _id: withdrawal._id, status: 'processing' },
+            { $set: { status: 'failed', failedAt: new Date(), lastPayoutError: reason }, $unset: { payoutLeaseUntil: 1, nextPayoutAttemptAt: 1 } },
+            { new: true, session }
+        );
+        if (!updated) return null;
+
+        await postLedgerEntry({
+            userId: updated.userId,
+            amount: updated.amount,
+            type: 'withdrawal_refund',
+            referenceModel: 'Withdrawal',
+            referenceId: updated._id,
+            description: 'Pagamento do saque falhou, saldo devolvido',
+            session,
+        });
+        return updated;
+    });
+    if (!failed) return null;
+    publishQueueEvent('withdrawal', 'updated', failed);
+    await recordAuditEvent(null, {
+        action: 'withdrawal.payout_failed',
+        targetModel: 'Withdrawal',
+        targetId: failed._id,
+        description: `Pagamento do saque de ${failed.amount} MT falhou; saldo devolvido.`,
+        before: { status: 'processing' },
+        after: { status: 'failed', lastPayoutError: reason },
+        details: { userId: failed.userId, amount: failed.amount, payoutAttempts: failed.payoutAttempts, payoutReference: failed.payoutReference },
+    });
+    await notifyUser(failed.userId, {
+        type: 'withdrawal_failed',
+        title: 'Saque não concluído',
+        message: `Não foi possível transferir o seu saque de ${failed.amount} MT. O valor voltou para o seu saldo.`,
+        data: { withdrawalId: failed._id, amount: failed.amount },
+    });
+    logError(`Pagamento do saque ${failed._id} falhou: ${reason}. Saldo devolvido.`, { userId: failed.userId });
+    return failed;
+};
+
+/**
+ * Aplica o resultado devolvido pelo provedor.
+ * @param {object} withdrawal
+ * @param {object} outcome - { status, providerReference, error }.
+ * @returns {Promise<object|null>}
+ */
+const applyPayoutOutcome = async (withdrawal, outcome) => {
+    if (outcome.status === 'failed') {
+        if (outcome.providerReference) {
+            await Withdrawal.updateOne({ _id: withdrawal._id }, { $set: { payoutReference: outcome.providerReference } });
+        }
+        return failPayout(withdrawal, outcome.error || 'Transferência recusada pelo provedor.');
+    }
+
+    const update = outcome.status === 'paid'
+        ? { $set: { status: 'paid', paidAt: new Date(), payoutReference: outcome.providerReference }, $unset: { payoutLeaseUntil: 1, nextPayoutAttemptAt: 1, lastPayoutError: 1 } }
+        : { $set: { payoutReference: outcome.providerReference, nextPayoutAttemptAt: new Date(Date.now() + PAYOUT_STATUS_POLL_MS) }, $unset: { payoutLeaseUntil: 1 } };
+    const updated = await Withdrawal.findOneAndUpdate({ _id: withdrawal._id, status: 'processing' }, update, { new: true });
+    if (updated && updated.status === 'paid') {
+        publishQueueEvent('withdrawal', 'updated', updated);
+        logInfo(`Saque ${updated._id} pago (${updated.payoutProvider}: ${updated.payoutReference}).`, { userId: updated.userId, amount: updated.amount });
+        const paidAmount = typeof updated.netAmount === 'number' ? updated.netAmount : updated.amount;
+        await notifyUser(updated.userId, {
+            type: 'withdrawal_paid',
+            title: 'Saque pago',
+            message: `O seu saque foi transferido: ${paidAmount} MT enviados (referência ${updated.payoutReference}).`,
+            data: { withdrawalId: updated._id, amount: updated.amount, netAmount: paidAmount, payoutReference: updated.payoutReference },
+        });
+    }
+    return updated;
+};
+
+/**
+ * Registra uma falha temporária: agenda nova tentativa com backoff ou, esgotadas as tentativas, falha o saque.
+ * @param {object} withdrawal
+ * @param {Error} error
+ * @returns {Promise<object|null>}
+ */
+const handleTransientPayoutError = async (withdrawal, error) => {
+    if (withdrawal.payoutAttempts >= MAX_PAYOUT_ATTEMPTS) {
+        return failPayout(withdrawal, `Tentativas esgotadas (${withdrawal.payoutAttempts}): ${error.message}`);
+    }
+    const retryAt = new Date(Date.now() + getPayoutBackoffMs(withdrawal.payoutAttempts));
+    logError(`Falha temporária no pagamento do saque ${withdrawal._id} (tentativa ${withdrawal.payoutAttempts}): ${error.message}`, { retryAt });
+    return Withdrawal.findOneAndUpdate(
+        { _id: withdrawal._id, status: 'processing' },
+        { $set: { lastPayoutError: error.message, nextPayoutAttemptAt: retryAt }, $unset: { payoutLeaseUntil: 1 } },
+        { new: true }
+    );
+};
+
+/**
+ * Processa um saque da fila: envia ao provedor ou, se já foi aceito, consulta o status.
+ * Não faz nada se o saque não estiver vencido ou estiver sendo processado por outra instância.
+ * @param {object} withdrawalId
+ * @returns {Promise<object|null>} O saque após o processamento, ou null se não foi processado.
+ */
+const processWithdrawalPayout = async (withdrawalId) => {
+    const now = new Date();
+    const provider = getPayoutProvider();
+
+    // Assume o saque com um lease: só uma execução por vez fala com o provedor sobre ele
+    const claim = { status: 'processing', payoutLeaseUntil: new Date(now.getTime() + PAYOUT_LEASE_MS), payoutProvider: provider.name };
+    const previous = await Withdrawal.findOneAndUpdate(
+        {
+            _id: withdrawalId,
+            status: { $in: ['approved', 'processing'] },
+            nextPayoutAttemptAt: { $lte: now },
+            $or: [{ payoutLeaseUntil: { $exists: false } }, { payoutLeaseUntil: null }, { payoutLeaseUntil: { $lte: now } }],
+        },
+        { $set: claim },
+        { new: false } // O status anterior diz se o pagamento está começando agora
+    );
+    if (!previous) return null;
+    const withdrawal = Withdrawal.hydrate({ ...previous.toObject(), ...claim });
+    if (previous.status === 'approved') publishQueueEvent('withdrawal', 'updated', withdrawal);
+
+    try {
+        // Transferência já aceita pelo provedor: apenas consulta, nunca reenvia
+        if (withdrawal.payoutReference) {
+            return await applyPayoutOutcome(withdrawal, await provider.getPayoutStatus(withdrawal.payoutReference));
+        }
+
+        const phoneNumber = getPayoutPhoneNumber(withdrawal);
+        if (!phoneNumber) {
+            return await failPayout(withdrawal, 'Número de destino inválido nos detalhes de pagamento.');
+        }
+
+        const attempt = await Withdrawal.findOneAndUpdate(
+            { _id: withdrawal._id, status: 'processing' },
+            { $inc: { payoutAttempts: 1 } },
+            { new: true }
+        );
+        let outcome;
+        try {
+            // A taxa fica com a empresa: transfere o valor líquido (saques antigos não têm netAmount)
+            const payoutAmount = typeof attempt.netAmount === 'number' ? attempt.netAmount : attempt.amount;
+            outcome = await provider.sendPayout({ reference: attempt._id.toString(), amount: payoutAmount, phoneNumber });
+        } catch (error) {
+            return await handleTransientPayoutError(attempt, error);
+        }
+        return await applyPayoutOutcome(attempt, outcome);
+    } catch (error) {
+        // Erro inesperado (ex: banco): libera o lease e tenta de novo no próximo ciclo
+        logError(`Erro ao processar pagamento do saque ${withdrawal._id}: ${error.message}`, { stack: error.stack });
+        await Withdrawal.updateOne(
+            { _id: withdrawal._id, status: 'processing' },
+            { $set: { nextPayoutAttemptAt: new Date(Date.now() + getPayoutBackoffMs(withdrawal.payoutAttempts || 1)) }, $unset: { payoutLeaseUntil: 1 } }
+        );
+        return null;
+    }
+};
+
+/**
+ * Processa todos os saques vencidos da fila de pagamento (usado pelo scheduler).
+ * Roda sob lock distribuído para que só uma instância percorra a fila por vez.
+ * Sem provedor configurado não faz nada: os saques ficam no fluxo manual.
+ * @returns {Promise<{acquired: boolean, result?: {processed: number, paid: number, failed: number}}>}
+ */
+const processDuePayouts = async () => {
+    if (!isPayoutProviderConfigured()) return { acquired: false };
+
+    return withJobLock(PAYOUT_QUEUE_LOCK, async ({ isLost }) => {
+        const due = await Withdrawal.find({ status: { $in: ['approved', 'processing'] }, nextPayoutAttemptAt: { $lte: new Date() } })
+            .select('_id')
+            .sort({ nextPayoutAttemptAt: 1 })
+            .limit(PAYOUT_BATCH_SIZE);
+
+        const summary = { processed: 0, paid: 0, failed: 0 };
+        for (const { _id } of due) {
+            if (isLost()) break;
+            const result = await processWithdrawalPayout(_id);
+            if (!result) continue;
+            summary.processed += 1;
+            if (result.status === 'paid') summary.paid += 1;
+            if (result.status === 'failed') summary.failed += 1;
+        }
+        if (summary.processed > 0) {
+            logInfo('Fila de pagamentos de saques processada.', summary);
+        }
+        return summary;
+    });
+};
+
+module.exports = {
+    isAutomaticPayoutMethod,
+    processWithdrawalPayout,
+    processDuePayouts,
+};
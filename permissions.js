@@ -0,0 +1,87 @@
+// permissions.js
+// Define as permissões do painel administrativo e os papéis (roles) que as agrupam.
+// Cada rota /api/admin/* exige uma permissão através do middleware authorize('recurso:ação').
+
+// Todas as permissões existentes
+const PERMISSIONS = [
+    'plans:read',
+    'plans:write',
+    'deposits:read',
+    'deposits:approve',
+    'withdrawals:read',
+    'withdrawals:approve',
+    'queue:read', // Stream das filas de depósitos e saques (cada fila ainda exige deposits:read/withdrawals:read)
+    'users:read',
+    'users:block',
+    'users:password',
+    'users:sessions',
+    'ledger:read',
+    'ledger:rebuild',
+    'profits:preview',
+    'config:read',
+    'config:write',
+    'logs:read',
+    'security:read',
+    'security:manage',
+    'admins:manage',
+    'approvals:read',
+    'notifications:broadcast',
+];
+
+// Permissões de cada papel administrativo
+const ROLES = {
+    // Acesso total, inclusive criar admins e atribuir papéis
+    'super-admin': [...PERMISSIONS],
+    // Operações financeiras: depósitos, saques, ledger e processamento de lucros
+    finance: [
+        'plans:read',
+        'deposits:read',
+        'deposits:approve',
+        'withdrawals:read',
+        'withdrawals:approve',
+        'queue:read',
+        'users:read',
+        'ledger:read',
+        'ledger:rebuild',
+        'profits:preview',
+        'config:read',
+        'logs:read',
+        'approvals:read',
+    ],
+    // Atendimento: consulta de usuários, bloqueios e sessões; não mexe em dinheiro nem em configurações
+    support: [
+        'plans:read',
+        'deposits:read',
+        'withdrawals:read',
+        'queue:read',
+        'users:read',
+        'users:block',
+        'users:sessions',
+        'ledger:read',
+        'security:read',
+        'security:manage',
+        'approvals:read',
+        'notifications:broadcast',
+    ],
+    // Auditoria: somente leitura
+    auditor: PERMISSIONS.filter(permission => permission.endsWith(':read') || permission === 'profits:preview'),
+};
+
+const ADMIN_ROLES = Object.keys(ROLES);
+
+/**
+ * Verifica se um usuário administrador possui uma permissão.
+ * @param {object} user - O usuário (precisa de isAdmin e adminRole).
+ * @param {string} permission - Ex: 'withdrawals:approve'.
+ * @returns {boolean}
+ */
+const hasPermission = (user, permission) => Boolean(
+    user && user.isAdmin && ROLES[user.adminRole] && ROLES[user.adminRole].includes(permission)
+);
+
+module.exports = {
+    PERMISSIONS,
+    ROLES,
+    ADMIN_ROLES,
+    hasPermission,
+};
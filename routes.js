@@ -6,7 +6,21 @@ const express = require('express');
 const {
     registerUser,
     loginUser,
+    verifyTwoFactorLogin,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateTwoFactorBackupCodes,
+    refreshAccessToken,
+    logoutUser,
+    logoutAllSessions,
+    getUserSessions,
+    revokeUserSession,
+    changePassword,
+    requestPasswordReset,
+    resetPasswordWithCode,
     getUserProfile,
+    updateMessagingPreferences,
     createInvestmentPlan,
     getInvestmentPlans,
     getInvestmentPlanById,
@@ -19,13 +33,31 @@ const {
     requestDeposit,
     getUserDeposits,
     getPendingDeposits,
+    getDepositReceipt,
+    serveLocalPrivateFile,
     approveDeposit,
     rejectDeposit,
+    getPayoutMethods,
+    addPayoutMethod,
+    removePayoutMethod,
+    setDefaultPayoutMethod,
+    getWithdrawalQuote,
     requestWithdrawal,
     getUserWithdrawals,
     getPendingWithdrawals,
     approveWithdrawal,
     rejectWithdrawal,
+    getNotifications,
+    getUnreadNotificationCount,
+    markNotificationRead,
+    markAllNotificationsRead,
+    broadcastAnnouncement,
+    createQueueStreamTicket,
+    streamAdminQueue,
+    claimDeposit,
+    releaseDepositClaim,
+    claimWithdrawal,
+    releaseWithdrawalClaim,
     getAdminConfig,
     updateAdminConfig,
     getAllUsers,
@@ -34,14 +66,38 @@ const {
     unblockUser,
     createAdmin,
     changeUserPasswordByAdmin,
+    revokeSessionsByAdmin,
+    getAdminRoles,
+    assignAdminRole,
+    getLoginLockouts,
+    clearLoginLockout,
     getBlockedUsers,
     processDailyProfitsAndCommissions,
     getDepositConfig,
     getAdminLogs,
+    getUserLedger,
+    rebuildUserBalanceFromLedger,
+    getInternalTriggers,
+    previewDailyProfitsAndCommissions,
+    getAdminConfigVersions,
+    getAdminConfigVersion,
+    diffAdminConfigVersions,
+    rollbackAdminConfig,
+    getWithdrawalHolidays,
+    createWithdrawalHoliday,
+    deleteWithdrawalHoliday,
+    receivePaymentWebhook,
+    getPaymentNotifications,
+    simulateMockPayment,
+    getApprovalRequests,
+    getApprovalRequestById,
+    approveApprovalRequest,
+    rejectApprovalRequest,
+    cancelApprovalRequest,
 } = require('./controllers'); // Importa todos os controladores
 
-const { protect, authorizeAdmin } = require('./middleware'); // Importa os middlewares de segurança
-const { upload, uploadToCloudinary } = require('./uploadMiddleware'); // Importa middlewares de upload
+const { protect, protectStream, authorize, authorizeInternalCron } = require('./middleware'); // Importa os middlewares de segurança
+const { upload, uploadPlanImage, uploadDepositReceipt } = require('./uploadMiddleware'); // Importa middlewares de upload
 
 const router = express.Router(); // Cria uma instância de router do Express
 
@@ -55,9 +111,29 @@ const appRoutes = (app) => {
     // --- Rotas de Autenticação e Usuário (Públicas) ---
     router.post('/register', registerUser);
     router.post('/login', loginUser);
+    router.post('/login/2fa', verifyTwoFactorLogin); // Segundo passo do login com 2FA ativa
+    router.post('/auth/refresh', refreshAccessToken);
+
+    // Recuperação de senha por código SMS (Públicas)
+    router.post('/password/forgot', requestPasswordReset);
+    router.post('/password/reset', resetPasswordWithCode);
     
     // --- Rotas de Usuário Logado (Privadas - Protect) ---
     router.get('/profile', protect, getUserProfile); 
+    router.put('/profile/messaging', protect, updateMessagingPreferences); // Idioma, canal e opt-out de SMS/WhatsApp
+
+    // Sessões do usuário (logout, logout de todos os dispositivos, listagem)
+    router.post('/auth/logout', protect, logoutUser);
+    router.post('/auth/logout-all', protect, logoutAllSessions);
+    router.get('/sessions', protect, getUserSessions);
+    router.delete('/sessions/:id', protect, revokeUserSession);
+    router.post('/password/change', protect, changePassword);
+
+    // Autenticação de dois fatores (TOTP) — obrigatória para administradores
+    router.post('/2fa/setup', protect, setupTwoFactor);
+    router.post('/2fa/enable', protect, enableTwoFactor);
+    router.post('/2fa/disable', protect, disableTwoFactor);
+    router.post('/2fa/backup-codes', protect, regenerateTwoFactorBackupCodes);
     
     // Configurações de depósito para o Checkout (Público para facilitar o carregamento)
     router.get('/deposit-config', getDepositConfig);
@@ -73,64 +149,131 @@ const appRoutes = (app) => {
     router.get('/investments/history', protect, getUserInvestmentHistory); 
 
     // --- Rotas de Depósito do Usuário (Privadas) ---
-    router.post('/deposits', protect, requestDeposit); 
+    router.post('/deposits', protect, upload.single('receipt'), uploadDepositReceipt, requestDeposit); // Comprovativo opcional
     router.get('/deposits/history', protect, getUserDeposits); 
 
+    // --- Arquivos Privados do Armazenamento Local ---
+    // Sem 'protect': a URL assinada e com validade curta é a autorização (ver storage.js)
+    router.get('/files/*', serveLocalPrivateFile);
+
+    // --- Webhook dos Provedores de Pagamento (C2B) ---
+    // Sem 'protect': a autenticação é a assinatura do provedor, verificada no controlador
+    router.post('/payments/webhook/:provider', receivePaymentWebhook);
+
+    // --- Métodos de Recebimento do Usuário (Privadas) ---
+    router.get('/payout-methods', protect, getPayoutMethods);
+    router.post('/payout-methods', protect, addPayoutMethod);
+    router.delete('/payout-methods/:id', protect, removePayoutMethod);
+    router.put('/payout-methods/:id/default', protect, setDefaultPayoutMethod);
+
     // --- Rotas de Saque do Usuário (Privadas) ---
+    router.get('/withdrawals/quote', protect, getWithdrawalQuote);
     router.post('/withdrawals', protect, requestWithdrawal); 
     router.get('/withdrawals/history', protect, getUserWithdrawals); 
 
-    // --- Rotas do Painel Administrativo (Exigem Autenticação e Autorização de Admin) ---
+    // --- Central de Notificações do Usuário (Privadas) ---
+    router.get('/notifications', protect, getNotifications);
+    router.get('/notifications/unread-count', protect, getUnreadNotificationCount);
+    router.put('/notifications/read-all', protect, markAllNotificationsRead);
+    router.put('/notifications/:id/read', protect, markNotificationRead);
+
+    // --- Rotas do Painel Administrativo (Exigem Autenticação e a Permissão do Papel do Admin) ---
 
     // Gerenciamento de Planos de Investimento (CRUD)
-    router.get('/admin/investmentplans', protect, authorizeAdmin, getInvestmentPlans); 
+    router.get('/admin/investmentplans', protect, authorize('plans:read'), getInvestmentPlans); 
     router.post('/admin/investmentplans', 
         protect, 
-        authorizeAdmin, 
+        authorize('plans:write'), 
         upload.single('image'), 
-        uploadToCloudinary, 
+        uploadPlanImage, 
         createInvestmentPlan
     );
     router.put('/admin/investmentplans/:id', 
         protect, 
-        authorizeAdmin, 
+        authorize('plans:write'), 
         upload.single('image'), 
-        uploadToCloudinary, 
+        uploadPlanImage, 
         updateInvestmentPlan
     );
-    router.delete('/admin/investmentplans/:id', protect, authorizeAdmin, deleteInvestmentPlan);
+    router.delete('/admin/investmentplans/:id', protect, authorize('plans:write'), deleteInvestmentPlan);
 
     // Gerenciamento de Depósitos Administrativo
-    router.get('/admin/deposits/pending', protect, authorizeAdmin, getPendingDeposits);
-    router.put('/admin/deposits/:id/approve', protect, authorizeAdmin, approveDeposit);
-    router.put('/admin/deposits/:id/reject', protect, authorizeAdmin, rejectDeposit);
+    router.get('/admin/deposits/pending', protect, authorize('deposits:read'), getPendingDeposits);
+    router.get('/admin/deposits/:id/receipt', protect, authorize('deposits:read'), getDepositReceipt);
+    router.put('/admin/deposits/:id/approve', protect, authorize('deposits:approve'), approveDeposit);
+    router.put('/admin/deposits/:id/reject', protect, authorize('deposits:approve'), rejectDeposit);
+    router.put('/admin/deposits/:id/claim', protect, authorize('deposits:approve'), claimDeposit); // Reserva para análise
+    router.delete('/admin/deposits/:id/claim', protect, authorize('deposits:approve'), releaseDepositClaim);
+    router.get('/admin/payments/notifications', protect, authorize('deposits:read'), getPaymentNotifications);
+    router.post('/admin/payments/mock/c2b', protect, authorize('deposits:approve'), simulateMockPayment);
 
     // Gerenciamento de Saques Administrativo
-    router.get('/admin/withdrawals/pending', protect, authorizeAdmin, getPendingWithdrawals);
-    router.put('/admin/withdrawals/:id/approve', protect, authorizeAdmin, approveWithdrawal);
-    router.put('/admin/withdrawals/:id/reject', protect, authorizeAdmin, rejectWithdrawal);
+    router.get('/admin/withdrawals/pending', protect, authorize('withdrawals:read'), getPendingWithdrawals);
+    router.put('/admin/withdrawals/:id/approve', protect, authorize('withdrawals:approve'), approveWithdrawal);
+    router.put('/admin/withdrawals/:id/reject', protect, authorize('withdrawals:approve'), rejectWithdrawal);
+    router.put('/admin/withdrawals/:id/claim', protect, authorize('withdrawals:approve'), claimWithdrawal); // Reserva para análise
+    router.delete('/admin/withdrawals/:id/claim', protect, authorize('withdrawals:approve'), releaseWithdrawalClaim);
+
+    // Filas de depósitos e saques em tempo real (Server-Sent Events); o navegador abre o stream com
+    // ?ticket= (uso único, emitido pela rota stream-ticket) em vez do token na URL
+    router.post('/admin/queue/stream-ticket', protect, authorize('queue:read'), createQueueStreamTicket);
+    router.get('/admin/queue/stream', protectStream, authorize('queue:read'), streamAdminQueue);
+
+    // Comunicados para a central de notificações dos usuários
+    router.post('/admin/notifications/broadcast', protect, authorize('notifications:broadcast'), broadcastAnnouncement);
+
+    // Papéis e permissões administrativas (apenas super-admin)
+    router.get('/admin/roles', protect, authorize('admins:manage'), getAdminRoles);
 
     // Gerenciamento de Usuários Administrativo
     // NOTA: Rotas estáticas como '/blocked' devem vir ANTES das rotas dinâmicas como '/:id'
-    router.get('/admin/users/blocked', protect, authorizeAdmin, getBlockedUsers); 
-    router.get('/admin/users', protect, authorizeAdmin, getAllUsers); 
-    router.get('/admin/users/:id', protect, authorizeAdmin, getUserDetails); 
-    router.put('/admin/users/:id/block', protect, authorizeAdmin, blockUser);
-    router.put('/admin/users/:id/unblock', protect, authorizeAdmin, unblockUser);
-    router.post('/admin/users/create-admin', protect, authorizeAdmin, createAdmin); 
-    router.put('/admin/users/:id/change-password', protect, authorizeAdmin, changeUserPasswordByAdmin);
+    router.get('/admin/users/blocked', protect, authorize('users:read'), getBlockedUsers); 
+    router.get('/admin/users', protect, authorize('users:read'), getAllUsers); 
+    router.get('/admin/users/:id', protect, authorize('users:read'), getUserDetails); 
+    router.put('/admin/users/:id/block', protect, authorize('users:block'), blockUser);
+    router.put('/admin/users/:id/unblock', protect, authorize('users:block'), unblockUser);
+    router.post('/admin/users/create-admin', protect, authorize('admins:manage'), createAdmin); 
+    router.put('/admin/users/:id/change-password', protect, authorize('users:password'), changeUserPasswordByAdmin);
+    router.put('/admin/users/:id/role', protect, authorize('admins:manage'), assignAdminRole);
+    router.put('/admin/users/:id/revoke-sessions', protect, authorize('users:sessions'), revokeSessionsByAdmin);
+    router.get('/admin/users/:id/ledger', protect, authorize('ledger:read'), getUserLedger);
+    router.post('/admin/users/:id/ledger/rebuild', protect, authorize('ledger:rebuild'), rebuildUserBalanceFromLedger);
     
     // Logs de Atividade do Admin
-    router.get('/admin/logs/admin-actions', protect, authorizeAdmin, getAdminLogs); 
+    router.get('/admin/logs/admin-actions', protect, authorize('logs:read'), getAdminLogs); 
+    router.get('/admin/logs/internal-triggers', protect, authorize('logs:read'), getInternalTriggers);
+
+    // Bloqueios de login por tentativas falhas (força bruta)
+    router.get('/admin/security/lockouts', protect, authorize('security:read'), getLoginLockouts);
+    router.delete('/admin/security/lockouts/:id', protect, authorize('security:manage'), clearLoginLockout);
+
+    // Pré-visualização (dry-run) do processamento diário de lucros e comissões
+    router.get('/admin/profits/preview', protect, authorize('profits:preview'), previewDailyProfitsAndCommissions);
+
+    // Dupla aprovação (four-eyes): confirmar/recusar exige, além disso, a permissão da ação do pedido
+    router.get('/admin/approvals', protect, authorize('approvals:read'), getApprovalRequests);
+    router.get('/admin/approvals/:id', protect, authorize('approvals:read'), getApprovalRequestById);
+    router.put('/admin/approvals/:id/approve', protect, authorize('approvals:read'), approveApprovalRequest);
+    router.put('/admin/approvals/:id/reject', protect, authorize('approvals:read'), rejectApprovalRequest);
+    router.put('/admin/approvals/:id/cancel', protect, authorize('approvals:read'), cancelApprovalRequest);
 
     // Configurações Globais do Sistema (Comissões, Limites, Horários)
-    router.get('/admin/config', protect, authorizeAdmin, getAdminConfig);
-    router.put('/admin/config', protect, authorizeAdmin, updateAdminConfig);
+    router.get('/admin/config', protect, authorize('config:read'), getAdminConfig);
+    router.put('/admin/config', protect, authorize('config:write'), updateAdminConfig);
+    // Histórico de versões das configurações ('/diff' antes de '/:version')
+    router.get('/admin/config/versions', protect, authorize('config:read'), getAdminConfigVersions);
+    router.get('/admin/config/versions/diff', protect, authorize('config:read'), diffAdminConfigVersions);
+    router.get('/admin/config/versions/:version', protect, authorize('config:read'), getAdminConfigVersion);
+    router.post('/admin/config/versions/:version/rollback', protect, authorize('config:write'), rollbackAdminConfig);
+    router.get('/admin/withdrawal-holidays', protect, authorize('config:read'), getWithdrawalHolidays);
+    router.post('/admin/withdrawal-holidays', protect, authorize('config:write'), createWithdrawalHoliday);
+    router.delete('/admin/withdrawal-holidays/:id', protect, authorize('config:write'), deleteWithdrawalHoliday);
 
     // --- Rotas Internas para Tarefas Agendadas (CRON) ---
-    // Alterado para GET para permitir que serviços externos (cron-job.org) chamem a URL facilmente
-    router.get('/internal/process-daily-profits', processDailyProfitsAndCommissions);
-    router.post('/internal/process-daily-profits', processDailyProfitsAndCommissions);
+    // Alterado para GET para permitir que serviços externos (cron-job.org) chamem a URL facilmente.
+    // Exige segredo compartilhado ou assinatura HMAC (ver authorizeInternalCron).
+    router.get('/internal/process-daily-profits', authorizeInternalCron, processDailyProfitsAndCommissions);
+    router.post('/internal/process-daily-profits', authorizeInternalCron, processDailyProfitsAndCommissions);
 
     // Conecta todas as rotas definidas ao aplicativo Express com o prefixo /api
     app.use('/api', router);
@@ -1,9 +1,12 @@
 // scheduler.js
 // Este arquivo configura e gerencia tarefas agendadas (CRON jobs) para a aplicação.
-// A principal tarefa é o processamento diário de lucros e comissões.
+// A principal tarefa é o processamento diário de lucros e comissões; a fila de pagamento
+// automático dos saques aprovados e a fila de mensagens por SMS/WhatsApp também rodam aqui.
 
 const cron = require('node-cron');
 const { processDailyProfitsAndCommissions } = require('./controllers');
+const { processDuePayouts } = require('./payouts');
+const { processOutbox } = require('./outbox');
 const { logInfo, logError } = require('./utils');
 const { connectDB } = require('./config'); // Para garantir a conexão antes de agendar
 
@@ -24,6 +27,8 @@ const startScheduler = () => {
             await connectDB();
             // Chama a função do controller, passando null para req e res, pois é um job interno.
             // A função do controller deve ser robusta o suficiente para lidar com isso.
+            // Ela adquire o lock distribuído antes de processar: se outra réplica ou a rota
+            // interna já estiver rodando o job, esta execução apenas registra no log e termina.
             await processDailyProfitsAndCommissions(null, null);
             logInfo('Tarefa agendada concluída: processamento diário de lucros e comissões.');
         } catch (error) {
@@ -36,6 +41,35 @@ const startScheduler = () => {
         timezone: process.env.TZ || 'Africa/Maputo'
     });
 
+    // Fila de pagamentos dos saques: envia os aprovados, reenvia os que falharam temporariamente
+    // (com backoff) e consulta os que ainda aguardam confirmação do provedor.
+    // Configurável via PAYOUT_CRON_SCHEDULE (padrão: a cada minuto).
+    cron.schedule(process.env.PAYOUT_CRON_SCHEDULE || '* * * * *', async () => {
+        try {
+            await connectDB();
+            await processDuePayouts();
+        } catch (error) {
+            logError(`Erro na tarefa agendada de pagamento de saques: ${error.message}`, { stack: error.stack });
+        }
+    }, {
+        scheduled: true,
+        timezone: process.env.TZ || 'Africa/Maputo'
+    });
+
+    // Fila de mensagens por SMS/WhatsApp: reenvia as que falharam (com backoff) e recupera envios interrompidos.
+    // Configurável via OUTBOX_CRON_SCHEDULE (padrão: a cada minuto).
+    cron.schedule(process.env.OUTBOX_CRON_SCHEDULE || '* * * * *', async () => {
+        try {
+            await connectDB();
+            await processOutbox();
+        } catch (error) {
+            logError(`Erro na tarefa agendada de envio de mensagens: ${error.message}`, { stack: error.stack });
+        }
+    }, {
+        scheduled: true,
+        timezone: process.env.TZ || 'Africa/Maputo'
+    });
+
     logInfo(`Scheduler iniciado. Próxima execução de lucros agendada para: ${process.env.CRON_SCHEDULE || 'diariamente à 00:00'} (Fuso Horário: ${process.env.TZ || 'Africa/Maputo'}).`);
 };
 
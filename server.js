@@ -12,10 +12,27 @@ const { appRoutes } = require('./routes'); // Importa as rotas da aplicação
 const { logError, logInfo } = require('./utils'); // Para logging
 const { startScheduler } = require('./scheduler'); // Importa o scheduler
 const { createInitialAdmin } = require('./controllers'); // Importa a função para criar o admin inicial
+const { ensureOpeningBalances } = require('./ledger'); // Migra saldos antigos para o ledger
+const { getLocalPublicDir } = require('./storage'); // Pasta dos uploads públicos no disco local
+const { getPayoutProvider, isPayoutProviderConfigured } = require('./payoutProvider'); // Pagamento automático dos saques
+const { getSmsProvider } = require('./smsProvider'); // Envio de SMS (códigos de redefinição de senha)
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Atrás de um proxy reverso (ex: Nginx, balanceador da hospedagem), req.ip só traz o IP real do
+// cliente se o Express confiar no X-Forwarded-For. TRUST_PROXY segue o formato do Express:
+// número de proxies à frente da aplicação (ex: 1), 'true' ou uma lista de IPs/sub-redes.
+// Sem ele, todos os clientes apareceriam com o IP do proxy (e dividiriam o throttle de login por IP).
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    if (/^\d+$/.test(trustProxy)) {
+        app.set('trust proxy', Number(trustProxy));
+    } else {
+        app.set('trust proxy', trustProxy === 'true' ? true : trustProxy);
+    }
+}
+
 // --- Configuração de Middlewares ---
 // Configuração CORS: Permite que o frontend em um domínio diferente acesse o backend.
 // A origem permitida pode ser configurada via variáveis de ambiente.
@@ -27,14 +44,27 @@ const corsOptions = {
 };
 app.use(cors(corsOptions));
 
-// Middleware para parsing de JSON no corpo das requisições
-app.use(express.json());
+// Middleware para parsing de JSON no corpo das requisições.
+// O corpo original é guardado em req.rawBody para verificar a assinatura dos webhooks de pagamento.
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    },
+}));
+
+// Arquivos públicos do armazenamento local (imagens dos planos), quando STORAGE_DRIVER=local.
+// Os comprovativos privados não ficam nesta pasta: são servidos por URL assinada.
+app.use('/uploads', express.static(getLocalPublicDir(), { index: false, dotfiles: 'deny' }));
 
 // --- Conexão ao Banco de Dados e Inicialização de Admin/Scheduler ---
 const initializeApp = async () => {
     try {
+        // Valida os provedores externos antes de tudo (ex: provedor de teste em produção encerra o processo)
+        if (isPayoutProviderConfigured()) getPayoutProvider();
+        getSmsProvider();
         await connectDB(); // Tenta conectar ao DB
         await createInitialAdmin(); // Cria o admin inicial se não existir
+        await ensureOpeningBalances(); // Registra no ledger os saldos anteriores à sua criação
         startScheduler(); // Inicia as tarefas agendadas
     } catch (error) {
         logError(`Falha na inicialização da aplicação: ${error.message}`, { stack: error.stack });
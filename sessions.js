@@ -0,0 +1,179 @@
+// sessions.js
+// Este arquivo gerencia as sessões de login: criação, rotação do refresh token, revogação e os
+// tickets de uso único dos streams.
+// O access token (JWT) é de curta duração e carrega o ID da sessão (sid); o middleware
+// 'protect' rejeita tokens cuja sessão tenha sido revogada ou expirada.
+
+const crypto = require('crypto');
+const { Session, StreamTicket } = require('./models');
+const { logInfo, logError } = require('./utils');
+
+// Validade do refresh token (e da sessão) em dias
+const REFRESH_TOKEN_EXPIRE_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+// Prazo para usar um ticket de stream depois de emitido
+const STREAM_TICKET_EXPIRE_SECONDS = 30;
+
+/**
+ * Calcula o hash SHA-256 de um refresh token (ou de um ticket de stream).
+ * @param {string} token - O segredo do refresh token.
+ * @returns {string} Hash em hex.
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Gera um novo segredo de refresh token e o token completo no formato '<sessionId>.<segredo>'.
+ * @param {object} sessionId - O ID da sessão.
+ * @returns {{token: string, hash: string}}
+ */
+const generateRefreshToken = (sessionId) => {
+    const secret = crypto.randomBytes(48).toString('hex');
+    return { token: `${sessionId.toString()}.${secret}`, hash: hashToken(secret) };
+};
+
+/**
+ * Calcula a data de expiração de uma sessão a partir de agora.
+ * @returns {Date}
+ */
+const getSessionExpiry = () => new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Cria uma nova sessão para o usuário.
+ * @param {object} user - O usuário Mongoose.
+ * @param {object} req - A requisição Express (para IP e user-agent).
+ * @param {object} [options]
+ * @param {boolean} [options.twoFactorVerified=false] - Se o login passou pela verificação 2FA.
+ * @returns {Promise<{session: object, refreshToken: string}>}
+ */
+const createSession = async (user, req, { twoFactorVerified = false } = {}) => {
+    const session = new Session({
+        userId: user._id,
+        twoFactorVerified,
+        ip: req.ip || (req.connection && req.connection.remoteAddress),
+        userAgent: req.get ? req.get('user-agent') : undefined,
+        lastUsedAt: new Date(),
+        expiresAt: getSessionExpiry(),
+    });
+    const { token, hash } = generateRefreshToken(session._id);
+    session.refreshTokenHash = hash;
+    await session.save();
+    return { session, refreshToken: token };
+};
+
+/**
+ * Troca um refresh token por um novo (rotação). O token antigo deixa de valer.
+ * Se um token já rotacionado for reapresentado, a sessão é revogada, pois indica que o
+ * token foi copiado por terceiros.
+ * @param {string} refreshToken - O token no formato '<sessionId>.<segredo>'.
+ * @param {object} req - A requisição Express.
+ * @returns {Promise<{session: object, refreshToken: string}|null>} null se o token for inválido.
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!sessionId || !secret || !/^[a-f\d]{24}$/i.test(sessionId)) return null;
+
+    const presentedHash = hashToken(secret);
+    const { token, hash } = generateRefreshToken(sessionId);
+
+    // A troca só acontece se o hash apresentado for o atual: duas rotações simultâneas não passam
+    const session = await Session.findOneAndUpdate(
+        { _id: sessionId, refreshTokenHash: presentedHash, revokedAt: { $exists: false }, expiresAt: { $gt: new Date() } },
+        { $set: {
+            refreshTokenHash: hash,
+            previousRefreshTokenHash: presentedHash,
+            lastUsedAt: new Date(),
+            ip: req.ip || (req.connection && req.connection.remoteAddress),
+        } },
+        { new: true }
+    );
+
+    if (!session) {
+        const reused = await Session.findOne({ _id: sessionId, previousRefreshTokenHash: presentedHash, revokedAt: { $exists: false } });
+        if (reused) {
+            await revokeSession(reused._id, 'refresh_token_reuse');
+            logError('Reutilização de refresh token detectada. Sessão revogada.', { sessionId, userId: reused.userId });
+        }
+        return null;
+    }
+
+    return { session, refreshToken: token };
+};
+
+/**
+ * Busca uma sessão ativa (não revogada e não expirada) de um usuário.
+ * @param {string} sessionId - O ID da sessão.
+ * @param {object} userId - O ID do usuário dono da sessão.
+ * @returns {Promise<object|null>}
+ */
+const findActiveSession = (sessionId, userId) => Session.findOne({
+    _id: sessionId,
+    userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+});
+
+/**
+ * Revoga uma sessão.
+ * @param {object} sessionId - O ID da sessão.
+ * @param {string} reason - Motivo (ex: 'logout', 'admin_revoked').
+ * @returns {Promise<boolean>} true se a sessão estava ativa e foi revogada.
+ */
+const revokeSession = async (sessionId, reason) => {
+    const result = await Session.updateOne(
+        { _id: sessionId, revokedAt: { $exists: false } },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Revoga todas as sessões ativas de um usuário.
+ * @param {object} userId - O ID do usuário.
+ * @param {string} reason - Motivo (ex: 'logout_all', 'user_blocked', 'password_changed').
+ * @param {object} [exceptSessionId] - Sessão a preservar (ex: a sessão atual).
+ * @returns {Promise<number>} Quantidade de sessões revogadas.
+ */
+const revokeUserSessions = async (userId, reason, exceptSessionId) => {
+    const filter = { userId, revokedAt: { $exists: false } };
+    if (exceptSessionId) {
+        filter._id = { $ne: exceptSessionId };
+    }
+    const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    if (result.modifiedCount > 0) {
+        logInfo(`${result.modifiedCount} sessão(ões) revogada(s) para o usuário ${userId}.`, { reason });
+    }
+    return result.modifiedCount;
+};
+
+/**
+ * Cria um ticket de uso único para abrir um stream (Server-Sent Events) sem o JWT na URL.
+ * @param {object} authSession - A sessão do token que pediu o ticket.
+ * @param {Date} accessExpiresAt - Expiração do token de acesso; o stream não passa dela.
+ * @returns {Promise<{ticket: string, expiresAt: Date}>}
+ */
+const createStreamTicket = async (authSession, accessExpiresAt) => {
+    const ticket = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + STREAM_TICKET_EXPIRE_SECONDS * 1000);
+    await StreamTicket.create({ ticketHash: hashToken(ticket), userId: authSession.userId, sessionId: authSession._id, accessExpiresAt, expiresAt });
+    return { ticket, expiresAt };
+};
+
+/**
+ * Consome um ticket de stream: só o primeiro uso, dentro do prazo, é aceito.
+ * @param {string} ticket
+ * @returns {Promise<object|null>} O ticket ({ userId, sessionId, accessExpiresAt }), ou null se inválido.
+ */
+const consumeStreamTicket = (ticket) => StreamTicket.findOneAndDelete({
+    ticketHash: hashToken(ticket),
+    expiresAt: { $gt: new Date() },
+});
+
+module.exports = {
+    createSession,
+    rotateRefreshToken,
+    findActiveSession,
+    revokeSession,
+    revokeUserSessions,
+    createStreamTicket,
+    consumeStreamTicket,
+};
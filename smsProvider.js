@@ -0,0 +1,114 @@
+// smsProvider.js
+// Interface plugável para envio de SMS. Cada provedor expõe { name, sendSms(phoneNumber, message) }.
+// O provedor ativo é escolhido pela variável de ambiente SMS_PROVIDER ('console' por padrão fora de produção).
+// Os adaptadores 'console' e 'file' servem para desenvolvimento local e testes, sem enviar nada, e são
+// recusados em produção: lá SMS_PROVIDER precisa apontar para um provedor real registrado.
+
+const fs = require('fs');
+const path = require('path');
+const { logInfo, logError } = require('./utils');
+
+// Arquivo onde o adaptador 'file' grava as mensagens "enviadas"
+const SMS_OUTBOX_FILE = process.env.SMS_FILE_PATH || path.join(__dirname, 'logs', 'sms_outbox.log');
+
+// Adaptadores que não enviam a mensagem (nunca usados com NODE_ENV=production)
+const SIMULATED_PROVIDERS = ['console', 'file'];
+
+/**
+ * Mascara sequências de 4 ou mais dígitos (códigos de segurança) antes de gravar uma mensagem
+ * em log ou arquivo. Os adaptadores de teste nunca guardam o código em claro.
+ * @param {string} message
+ * @returns {string}
+ */
+const redactDigits = (message) => String(message).replace(/\d{4,}/g, digits => '*'.repeat(digits.length));
+
+/**
+ * Converte o número local (9 dígitos) para o formato internacional de Moçambique.
+ * @param {string} phoneNumber - Ex: '841234567'.
+ * @returns {string} Ex: '+258841234567'.
+ */
+const toInternationalNumber = (phoneNumber) => (phoneNumber.startsWith('+') ? phoneNumber : `+258${phoneNumber}`);
+
+// Provedores registrados: nome -> função que cria o provedor
+const providerFactories = {
+    // Apenas escreve a mensagem no log/console
+    console: () => ({
+        name: 'console',
+        sendSms: async (phoneNumber, message) => {
+            logInfo(`SMS (console) para ${toInternationalNumber(phoneNumber)}: ${redactDigits(message)}`);
+            return { provider: 'console', messageId: `console-${Date.now()}` };
+        },
+    }),
+    // Acrescenta cada mensagem como uma linha JSON em SMS_FILE_PATH
+    file: () => ({
+        name: 'file',
+        sendSms: async (phoneNumber, message) => {
+            const messageId = `file-${Date.now()}`;
+            const line = JSON.stringify({ timestamp: new Date().toISOString(), messageId, to: toInternationalNumber(phoneNumber), message: redactDigits(message) }) + '\n';
+            await fs.promises.appendFile(SMS_OUTBOX_FILE, line);
+            return { provider: 'file', messageId };
+        },
+    }),
+};
+
+let activeProvider = null;
+
+/**
+ * Registra um novo provedor de SMS (ex: gateway de uma operadora).
+ * @param {string} name - Nome usado em SMS_PROVIDER.
+ * @param {function} factory - Função que retorna { name, sendSms(phoneNumber, message) }.
+ */
+const registerSmsProvider = (name, factory) => {
+    providerFactories[name] = factory;
+    if (activeProvider && activeProvider.name === name) {
+        activeProvider = null; // Recria na próxima chamada
+    }
+};
+
+/**
+ * Retorna o provedor de SMS configurado em SMS_PROVIDER.
+ * Em produção, lança erro se nenhum provedor real estiver configurado (chamado na inicialização do servidor).
+ * @returns {object} O provedor ativo.
+ */
+const getSmsProvider = () => {
+    if (!activeProvider) {
+        const isProduction = process.env.NODE_ENV === 'production';
+        const name = process.env.SMS_PROVIDER || (isProduction ? null : 'console');
+        if (!name) {
+            throw new Error('Nenhum provedor de SMS configurado (SMS_PROVIDER).');
+        }
+        if (isProduction && SIMULATED_PROVIDERS.includes(name)) {
+            throw new Error(`O provedor de SMS '${name}' não envia mensagens e não pode ser usado em produção.`);
+        }
+        const factory = providerFactories[name];
+        if (!factory) {
+            throw new Error(`Provedor de SMS desconhecido: ${name}`);
+        }
+        activeProvider = factory();
+    }
+    return activeProvider;
+};
+
+/**
+ * Envia um SMS pelo provedor ativo.
+ * @param {string} phoneNumber - Número de destino (9 dígitos ou formato internacional).
+ * @param {string} message - Texto da mensagem.
+ * @returns {Promise<object>} Resultado do provedor ({ provider, messageId }).
+ */
+const sendSms = async (phoneNumber, message) => {
+    const provider = getSmsProvider();
+    try {
+        return await provider.sendSms(phoneNumber, message);
+    } catch (error) {
+        logError(`Falha ao enviar SMS pelo provedor ${provider.name}: ${error.message}`, { phoneNumber });
+        throw error;
+    }
+};
+
+module.exports = {
+    sendSms,
+    getSmsProvider,
+    registerSmsProvider,
+    toInternationalNumber,
+    redactDigits,
+};
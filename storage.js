@@ -0,0 +1,348 @@
+// storage.js
+// Interface plugável de armazenamento de arquivos enviados (imagens dos planos, comprovativos de depósito).
+// Cada driver expõe:
+//   { name,
+//     save({ buffer, key, contentType, visibility }) -> { url },
+//     remove({ key, visibility }),
+//     getSignedUrl({ key, visibility }, expiresAt) -> url }
+// visibility é 'public' (URL aberta, ex: imagem de plano) ou 'private' (só por URL assinada de curta duração).
+// O driver ativo é escolhido por STORAGE_DRIVER: 'local', 's3' (qualquer serviço compatível, ex: MinIO)
+// ou 'cloudinary'. Sem a variável, usa Cloudinary se estiver configurado e o disco local caso contrário.
+// Cada arquivo guarda o nome do driver que o gravou, então trocar de driver não quebra arquivos antigos.
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { logInfo, logError } = require('./utils');
+
+// Validade padrão das URLs assinadas dos arquivos privados
+const SIGNED_URL_TTL_SECONDS = Number(process.env.SIGNED_URL_TTL_SECONDS) || 5 * 60;
+
+// Rota que serve os arquivos privados do driver local (ver serveLocalPrivateFile em controllers.js)
+const LOCAL_PRIVATE_ROUTE = '/api/files';
+
+// Chaves geradas por storeFile: '<pasta>/<uuid>.<extensão>'
+const FILE_KEY_PATTERN = /^[a-z0-9_-]+\/[a-f0-9-]{36}\.[a-z0-9]+$/;
+
+/**
+ * Segredo usado para assinar as URLs dos arquivos privados do driver local.
+ * @returns {string}
+ */
+const getLocalSigningSecret = () => {
+    const secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+    if (!secret) throw new Error('STORAGE_SIGNING_SECRET não configurado.');
+    return secret;
+};
+
+/**
+ * Assina a chave de um arquivo local privado com a data de expiração.
+ * @param {string} key
+ * @param {number} expires - Expiração em segundos (Unix).
+ * @returns {string} Assinatura HMAC-SHA256 em hex.
+ */
+const signLocalFileKey = (key, expires) => crypto.createHmac('sha256', getLocalSigningSecret()).update(`${key}:${expires}`).digest('hex');
+
+// --- Assinatura AWS Signature V4 (driver S3) ---
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmacSha256 = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+const toAmzDate = (date) => date.toISOString().replace(/[:-]|\.\d{3}/g, ''); // Ex: 20250101T120000Z
+
+/**
+ * Codifica um valor como a AWS exige nas requisições assinadas (RFC 3986).
+ * @param {string} value
+ * @returns {string}
+ */
+const awsEncode = (value) => encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Calcula a assinatura SigV4 de uma requisição ao S3.
+ * @param {object} params - { method, url (URL), headers (nomes em minúsculas), query, payloadHash, config, now }.
+ * @returns {{signature: string, credential: string, signedHeaders: string}}
+ */
+const signS3Request = ({ method, url, headers, query, payloadHash, config, now = new Date() }) => {
+    const amzDate = toAmzDate(now);
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${config.region}/s3/aws4_request`;
+    const credential = `${config.accessKeyId}/${scope}`;
+
+    // Os nomes dos cabeçalhos já vêm em minúsculas
+    const signedHeaderNames = Object.keys(headers).sort();
+    const canonicalHeaders = signedHeaderNames.map(name => `${name}:${String(headers[name]).trim()}\n`).join('');
+    const canonicalQuery = Object.keys(query).sort().map(name => `${awsEncode(name)}=${awsEncode(query[name])}`).join('&');
+    const canonicalRequest = [method, url.pathname, canonicalQuery, canonicalHeaders, signedHeaderNames.join(';'), payloadHash].join('\n');
+
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(hmacSha256, hmacSha256(hmacSha256(`AWS4${config.secretAccessKey}`, dateStamp), config.region));
+    return { signature: crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex'), credential, signedHeaders: signedHeaderNames.join(';') };
+};
+
+/**
+ * Lê a configuração do driver S3 das variáveis de ambiente.
+ * @returns {object}
+ */
+const getS3Config = () => {
+    const config = {
+        endpoint: (process.env.S3_ENDPOINT || `https://s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`).replace(/\/+$/, ''),
+        region: process.env.S3_REGION || 'us-east-1',
+        bucket: process.env.S3_BUCKET,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        // MinIO e a maioria dos serviços compatíveis usam o bucket no caminho, não no subdomínio
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+        publicUrl: process.env.S3_PUBLIC_URL ? process.env.S3_PUBLIC_URL.replace(/\/+$/, '') : null,
+    };
+    if (!config.bucket || !config.accessKeyId || !config.secretAccessKey) {
+        throw new Error('Driver S3 não configurado: defina S3_BUCKET, S3_ACCESS_KEY_ID e S3_SECRET_ACCESS_KEY.');
+    }
+    return config;
+};
+
+/**
+ * Monta a URL de um objeto no bucket.
+ * @param {object} config
+ * @param {string} objectKey
+ * @returns {URL}
+ */
+const getS3ObjectUrl = (config, objectKey) => {
+    const encodedKey = objectKey.split('/').map(awsEncode).join('/');
+    if (config.forcePathStyle) return new URL(`${config.endpoint}/${config.bucket}/${encodedKey}`);
+    const endpoint = new URL(config.endpoint);
+    return new URL(`${endpoint.protocol}//${config.bucket}.${endpoint.host}/${encodedKey}`);
+};
+
+/**
+ * Envia uma requisição assinada ao S3.
+ * @param {object} config
+ * @param {string} method
+ * @param {string} objectKey
+ * @param {object} [options] - { body, contentType }.
+ * @returns {Promise<Response>}
+ */
+const sendS3Request = async (config, method, objectKey, { body, contentType } = {}) => {
+    const url = getS3ObjectUrl(config, objectKey);
+    const now = new Date();
+    const payloadHash = sha256Hex(body || '');
+    const headers = { host: url.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': toAmzDate(now) };
+    if (contentType) headers['content-type'] = contentType;
+
+    const { signature, credential, signedHeaders } = signS3Request({ method, url, headers, query: {}, payloadHash, config, now });
+
+    const { host, ...requestHeaders } = headers;
+    requestHeaders.authorization = `AWS4-HMAC-SHA256 Credential=${credential}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+    const response = await fetch(url, { method, headers: requestHeaders, body });
+    if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+        throw new Error(`S3 respondeu ${response.status} em ${method} ${objectKey}.`);
+    }
+    return response;
+};
+
+// Drivers registrados: nome -> função que cria o driver
+const driverFactories = {
+    // Disco local: arquivos públicos servidos em /uploads, privados por URL assinada em /api/files
+    local: () => {
+        const root = path.resolve(process.env.LOCAL_UPLOAD_DIR || path.join(__dirname, 'uploads'));
+        const baseUrl = (process.env.LOCAL_UPLOAD_BASE_URL || '').replace(/\/+$/, '');
+        const filePath = ({ key, visibility }) => path.join(root, visibility, key);
+        return {
+            name: 'local',
+            root,
+            save: async ({ buffer, key, visibility }) => {
+                await fs.mkdir(path.dirname(filePath({ key, visibility })), { recursive: true });
+                await fs.writeFile(filePath({ key, visibility }), buffer);
+                return { url: visibility === 'public' ? `${baseUrl}/uploads/${key}` : null };
+            },
+            remove: async ({ key, visibility }) => {
+                await fs.rm(filePath({ key, visibility }), { force: true });
+            },
+            getSignedUrl: ({ key }, expiresAt) => {
+                const expires = Math.floor(expiresAt.getTime() / 1000);
+                return `${baseUrl}${LOCAL_PRIVATE_ROUTE}/${key}?expires=${expires}&signature=${signLocalFileKey(key, expires)}`;
+            },
+        };
+    },
+
+    // S3 ou compatível (MinIO, R2...). Os arquivos públicos ficam sob o prefixo 'public/': a política
+    // do bucket deve liberar leitura anônima só nesse prefixo.
+    s3: () => {
+        const config = getS3Config();
+        const objectKey = ({ key, visibility }) => `${visibility}/${key}`;
+        return {
+            name: 's3',
+            save: async ({ buffer, key, contentType, visibility }) => {
+                await sendS3Request(config, 'PUT', objectKey({ key, visibility }), { body: buffer, contentType });
+                if (visibility !== 'public') return { url: null };
+                return { url: config.publicUrl ? `${config.publicUrl}/${objectKey({ key, visibility })}` : getS3ObjectUrl(config, objectKey({ key, visibility })).toString() };
+            },
+            remove: async ({ key, visibility }) => {
+                await sendS3Request(config, 'DELETE', objectKey({ key, visibility }));
+            },
+            // URL pré-assinada (SigV4 na query string)
+            getSignedUrl: ({ key, visibility }, expiresAt) => {
+                const url = getS3ObjectUrl(config, objectKey({ key, visibility }));
+                const now = new Date();
+                const amzDate = toAmzDate(now);
+                const query = {
+                    'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+                    'X-Amz-Credential': `${config.accessKeyId}/${amzDate.slice(0, 8)}/${config.region}/s3/aws4_request`,
+                    'X-Amz-Date': amzDate,
+                    'X-Amz-Expires': String(Math.max(Math.round((expiresAt.getTime() - now.getTime()) / 1000), 1)),
+                    'X-Amz-SignedHeaders': 'host',
+                };
+                const { signature } = signS3Request({ method: 'GET', url, headers: { host: url.host }, query, payloadHash: 'UNSIGNED-PAYLOAD', config, now });
+                const search = Object.keys(query).sort().map(name => `${awsEncode(name)}=${awsEncode(query[name])}`).join('&');
+                return `${url.origin}${url.pathname}?${search}&X-Amz-Signature=${signature}`;
+            },
+        };
+    },
+
+    // Cloudinary: arquivos privados usam o tipo 'private' e são baixados pela API de download assinada
+    cloudinary: () => {
+        const cloudinary = require('cloudinary').v2;
+        if (!process.env.CLOUDINARY_CLOUD_NAME) {
+            throw new Error('Cloudinary não configurado. Verifique as variáveis de ambiente.');
+        }
+        cloudinary.config({
+            cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+            api_key: process.env.CLOUDINARY_API_KEY,
+            api_secret: process.env.CLOUDINARY_API_SECRET,
+            secure: true,
+        });
+        logInfo('Cloudinary configurado com sucesso.');
+
+        // O public_id do Cloudinary não leva a extensão
+        const splitKey = (key) => ({ publicId: key.replace(/\.[^./]+$/, ''), format: path.extname(key).slice(1) });
+        const cloudinaryType = (visibility) => (visibility === 'private' ? 'private' : 'upload');
+        return {
+            name: 'cloudinary',
+            save: async ({ buffer, key, contentType, visibility }) => {
+                const result = await cloudinary.uploader.upload(`data:${contentType};base64,${buffer.toString('base64')}`, {
+                    public_id: splitKey(key).publicId,
+                    resource_type: 'image',
+                    type: cloudinaryType(visibility),
+                });
+                return { url: visibility === 'public' ? result.secure_url : null };
+            },
+            remove: async ({ key, visibility }) => {
+                await cloudinary.uploader.destroy(splitKey(key).publicId, { resource_type: 'image', type: cloudinaryType(visibility) });
+            },
+            getSignedUrl: ({ key, visibility }, expiresAt) => {
+                const { publicId, format } = splitKey(key);
+                return cloudinary.utils.private_download_url(publicId, format, {
+                    type: cloudinaryType(visibility),
+                    resource_type: 'image',
+                    expires_at: Math.floor(expiresAt.getTime() / 1000),
+                });
+            },
+        };
+    },
+};
+
+const driverCache = {};
+
+/**
+ * Registra um novo driver de armazenamento.
+ * @param {string} name - Nome usado em STORAGE_DRIVER.
+ * @param {function} factory - Função que retorna o driver (ver interface no topo do arquivo).
+ */
+const registerStorageDriver = (name, factory) => {
+    driverFactories[name] = factory;
+    delete driverCache[name];
+};
+
+/**
+ * Nome do driver usado para novos uploads.
+ * @returns {string}
+ */
+const getActiveStorageDriverName = () => process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+
+/**
+ * Retorna um driver de armazenamento.
+ * @param {string} [name] - Padrão: o driver ativo.
+ * @returns {object}
+ */
+const getStorageDriver = (name = getActiveStorageDriverName()) => {
+    if (!driverCache[name]) {
+        const factory = driverFactories[name];
+        if (!factory) {
+            throw new Error(`Driver de armazenamento desconhecido: ${name}`);
+        }
+        driverCache[name] = factory();
+    }
+    return driverCache[name];
+};
+
+/**
+ * Grava um arquivo com o driver ativo.
+ * @param {object} params
+ * @param {Buffer} params.buffer - O conteúdo.
+ * @param {string} params.folder - Pasta lógica (ex: 'plans', 'deposits').
+ * @param {string} params.extension - Extensão sem ponto (ex: 'png').
+ * @param {string} params.contentType - Ex: 'image/png'.
+ * @param {string} [params.visibility='public'] - 'public' ou 'private'.
+ * @returns {Promise<object>} Descritor do arquivo { driver, key, visibility, url, contentType, bytes },
+ * para ser gravado no documento dono do arquivo.
+ */
+const storeFile = async ({ buffer, folder, extension, contentType, visibility = 'public' }) => {
+    const driver = getStorageDriver();
+    const key = `${folder}/${crypto.randomUUID()}.${extension}`;
+    const { url } = await driver.save({ buffer, key, contentType, visibility });
+    return { driver: driver.name, key, visibility, url, contentType, bytes: buffer.length };
+};
+
+/**
+ * Apaga um arquivo gravado por storeFile. Falhas são apenas registradas no log.
+ * @param {object} [file] - O descritor do arquivo (ignorado se vazio).
+ */
+const deleteStoredFile = async (file) => {
+    if (!file || !file.driver || !file.key) return;
+    try {
+        await getStorageDriver(file.driver).remove({ key: file.key, visibility: file.visibility });
+        logInfo(`Arquivo removido do armazenamento (${file.driver}): ${file.key}`);
+    } catch (error) {
+        logError(`Erro ao remover arquivo do armazenamento (${file.driver}): ${error.message}`, { key: file.key });
+    }
+};
+
+/**
+ * Gera uma URL de curta duração para um arquivo privado (arquivos públicos devolvem a URL fixa).
+ * @param {object} [file] - O descritor do arquivo.
+ * @param {number} [ttlSeconds] - Validade (padrão: SIGNED_URL_TTL_SECONDS).
+ * @returns {{url: string, expiresAt: Date|null}|null} null se não houver arquivo.
+ */
+const getSignedFileUrl = (file, ttlSeconds = SIGNED_URL_TTL_SECONDS) => {
+    if (!file || !file.driver || !file.key) return null;
+    if (file.visibility === 'public') return { url: file.url, expiresAt: null };
+    const expiresAt = new Date(Date.now() + ttlSeconds * 1000);
+    return { url: getStorageDriver(file.driver).getSignedUrl({ key: file.key, visibility: file.visibility }, expiresAt), expiresAt };
+};
+
+/**
+ * Confere a URL assinada de um arquivo privado do driver local.
+ * @param {string} key - A chave do arquivo (caminho depois de /api/files/).
+ * @param {string} expires - Query 'expires'.
+ * @param {string} signature - Query 'signature'.
+ * @returns {string|null} O caminho do arquivo no disco, ou null se a assinatura for inválida ou expirada.
+ */
+const resolveLocalPrivateFile = (key, expires, signature) => {
+    if (!FILE_KEY_PATTERN.test(String(key)) || !/^\d+$/.test(String(expires)) || !/^[a-f\d]{64}$/.test(String(signature))) return null;
+    if (Number(expires) * 1000 < Date.now()) return null;
+    const expected = Buffer.from(signLocalFileKey(key, Number(expires)), 'hex');
+    if (!crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'))) return null;
+    return path.join(getStorageDriver('local').root, 'private', key);
+};
+
+/**
+ * Pasta com os arquivos públicos do driver local (servida em /uploads pelo server.js).
+ * @returns {string}
+ */
+const getLocalPublicDir = () => path.join(path.resolve(process.env.LOCAL_UPLOAD_DIR || path.join(__dirname, 'uploads')), 'public');
+
+module.exports = {
+    registerStorageDriver,
+    storeFile,
+    deleteStoredFile,
+    getSignedFileUrl,
+    resolveLocalPrivateFile,
+    getLocalPublicDir,
+};
@@ -0,0 +1,166 @@
+// test/balance-concurrency.test.js
+// Dispara aprovações, rejeições, saques, ativações e débitos simultâneos e confere que o saldo é
+// movimentado uma única vez.
+// Usa um MongoDB em memória como replica set (as aprovações rodam em transações).
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const { User, Deposit, Withdrawal, LedgerEntry, InvestmentPlan, Investment, AdminConfig, PayoutMethod } = require('../models');
+const { postLedgerEntry } = require('../ledger');
+const { approveDeposit, rejectWithdrawal, requestWithdrawal, activateInvestment } = require('../controllers');
+
+const PARALLEL_REQUESTS = 8;
+
+let replSet;
+let admin;
+let user;
+
+/**
+ * Requisição de admin mínima para os controllers.
+ * @param {object} params - req.params.
+ * @returns {object}
+ */
+const buildAdminRequest = (params) => ({ params, body: {}, query: {}, user: admin, ip: '127.0.0.1', get: () => undefined });
+
+/**
+ * Requisição mínima do usuário de teste para os controllers.
+ * @param {object} body - req.body.
+ * @returns {object}
+ */
+const buildUserRequest = (body) => ({ params: {}, body, query: {}, user, ip: '127.0.0.1', get: () => undefined });
+
+/**
+ * Resposta Express mínima que guarda o status e o corpo.
+ * @returns {object}
+ */
+const buildResponse = () => ({
+    statusCode: 200,
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    },
+});
+
+/**
+ * Chama um controller várias vezes ao mesmo tempo, com requisições montadas por buildRequest.
+ * @param {function} controller
+ * @param {function(): object} buildRequest
+ * @returns {Promise<number[]>} Os status HTTP das respostas.
+ */
+const callWithRequests = async (controller, buildRequest) => {
+    const responses = Array.from({ length: PARALLEL_REQUESTS }, buildResponse);
+    await Promise.all(responses.map(res => controller(buildRequest(), res)));
+    return responses.map(res => res.statusCode);
+};
+
+/**
+ * Chama um controller várias vezes ao mesmo tempo.
+ * @param {function} controller
+ * @param {object} params - req.params.
+ * @returns {Promise<number[]>} Os status HTTP das respostas.
+ */
+const callInParallel = async (controller, params) => callWithRequests(controller, () => buildAdminRequest(params));
+
+before(async () => {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    await mongoose.connect(replSet.getUri());
+    await mongoose.connection.syncIndexes(); // Cria as coleções fora das transações
+});
+
+after(async () => {
+    await mongoose.disconnect();
+    if (replSet) await replSet.stop();
+});
+
+beforeEach(async () => {
+    await Promise.all([User, Deposit, Withdrawal, LedgerEntry, InvestmentPlan, Investment, AdminConfig, PayoutMethod].map(model => model.deleteMany({})));
+    admin = await User.create({ phoneNumber: '840000001', password: 'secret123', visitorId: 'visitor-admin', isAdmin: true, adminRole: 'super-admin' });
+    // Sem mensagens por SMS: o teste não depende de um provedor
+    user = await User.create({ phoneNumber: '840000002', password: 'secret123', visitorId: 'visitor-user', messagingOptOut: true });
+});
+
+test('aprovações simultâneas de um depósito creditam o saldo uma única vez', async () => {
+    const deposit = await Deposit.create({ userId: user._id, amount: 100, confirmationMessage: 'Confirmado.' });
+
+    const statuses = await callInParallel(approveDeposit, { id: deposit._id.toString() });
+
+    assert.strictEqual(statuses.filter(status => status === 200).length, 1);
+    assert.strictEqual((await User.findById(user._id)).balance, 100);
+    assert.strictEqual(await LedgerEntry.countDocuments({ userId: user._id, type: 'deposit' }), 1);
+    assert.strictEqual((await Deposit.findById(deposit._id)).status, 'approved');
+});
+
+test('se o crédito falhar, o depósito continua pendente', async () => {
+    // Dono inexistente: postLedgerEntry lança erro dentro da transação
+    const deposit = await Deposit.create({ userId: new mongoose.Types.ObjectId(), amount: 100, confirmationMessage: 'Confirmado.' });
+
+    const res = buildResponse();
+    await approveDeposit(buildAdminRequest({ id: deposit._id.toString() }), res);
+
+    assert.strictEqual(res.statusCode, 500);
+    assert.strictEqual((await Deposit.findById(deposit._id)).status, 'pending');
+    assert.strictEqual(await LedgerEntry.countDocuments({ referenceId: deposit._id }), 0);
+});
+
+test('rejeições simultâneas de um saque devolvem o saldo uma única vez', async () => {
+    const withdrawal = await Withdrawal.create({ userId: user._id, amount: 80, walletAddress: 'M-Pesa 841234567' });
+
+    const statuses = await callInParallel(rejectWithdrawal, { id: withdrawal._id.toString() });
+
+    assert.strictEqual(statuses.filter(status => status === 200).length, 1);
+    assert.strictEqual((await User.findById(user._id)).balance, 80);
+    assert.strictEqual(await LedgerEntry.countDocuments({ userId: user._id, type: 'withdrawal_refund' }), 1);
+});
+
+test('débitos simultâneos nunca gastam o mesmo saldo duas vezes', async () => {
+    await postLedgerEntry({ userId: user._id, amount: 100, type: 'deposit', description: 'Saldo inicial do teste' });
+
+    const results = await Promise.all(Array.from({ length: PARALLEL_REQUESTS }, () => postLedgerEntry({
+        userId: user._id,
+        amount: -60,
+        type: 'withdrawal',
+        description: 'Saque do teste',
+    })));
+
+    assert.strictEqual(results.filter(Boolean).length, 1);
+    assert.strictEqual((await User.findById(user._id)).balance, 40);
+});
+
+test('pedidos de saque simultâneos debitam uma única vez e respeitam o limite diário', async () => {
+    // Saques abertos o dia todo, com limite diário de 100 MT
+    await AdminConfig.create({ withdrawalStartTime: '00:00', withdrawalEndTime: '23:59', dailyWithdrawalLimit: 100 });
+    await PayoutMethod.create({ userId: user._id, method: 'mpesa', accountHolderName: 'Usuário de Teste', accountNumber: '841234567', isDefault: true, availableAt: new Date(Date.now() - 60 * 1000) });
+    await postLedgerEntry({ userId: user._id, amount: 500, type: 'deposit', description: 'Saldo inicial do teste' });
+
+    const statuses = await callWithRequests(requestWithdrawal, () => buildUserRequest({ amount: 60 }));
+
+    assert.strictEqual(statuses.filter(status => status === 201).length, 1);
+    assert.strictEqual((await User.findById(user._id)).balance, 440);
+    assert.strictEqual(await LedgerEntry.countDocuments({ userId: user._id, type: 'withdrawal' }), 1);
+    assert.strictEqual(await Withdrawal.countDocuments({ userId: user._id }), 1);
+
+    // Um novo pedido, já sem concorrência, passaria do limite diário (60 + 60 > 100)
+    const res = buildResponse();
+    await requestWithdrawal(buildUserRequest({ amount: 60 }), res);
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual((await User.findById(user._id)).balance, 440);
+});
+
+test('ativações simultâneas de um plano debitam o saldo uma única vez', async () => {
+    const plan = await InvestmentPlan.create({ name: 'Plano de Teste', minAmount: 100, maxAmount: 1000, dailyProfitRate: 0.02 });
+    await postLedgerEntry({ userId: user._id, amount: 150, type: 'deposit', description: 'Saldo inicial do teste' });
+
+    const statuses = await callWithRequests(activateInvestment, () => buildUserRequest({ planId: plan._id.toString() }));
+
+    assert.strictEqual(statuses.filter(status => status === 201).length, 1);
+    assert.strictEqual((await User.findById(user._id)).balance, 50);
+    assert.strictEqual(await LedgerEntry.countDocuments({ userId: user._id, type: 'investment_activation' }), 1);
+    assert.strictEqual(await LedgerEntry.countDocuments({ userId: user._id, type: 'investment_refund' }), 0);
+    assert.strictEqual(await Investment.countDocuments({ userId: user._id }), 1);
+});
@@ -0,0 +1,67 @@
+// test/login-throttle.test.js
+// Dispara tentativas de login simultâneas com senha errada e confere que o throttle não deixa
+// passar mais tentativas do que o limite do número de telefone.
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const { User, LoginThrottle } = require('../models');
+const { loginUser } = require('../controllers');
+
+const PARALLEL_REQUESTS = 20;
+const PHONE_LOCK_AFTER = 10; // THROTTLE_RULES.phone.lockAfter
+
+let replSet;
+
+/**
+ * Resposta Express mínima que guarda o status, o corpo e os cabeçalhos.
+ * @returns {object}
+ */
+const buildResponse = () => ({
+    statusCode: 200,
+    headers: {},
+    set(name, value) {
+        this.headers[name] = value;
+        return this;
+    },
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    },
+});
+
+before(async () => {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    await mongoose.connect(replSet.getUri());
+    await mongoose.connection.syncIndexes();
+});
+
+after(async () => {
+    await mongoose.disconnect();
+    if (replSet) await replSet.stop();
+});
+
+beforeEach(async () => {
+    await Promise.all([User.deleteMany({}), LoginThrottle.deleteMany({})]);
+    await User.create({ phoneNumber: '840000003', password: 'secret123', visitorId: 'visitor-login' });
+});
+
+test('tentativas de login simultâneas não passam do limite do telefone', async () => {
+    const responses = Array.from({ length: PARALLEL_REQUESTS }, buildResponse);
+    await Promise.all(responses.map(res => loginUser({
+        body: { phoneNumber: '840000003', password: 'senha-errada' },
+        ip: '127.0.0.1',
+        get: () => undefined,
+    }, res)));
+
+    const statuses = responses.map(res => res.statusCode);
+    const checked = statuses.filter(status => status === 401).length;
+    assert.ok(checked >= 1 && checked <= PHONE_LOCK_AFTER, `senhas conferidas: ${checked}`);
+    assert.strictEqual(statuses.filter(status => status === 429).length, PARALLEL_REQUESTS - checked);
+    assert.ok(responses.filter(res => res.statusCode === 429).every(res => Number(res.headers['Retry-After']) >= 1));
+});
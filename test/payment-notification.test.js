@@ -0,0 +1,88 @@
+// test/payment-notification.test.js
+// Confere que uma notificação de pagamento cuja conciliação falhou é retomada no reenvio do
+// provedor, em vez de ser confirmada como duplicada sem creditar o depósito.
+
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const { User, Deposit, LedgerEntry, PaymentNotification } = require('../models');
+const { createMockC2BNotification } = require('../paymentGateway');
+const { receivePaymentWebhook } = require('../controllers');
+
+let replSet;
+let user;
+
+/**
+ * Resposta Express mínima que guarda o status e o corpo.
+ * @returns {object}
+ */
+const buildResponse = () => ({
+    statusCode: 200,
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    },
+});
+
+/**
+ * Entrega uma notificação assinada ao webhook do provedor 'mock'.
+ * @param {object} notification - Retorno de createMockC2BNotification.
+ * @returns {Promise<object>} A resposta.
+ */
+const deliverWebhook = async ({ rawBody, headers, body }) => {
+    const res = buildResponse();
+    await receivePaymentWebhook({ params: { provider: 'mock' }, rawBody, headers, body, ip: '127.0.0.1' }, res);
+    return res;
+};
+
+before(async () => {
+    process.env.PAYMENT_PROVIDERS = 'mock';
+    process.env.PAYMENT_WEBHOOK_SECRET = 'segredo-de-teste';
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    await mongoose.connect(replSet.getUri());
+    await mongoose.connection.syncIndexes(); // Cria as coleções fora das transações
+});
+
+after(async () => {
+    await mongoose.disconnect();
+    if (replSet) await replSet.stop();
+});
+
+beforeEach(async () => {
+    await Promise.all([User.deleteMany({}), Deposit.deleteMany({}), LedgerEntry.deleteMany({}), PaymentNotification.deleteMany({})]);
+    // Sem mensagens por SMS: o teste não depende de um provedor
+    user = await User.create({ phoneNumber: '840000002', password: 'secret123', visitorId: 'visitor-user', messagingOptOut: true });
+});
+
+test('reenvio de uma notificação que falhou concilia o depósito', async () => {
+    const deposit = await Deposit.create({ userId: user._id, amount: 100, confirmationMessage: 'Confirmado.' });
+    const notification = createMockC2BNotification({ amount: 100, phoneNumber: user.phoneNumber, reference: deposit._id.toString() });
+
+    // Primeira entrega: o lançamento no ledger falha e a transação é desfeita
+    const ledgerFailure = mock.method(LedgerEntry, 'create', async () => {
+        throw new Error('Falha simulada no ledger');
+    }, { times: 1 });
+    const failed = await deliverWebhook(notification);
+    ledgerFailure.mock.restore();
+
+    assert.strictEqual(failed.statusCode, 500);
+    assert.strictEqual((await Deposit.findById(deposit._id)).status, 'pending');
+    assert.strictEqual((await PaymentNotification.findOne({ transactionId: notification.body.transactionId })).status, 'failed');
+
+    // Reenvio do provedor: a notificação é retomada e o depósito aprovado
+    const retried = await deliverWebhook(notification);
+    assert.strictEqual(retried.statusCode, 200);
+    assert.deepStrictEqual(retried.body, { received: true, status: 'matched', duplicate: false });
+    assert.strictEqual((await Deposit.findById(deposit._id)).status, 'approved');
+    assert.strictEqual((await User.findById(user._id)).balance, 100);
+
+    // Um novo reenvio, já conciliado, é apenas confirmado
+    const duplicate = await deliverWebhook(notification);
+    assert.deepStrictEqual(duplicate.body, { received: true, status: 'matched', duplicate: true });
+    assert.strictEqual(await LedgerEntry.countDocuments({ userId: user._id, type: 'deposit' }), 1);
+});
@@ -0,0 +1,148 @@
+// totp.js
+// Implementação de TOTP (RFC 6238, HMAC-SHA1, 6 dígitos, passos de 30 segundos), compatível
+// com Google Authenticator, Authy e similares. Também gera os códigos de backup da 2FA.
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'KKR Credit';
+
+/**
+ * Codifica um buffer em Base32 (RFC 4648, sem padding).
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+/**
+ * Decodifica uma string Base32 (ignora espaços, padding e maiúsculas/minúsculas).
+ * @param {string} input
+ * @returns {Buffer}
+ */
+const base32Decode = (input) => {
+    const clean = input.toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Segredo Base32 inválido.');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * Gera um novo segredo TOTP (160 bits) em Base32.
+ * @returns {string}
+ */
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Calcula o código TOTP de um passo de tempo.
+ * @param {string} secret - Segredo em Base32.
+ * @param {number} step - Número do passo (segundos Unix / 30).
+ * @returns {string} Código de 6 dígitos.
+ */
+const generateTotp = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Verifica um código TOTP, aceitando um passo de diferença de relógio para cada lado.
+ * @param {string} secret - Segredo em Base32.
+ * @param {string} code - Código informado pelo usuário.
+ * @param {number} [lastUsedStep] - Último passo já aceito, para impedir reutilização do mesmo código.
+ * @returns {number|null} O passo aceito, ou null se o código for inválido.
+ */
+const verifyTotp = (secret, code, lastUsedStep) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+    for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+        if (lastUsedStep !== undefined && lastUsedStep !== null && step <= lastUsedStep) continue;
+        const expected = generateTotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+/**
+ * Monta a URI otpauth:// usada para gerar o QR code no aplicativo autenticador.
+ * @param {string} accountName - Ex: o phoneNumber do usuário.
+ * @param {string} secret - Segredo em Base32.
+ * @returns {string}
+ */
+const buildOtpauthUri = (accountName, secret) => {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: TOTP_ISSUER,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP_SECONDS),
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Gera códigos de backup de uso único (formato 'XXXX-XXXX').
+ * @param {number} [count=10]
+ * @returns {{codes: string[], hashes: string[]}} Os códigos (mostrados uma única vez) e seus hashes.
+ */
+const generateBackupCodes = (count = 10) => {
+    const codes = [];
+    for (let i = 0; i < count; i++) {
+        const raw = crypto.randomBytes(5).toString('hex').toUpperCase().slice(0, 8);
+        codes.push(`${raw.slice(0, 4)}-${raw.slice(4)}`);
+    }
+    return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+/**
+ * Calcula o hash de um código de backup (normalizado sem hífen e em maiúsculas).
+ * @param {string} code
+ * @returns {string}
+ */
+const hashBackupCode = (code) => crypto.createHash('sha256')
+    .update(String(code).toUpperCase().replace(/[^A-Z0-9]/g, ''))
+    .digest('hex');
+
+module.exports = {
+    generateTotpSecret,
+    verifyTotp,
+    buildOtpauthUri,
+    generateBackupCodes,
+    hashBackupCode,
+};
@@ -1,25 +1,13 @@
 // uploadMiddleware.js
-// Configuração do Multer (para upload local) e do Cloudinary (para armazenamento em nuvem).
+// Configuração do Multer (recebe o arquivo em memória) e dos middlewares que validam a imagem
+// e a gravam no armazenamento configurado (disco local, S3 ou Cloudinary; ver storage.js).
 
 const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
+const { storeFile } = require('./storage');
 const { logInfo, logError } = require('./utils');
 
-// 1. Configuração do Cloudinary
-if (process.env.NODE_ENV !== 'production' || process.env.CLOUDINARY_CLOUD_NAME) {
-    cloudinary.config({
-        cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-        api_key: process.env.CLOUDINARY_API_KEY,
-        api_secret: process.env.CLOUDINARY_API_SECRET,
-        secure: true,
-    });
-    logInfo('Cloudinary configurado com sucesso.');
-} else {
-    logError('Cloudinary não configurado. Verifique as variáveis de ambiente.');
-}
-
-// 2. Configuração do Multer
-// Uso de armazenamento em memória para que o Cloudinary possa acessar o buffer diretamente
+// 1. Configuração do Multer
+// Uso de armazenamento em memória para validar o conteúdo antes de gravar no armazenamento
 const storage = multer.memoryStorage();
 
 // Middleware Multer
@@ -27,6 +15,7 @@ const upload = multer({
     storage: storage,
     limits: { fileSize: 5 * 1024 * 1024 }, // Limite de 5MB
     fileFilter: (req, file, cb) => {
+        // Primeiro filtro, pelo tipo declarado; o conteúdo real é conferido em createImageUpload
         if (file.mimetype.startsWith('image/')) {
             cb(null, true);
         } else {
@@ -35,44 +24,69 @@ const upload = multer({
     },
 });
 
+// 2. Validação pelo conteúdo (assinatura dos primeiros bytes)
+// O mimetype vem do cliente e pode ser falsificado; estes são os formatos aceitos de fato
+const IMAGE_SIGNATURES = [
+    { contentType: 'image/jpeg', extension: 'jpg', matches: (b) => b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    { contentType: 'image/png', extension: 'png', matches: (b) => b.length > 8 && b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { contentType: 'image/gif', extension: 'gif', matches: (b) => b.length > 6 && ['GIF87a', 'GIF89a'].includes(b.toString('ascii', 0, 6)) },
+    { contentType: 'image/webp', extension: 'webp', matches: (b) => b.length > 12 && b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' },
+];
+
+/**
+ * Identifica o formato da imagem pelos bytes iniciais.
+ * @param {Buffer} buffer
+ * @returns {{contentType: string, extension: string}|null} null se não for um formato aceito.
+ */
+const detectImageType = (buffer) => {
+    const signature = IMAGE_SIGNATURES.find(candidate => candidate.matches(buffer));
+    return signature ? { contentType: signature.contentType, extension: signature.extension } : null;
+};
+
 /**
- * Middleware para fazer o upload do buffer da imagem para o Cloudinary.
- * Deve ser usado APÓS o Multer.single('image').
- * @param {object} req - Objeto de requisição Express (contendo req.file do Multer).
- * @param {object} res - Objeto de resposta Express.
- * @param {function} next - Função next.
+ * Cria um middleware que valida a imagem recebida pelo Multer e a grava no armazenamento.
+ * Deve ser usado APÓS o Multer (ex: upload.single('image')).
+ * @param {object} options
+ * @param {string} options.folder - Pasta lógica (ex: 'plans', 'deposits').
+ * @param {string} [options.visibility='public'] - 'public' ou 'private' (acessível só por URL assinada).
+ * @returns {function} Middleware Express. Preenche req.uploadedImage (descritor do arquivo, ver storeFile)
+ * e, para arquivos públicos, req.uploadedImageUrl.
  */
-const uploadToCloudinary = async (req, res, next) => {
+const createImageUpload = ({ folder, visibility = 'public' }) => async (req, res, next) => {
     if (!req.file) {
         // Se não houver arquivo, não há upload a fazer, apenas prossegue.
         // O controller cuidará da lógica de usar a URL padrão ou a URL enviada via body.
-        return next(); 
+        return next();
     }
 
-    // Cria um Data URI para o buffer
-    const b64 = Buffer.from(req.file.buffer).toString('base64');
-    let dataURI = 'data:' + req.file.mimetype + ';base64,' + b64;
-    
-    try {
-        // Faz o upload para o Cloudinary
-        const result = await cloudinary.uploader.upload(dataURI, {
-            folder: 'kkr_investment_plans', // Pasta no Cloudinary
-            resource_type: 'image',
-        });
+    const imageType = detectImageType(req.file.buffer);
+    if (!imageType) {
+        logError('Upload recusado: o conteúdo não é uma imagem JPEG, PNG, GIF ou WebP.', { declaredType: req.file.mimetype, userId: req.user ? req.user._id : 'N/A' });
+        return res.status(400).json({ success: false, message: 'Arquivo inválido. Envie uma imagem JPEG, PNG, GIF ou WebP.' });
+    }
 
-        // Adiciona a URL segura (https) à requisição
-        req.uploadedImageUrl = result.secure_url;
-        logInfo(`Upload para Cloudinary bem-sucedido: ${result.secure_url}`);
+    try {
+        const file = await storeFile({ buffer: req.file.buffer, folder, visibility, ...imageType });
+        req.uploadedImage = file;
+        req.uploadedImageUrl = file.url || undefined;
+        logInfo(`Upload bem-sucedido (${file.driver}): ${file.key}`);
 
         next();
     } catch (error) {
-        logError(`Erro ao fazer upload para o Cloudinary: ${error.message}`, { adminId: req.user ? req.user._id : 'N/A' });
+        logError(`Erro ao gravar o upload: ${error.message}`, { userId: req.user ? req.user._id : 'N/A' });
         // Se o upload falhar, retorna um erro 500
         return res.status(500).json({ success: false, message: 'Falha no upload da imagem para o servidor de arquivos.' });
     }
 };
 
+// Imagens dos planos de investimento (públicas)
+const uploadPlanImage = createImageUpload({ folder: 'plans' });
+
+// Comprovativos de depósito (privados: só o painel administrativo os vê, por URL assinada)
+const uploadDepositReceipt = createImageUpload({ folder: 'deposits', visibility: 'private' });
+
 module.exports = {
     upload,
-    uploadToCloudinary,
-};
\ No newline at end of file
+    uploadPlanImage,
+    uploadDepositReceipt,
+};
@@ -14,6 +14,7 @@ if (!fs.existsSync(LOG_DIR)) {
 const INFO_LOG_FILE = path.join(LOG_DIR, 'info.log');
 const ERROR_LOG_FILE = path.join(LOG_DIR, 'error.log');
 const ADMIN_ACTION_LOG_FILE = path.join(LOG_DIR, 'admin_actions.log');
+const SECURITY_LOG_FILE = path.join(LOG_DIR, 'security.log');
 
 /**
  * Formata a mensagem de log com timestamp.
@@ -78,6 +79,16 @@ const logAdminAction = (adminId, action, details = {}) => {
     writeLog(ADMIN_ACTION_LOG_FILE, formattedMessage);
 };
 
+/**
+ * Loga eventos de segurança (bloqueios por tentativas de login, etc.) para revisão posterior.
+ * @param {string} event - A descrição do evento.
+ * @param {object} [details={}] - Detalhes adicionais do evento.
+ */
+const logSecurityEvent = (event, details = {}) => {
+    const formattedMessage = formatLogMessage(`SECURITY: ${event}`, details);
+    writeLog(SECURITY_LOG_FILE, formattedMessage);
+};
+
 /**
  * Gera um código de referência único.
  * @returns {string} Um código de referência alfanumérico de 8 caracteres.
@@ -93,11 +104,79 @@ const generateReferralCode = () => {
     return result;
 };
 
+// Fuso horário de negócio: as datas de crédito de lucros seguem o horário de Maputo,
+// independentemente do fuso horário do servidor.
+const BUSINESS_TIMEZONE = 'Africa/Maputo';
+
+/**
+ * Retorna as partes de data/hora de um instante no fuso horário de negócio.
+ * @param {Date} date - O instante a converter.
+ * @returns {object} Objeto com year, month, day, hour, minute, second (numéricos) e weekday ('Mon', 'Tue'...).
+ */
+const getBusinessDateParts = (date) => {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: BUSINESS_TIMEZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        weekday: 'short',
+        hourCycle: 'h23',
+    });
+    const parts = {};
+    for (const { type, value } of formatter.formatToParts(date)) {
+        if (type !== 'literal') parts[type] = type === 'weekday' ? value : Number(value);
+    }
+    return parts;
+};
+
+/**
+ * Retorna a data de negócio (no fuso de Maputo) de um instante.
+ * @param {Date} [date=new Date()] - O instante a converter.
+ * @returns {string} A data no formato 'YYYY-MM-DD'.
+ */
+const getBusinessDate = (date = new Date()) => {
+    const { year, month, day } = getBusinessDateParts(date);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Retorna o instante (UTC) em que começa uma data de negócio, ou seja, 00:00 em Maputo.
+ * @param {string} businessDate - A data no formato 'YYYY-MM-DD'.
+ * @returns {Date} O início do dia no fuso de negócio.
+ */
+const startOfBusinessDay = (businessDate) => {
+    const [year, month, day] = businessDate.split('-').map(Number);
+    const utcMidnight = Date.UTC(year, month - 1, day);
+    const parts = getBusinessDateParts(new Date(utcMidnight));
+    const offsetMs = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - utcMidnight;
+    return new Date(utcMidnight - offsetMs);
+};
+
+/**
+ * Soma (ou subtrai) dias a uma data de negócio.
+ * @param {string} businessDate - A data no formato 'YYYY-MM-DD'.
+ * @param {number} days - Quantidade de dias (pode ser negativa).
+ * @returns {string} A nova data no formato 'YYYY-MM-DD'.
+ */
+const addBusinessDays = (businessDate, days) => {
+    const [year, month, day] = businessDate.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
 
 // Exporta as funções de utilidade
 module.exports = {
     logInfo,
     logError,
     logAdminAction,
+    logSecurityEvent,
     generateReferralCode,
+    BUSINESS_TIMEZONE,
+    getBusinessDateParts,
+    getBusinessDate,
+    startOfBusinessDay,
+    addBusinessDays,
 };
\ No newline at end of file
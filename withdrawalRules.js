@@ -0,0 +1,194 @@
+// withdrawalRules.js
+// Regras de saque avaliadas no fuso horário de negócio (Africa/Maputo), nunca no relógio do servidor:
+// janelas de horário por dia da semana, feriados, limites por usuário (diário, semanal e mensal)
+// e taxas (fixa + percentual). A mesma avaliação alimenta a cotação mostrada ao usuário e o pedido de saque.
+
+const { Withdrawal, WithdrawalHoliday } = require('./models');
+const { getBusinessDateParts, getBusinessDate, startOfBusinessDay, addBusinessDays } = require('./utils');
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Saques nestes status não contam para os limites (o valor voltou ao saldo)
+const RELEASED_WITHDRAWAL_STATUSES = ['rejected', 'failed'];
+
+// Quantos dias à frente procurar a próxima janela aberta
+const NEXT_WINDOW_SEARCH_DAYS = 14;
+
+/**
+ * Converte 'HH:MM' em minutos desde a meia-noite.
+ * @param {string} time
+ * @returns {number}
+ */
+const toMinutes = (time) => {
+    const [hour, minute] = time.split(':').map(Number);
+    return hour * 60 + minute;
+};
+
+/**
+ * Arredonda um valor em MT para centavos.
+ * @param {number} value
+ * @returns {number}
+ */
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Retorna as janelas de saque de um dia da semana. Sem janelas por dia configuradas, vale o
+ * horário único (withdrawalStartTime a withdrawalEndTime) em todos os dias.
+ * @param {object} config - AdminConfig.
+ * @param {number} weekday - 0 (domingo) a 6 (sábado).
+ * @returns {Array<{startTime: string, endTime: string}>}
+ */
+const getWithdrawalWindowsForWeekday = (config, weekday) => {
+    if (config.withdrawalWindows && config.withdrawalWindows.length > 0) {
+        return config.withdrawalWindows
+            .filter(window => window.weekday === weekday)
+            .sort((a, b) => toMinutes(a.startTime) - toMinutes(b.startTime));
+    }
+    return [{ startTime: config.withdrawalStartTime, endTime: config.withdrawalEndTime }];
+};
+
+/**
+ * Carrega o calendário de feriados e devolve uma função que diz se uma data é feriado.
+ * @returns {Promise<function(string): object|null>} Recebe 'YYYY-MM-DD' e devolve o feriado ou null.
+ */
+const loadHolidayCalendar = async () => {
+    const holidays = await WithdrawalHoliday.find().lean();
+    const byDate = new Map();
+    const byMonthDay = new Map();
+    for (const holiday of holidays) {
+        if (holiday.recurring) byMonthDay.set(holiday.date.slice(5), holiday);
+        else byDate.set(holiday.date, holiday);
+    }
+    return (businessDate) => byDate.get(businessDate) || byMonthDay.get(businessDate.slice(5)) || null;
+};
+
+/**
+ * Verifica se os saques estão abertos num instante e, se não estiverem, quando abrem.
+ * @param {object} config - AdminConfig.
+ * @param {function} getHoliday - Resultado de loadHolidayCalendar.
+ * @param {Date} [now]
+ * @returns {{open: boolean, reason: string|null, holiday: string|null, nextOpenAt: Date|null}}
+ * reason: 'holiday', 'closed_day' ou 'outside_hours'.
+ */
+const getWithdrawalWindowStatus = (config, getHoliday, now = new Date()) => {
+    const parts = getBusinessDateParts(now);
+    const today = getBusinessDate(now);
+    const currentMinutes = parts.hour * 60 + parts.minute;
+    const holiday = getHoliday(today);
+    const windowsToday = getWithdrawalWindowsForWeekday(config, WEEKDAY_INDEX[parts.weekday]);
+
+    if (!holiday && windowsToday.some(window => currentMinutes >= toMinutes(window.startTime) && currentMinutes <= toMinutes(window.endTime))) {
+        return { open: true, reason: null, holiday: null, nextOpenAt: null };
+    }
+
+    let reason = 'outside_hours';
+    if (holiday) reason = 'holiday';
+    else if (windowsToday.length === 0) reason = 'closed_day';
+
+    // Próxima abertura: ainda hoje (se não for feriado) ou nos próximos dias
+    let nextOpenAt = null;
+    for (let offset = 0; offset <= NEXT_WINDOW_SEARCH_DAYS && !nextOpenAt; offset += 1) {
+        const date = addBusinessDays(today, offset);
+        if (getHoliday(date)) continue;
+        const dayStart = startOfBusinessDay(date);
+        const weekday = WEEKDAY_INDEX[getBusinessDateParts(dayStart).weekday];
+        const window = getWithdrawalWindowsForWeekday(config, weekday)
+            .find(candidate => offset > 0 || toMinutes(candidate.startTime) > currentMinutes);
+        if (window) nextOpenAt = new Date(dayStart.getTime() + toMinutes(window.startTime) * 60 * 1000);
+    }
+
+    return { open: false, reason, holiday: holiday ? holiday.name : null, nextOpenAt };
+};
+
+/**
+ * Calcula a taxa de um saque (fixa + percentual sobre o valor).
+ * @param {number} amount - Valor debitado do saldo.
+ * @param {object} config - AdminConfig.
+ * @returns {{fee: number, netAmount: number}} netAmount é o que o usuário recebe.
+ */
+const calculateWithdrawalFee = (amount, config) => {
+    const fee = roundMoney((config.withdrawalFeeFixed || 0) + amount * (config.withdrawalFeePercent || 0) / 100);
+    return { fee, netAmount: roundMoney(amount - fee) };
+};
+
+/**
+ * Soma os saques do usuário no dia, na semana (a partir de segunda) e no mês correntes, em Maputo.
+ * @param {object} userId
+ * @param {Date} [now]
+ * @returns {Promise<{daily: number, weekly: number, monthly: number}>}
+ */
+const getWithdrawalUsage = async (userId, now = new Date()) => {
+    const today = getBusinessDate(now);
+    const weekday = WEEKDAY_INDEX[getBusinessDateParts(now).weekday];
+    const dayStart = startOfBusinessDay(today);
+    const weekStart = startOfBusinessDay(addBusinessDays(today, -((weekday + 6) % 7)));
+    const monthStart = startOfBusinessDay(`${today.slice(0, 8)}01`);
+    const periodStart = new Date(Math.min(weekStart.getTime(), monthStart.getTime()));
+
+    const [totals] = await Withdrawal.aggregate([
+        { $match: { userId, status: { $nin: RELEASED_WITHDRAWAL_STATUSES }, requestDate: { $gte: periodStart } } },
+        {
+            $group: {
+                _id: null,
+                daily: { $sum: { $cond: [{ $gte: ['$requestDate', dayStart] }, '$amount', 0] } },
+                weekly: { $sum: { $cond: [{ $gte: ['$requestDate', weekStart] }, '$amount', 0] } },
+                monthly: { $sum: { $cond: [{ $gte: ['$requestDate', monthStart] }, '$amount', 0] } },
+            },
+        },
+    ]);
+    return totals ? { daily: totals.daily, weekly: totals.weekly, monthly: totals.monthly } : { daily: 0, weekly: 0, monthly: 0 };
+};
+
+/**
+ * Avalia um saque: janela de horário, limites por pedido e por período, taxa e saldo.
+ * @param {object} params
+ * @param {object} params.user - O usuário (com balance).
+ * @param {number} params.amount - Valor a debitar do saldo.
+ * @param {object} params.config - AdminConfig.
+ * @param {Date} [params.now]
+ * @returns {Promise<object>} Cotação: { amount, fee, netAmount, window, limits, allowed, message }.
+ * message explica o primeiro motivo de recusa quando allowed é false.
+ */
+const quoteWithdrawal = async ({ user, amount, config, now = new Date() }) => {
+    const getHoliday = await loadHolidayCalendar();
+    const window = getWithdrawalWindowStatus(config, getHoliday, now);
+    const usage = await getWithdrawalUsage(user._id, now);
+    const { fee, netAmount } = calculateWithdrawalFee(amount, config);
+
+    const limits = {};
+    for (const period of ['daily', 'weekly', 'monthly']) {
+        const limit = config[`${period}WithdrawalLimit`] || 0; // 0 = sem limite
+        limits[period] = { limit, used: usage[period], remaining: limit > 0 ? Math.max(roundMoney(limit - usage[period]), 0) : null };
+    }
+    const periodLabels = { daily: 'diário', weekly: 'semanal', monthly: 'mensal' };
+    const exceededPeriod = Object.keys(limits).find(period => limits[period].limit > 0 && usage[period] + amount > limits[period].limit);
+
+    let message = null;
+    if (!window.open) {
+        message = window.reason === 'holiday' ? `Saques indisponíveis no feriado (${window.holiday}).` : 'Fora do horário de saque.';
+    } else if (amount < config.minWithdrawalAmount || amount > config.maxWithdrawalAmount) {
+        message = 'Valor fora dos limites.';
+    } else if (exceededPeriod) {
+        message = `Limite ${periodLabels[exceededPeriod]} de saque excedido. Disponível: ${limits[exceededPeriod].remaining} MT.`;
+    } else if (netAmount <= 0) {
+        message = 'O valor não cobre a taxa de saque.';
+    } else if (user.balance < amount) {
+        message = 'Saldo insuficiente.';
+    }
+
+    return {
+        amount,
+        fee,
+        netAmount,
+        feeFixed: config.withdrawalFeeFixed || 0,
+        feePercent: config.withdrawalFeePercent || 0,
+        window,
+        limits,
+        allowed: message === null,
+        message,
+    };
+};
+
+module.exports = {
+    quoteWithdrawal,
+};